@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import { importCollection, planImport, writeImport } from "../lib/postman/postmanImporter.js";
+import { TOOLS_DIR } from "../lib/tools.js";
+
+// Collect repeated --env-param name=VARIABLE options into an object
+function collectEnvParam(value, envParams) {
+  const [name, variable] = value.split("=");
+  if (!name || !variable) {
+    throw new Error(`--env-param expects name=VARIABLE, got "${value}"`);
+  }
+  return { ...envParams, [name]: variable };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+export function registerImportPostmanCommand(program) {
+  program
+    .command("import-postman <collection>")
+    .description("Generate tool modules from a Postman v2.1 collection")
+    .option("-e, --environment <file>", "Postman environment used to resolve {{variables}}")
+    .option("-w, --workspace <name>", "Workspace directory below tools/", "dust")
+    .option("--env-param <name=VARIABLE>", "Read a parameter from an environment variable instead of the arguments", collectEnvParam, {})
+    .option("--tools-dir <dir>", "Tools directory", TOOLS_DIR)
+    .option("--overwrite", "Replace existing modules that changed instead of printing the diff")
+    .action((collectionFile, options) => {
+      const toolsDir = path.resolve(options.toolsDir);
+      const { files, warnings } = importCollection(readJson(collectionFile), {
+        environment: options.environment && readJson(options.environment),
+        workspace: options.workspace,
+        toolsDir,
+        envParams: options.envParam,
+      });
+
+      if (warnings.length > 0) {
+        console.log("\nWarnings:\n");
+        warnings.forEach((warning) => console.log(`  ${warning}`));
+      }
+
+      const plan = planImport(files, toolsDir);
+      const written = new Set(writeImport(plan, toolsDir, { overwrite: options.overwrite }));
+
+      console.log("\nImported requests:\n");
+      for (const file of plan) {
+        const status = file.status === "changed" && !written.has(file.path) ? "differs" : file.status;
+        console.log(`  ${status.padEnd(9)} ${file.path} (${file.name})`);
+      }
+
+      // Existing modules are never replaced silently; show what a re-import would change
+      const pending = plan.filter((file) => file.status === "changed" && !written.has(file.path));
+      if (pending.length > 0) {
+        console.log("");
+        pending.forEach((file) => console.log(file.diff));
+        console.log(`${pending.length} existing module(s) differ from the collection. Re-run with --overwrite to apply the changes above.`);
+      }
+    });
+}
@@ -1,11 +1,16 @@
-import { discoverTools } from "../lib/tools.js";
+import { groupToolsByNamespace, loadTools } from "../lib/tools.js";
 
 export function registerToolsCommand(program) {
   program
     .command("tools")
     .description("List all available API tools")
     .action(async () => {
-      const tools = await discoverTools();
+      const { tools, errors } = loadTools();
+      if (errors.length > 0) {
+        console.log("\nSkipped tool modules:\n");
+        errors.forEach(({ path, error }) => console.log(`  ${path}: ${error}`));
+      }
+
       if (tools.length === 0) {
         console.log("No tools found. Tools should be organized as:");
         console.log("tools/workspace/collection/request.js\n");
@@ -14,19 +19,8 @@ export function registerToolsCommand(program) {
 
       console.log("\nAvailable Tools:\n");
 
-      // Group tools by workspace/collection
-      const groupedTools = tools.reduce((acc, tool) => {
-        // Extract workspace and collection from path
-        const parts = tool.path.split("/");
-        const workspace = parts[1] || "Unknown Workspace";
-        const collection = parts[2] || "Unknown Collection";
-
-        if (!acc[workspace]) acc[workspace] = {};
-        if (!acc[workspace][collection]) acc[workspace][collection] = [];
-
-        acc[workspace][collection].push(tool);
-        return acc;
-      }, {});
+      // Group tools by the workspace/collection of their path
+      const groupedTools = groupToolsByNamespace(tools);
 
       // Print tools in a hierarchical structure
       for (const [workspace, collections] of Object.entries(groupedTools)) {
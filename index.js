@@ -1,9 +1,11 @@
 import { Command } from "commander";
 import { registerToolsCommand } from "./commands/tools.js";
+import { registerImportPostmanCommand } from "./commands/importPostman.js";
 
 const program = new Command();
 
 // Register commands
 registerToolsCommand(program);
+registerImportPostmanCommand(program);
 
 program.parse(process.argv);
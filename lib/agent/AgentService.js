@@ -2,6 +2,7 @@ const { v4: uuidv4 } = require('uuid');
 const { MessageRouter } = require('../message/MessageRouter.js');
 const { ConversationManager } = require('../conversation/ConversationManager.js');
 const { WorkspaceValidator } = require('../validation/workspaceValidator.js');
+const { getDustApiBaseUrl } = require('../config.js');
 
 /**
  * Service for managing agent interactions with the Dust API.
@@ -14,14 +15,14 @@ class AgentService {
    * @param {Object} [options.messageRouter] - Message router configuration
    * @param {Object} [options.conversation] - Conversation manager configuration
    * @param {string} [options.apiKey] - Dust API key
-   * @param {string} [options.apiUrl] - Base URL for Dust API
+   * @param {string} [options.apiUrl] - Base URL for Dust API, DUST_API_BASE_URL when not given
    */
   constructor({
     sessionManager,
     messageRouter: routerConfig = {},
     conversation: conversationConfig = {},
     apiKey = process.env.DUST_API_KEY,
-    apiUrl = 'https://dust.tt'
+    apiUrl = getDustApiBaseUrl()
   } = {}) {
     if (!sessionManager) {
       throw new Error('SessionManager is required');
@@ -32,17 +33,15 @@ class AgentService {
     this.apiUrl = apiUrl;
     
     // Initialize workspace validator
-    this.validator = new WorkspaceValidator({ apiKey });
+    this.validator = new WorkspaceValidator({ apiKey, apiUrl: `${apiUrl}/api/v1` });
     
-    // Initialize message router
+    // Initialize message router, processing messages with this service
     this.messageRouter = new MessageRouter({
       sessionManager,
-      ...routerConfig
+      ...routerConfig,
+      processMessage: (session, message) => this._processMessage(session, message)
     });
     
-    // Override default message processing
-    this.messageRouter._processMessage = this._processMessage.bind(this);
-    
     // Track conversations by session ID
     this.conversations = new Map();
     
@@ -221,9 +220,10 @@ class AgentService {
     messages,
     model = 'gpt-4'
   }) {
+    const conversationsUrl = `${this.apiUrl}/api/v1/w/${workspaceId}/assistant/conversations`;
     const url = conversationId
-      ? `${this.apiUrl}/api/workspaces/${workspaceId}/conversations/${conversationId}/messages`
-      : `${this.apiUrl}/api/workspaces/${workspaceId}/conversations`;
+      ? `${conversationsUrl}/${conversationId}/messages`
+      : conversationsUrl;
     
     const response = await fetch(url, {
       method: 'POST',
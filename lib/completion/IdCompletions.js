@@ -0,0 +1,172 @@
+const NodeCache = require('node-cache');
+const { getLogger } = require('../logging/logger.js');
+
+const logger = getLogger('IdCompletions');
+
+// Cache TTL in seconds (1 minute); lists of vaults, data sources and agents rarely change faster
+const CACHE_TTL = 60;
+const idCache = new NodeCache({ stdTTL: CACHE_TTL, checkperiod: 0, useClones: false });
+
+// completion/complete results must not hold more than 100 values
+const MAX_VALUES = 100;
+
+/**
+ * Suggests Dust IDs (vaults, data sources, data source views, agents, conversations)
+ * for completion/complete, from cached results of the Dust list tools.
+ */
+class IdCompletions {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Array<Object>} options.tools - Loaded apiTool objects
+   * @param {string} [options.workspaceId] - Workspace the IDs belong to, used to key the cache
+   * @param {NodeCache} [options.cache] - Cache for tool results, shared by all sessions by default
+   * @param {Function} [options.authorize] - Throws when the session may not call a tool, e.g. outside its tool profile
+   */
+  constructor({
+    tools,
+    workspaceId = process.env.DUST_WORKSPACE_ID,
+    cache = idCache,
+    authorize = () => {}
+  } = {}) {
+    if (!tools) {
+      throw new Error('Tools are required');
+    }
+
+    this.tools = tools;
+    this.workspaceId = workspaceId;
+    this.cache = cache;
+    this.authorize = authorize;
+
+    // Candidate loaders, keyed by argument name
+    this.sources = {
+      wId: async () => (this.workspaceId ? [{ id: this.workspaceId }] : []),
+      vId: () => this._vaults(),
+      dsId: (context) => this._perVault(context, (vId) => this._dataSources(vId)),
+      dsvId: (context) => this._perVault(context, (vId) => this._dataSourceViews(vId)),
+      configurationId: () => this._agents(),
+      agentId: () => this._agents(),
+      cId: () => this._conversations()
+    };
+  }
+
+  /**
+   * Whether an argument name can be completed
+   * @param {string} argumentName - Name of the argument
+   * @returns {boolean}
+   */
+  supports(argumentName) {
+    return Object.prototype.hasOwnProperty.call(this.sources, argumentName);
+  }
+
+  /**
+   * Complete an argument value
+   * @param {string} argumentName - Name of the argument, e.g. "dsId"
+   * @param {string} value - What the user typed so far
+   * @param {Object} [context] - Values of the other arguments, e.g. { vId }
+   * @returns {Promise<{values: Array<string>, total: number, hasMore: boolean}>} Result for completion/complete
+   */
+  async complete(argumentName, value = '', context = {}) {
+    if (!this.supports(argumentName)) {
+      return { values: [], total: 0, hasMore: false };
+    }
+
+    let candidates;
+    try {
+      candidates = await this.sources[argumentName](context);
+    } catch (error) {
+      logger.warning(`Could not load completions for ${argumentName}: ${error.message}`);
+      return { values: [], total: 0, hasMore: false };
+    }
+
+    // Match the ID or the display name, so users can type either
+    const prefix = value.toLowerCase();
+    const ids = [...new Set(candidates
+      .filter(({ id, name }) => id.toLowerCase().startsWith(prefix) || (name && name.toLowerCase().startsWith(prefix)))
+      .map(({ id }) => id))];
+
+    return {
+      values: ids.slice(0, MAX_VALUES),
+      total: ids.length,
+      hasMore: ids.length > MAX_VALUES
+    };
+  }
+
+  /**
+   * Call a Dust API tool by name, caching its result
+   * @private
+   * @param {string} toolName - Name of the tool to call
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} The tool result
+   * @throws {Error} If the tool is not loaded, not authorized or reports an error
+   */
+  async _cachedCall(toolName, args) {
+    const tool = this.tools.find((t) => t.definition?.function?.name === toolName);
+    if (!tool) {
+      throw new Error(`Tool not available: ${toolName}`);
+    }
+    // The cache is shared by all sessions, so the check comes before it
+    this.authorize(tool);
+
+    const cacheKey = `${this.workspaceId}:${toolName}:${JSON.stringify(args)}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const result = await tool.function(args, { workspaceId: this.workspaceId });
+    if (!result || result.error) {
+      throw new Error(`${toolName} error: ${result?.error || 'empty result'}`);
+    }
+    this.cache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Load candidates for the vault given in the context, or for every vault
+   * @private
+   * @param {Object} context - Values of the other arguments
+   * @param {Function} load - Loads the candidates of one vault
+   * @returns {Promise<Array<{id: string, name?: string}>>}
+   */
+  async _perVault(context, load) {
+    if (context.vId) {
+      return load(context.vId);
+    }
+
+    const vaults = await this._vaults();
+    const perVault = await Promise.all(vaults.map(({ id }) => load(id)));
+    return perVault.flat();
+  }
+
+  /** @private */
+  async _vaults() {
+    const { vaults = [] } = await this._cachedCall('list_workspace_vaults', {});
+    return vaults.map((vault) => ({ id: vault.sId, name: vault.name }));
+  }
+
+  /** @private */
+  async _dataSources(vId) {
+    const { data_sources: dataSources = [] } = await this._cachedCall('get_data_sources', { vId });
+    return dataSources.map((dataSource) => ({ id: dataSource.sId || dataSource.name, name: dataSource.name }));
+  }
+
+  /** @private */
+  async _dataSourceViews(vId) {
+    const { data_source_views: views = [] } = await this._cachedCall('list_data_source_views', { vId });
+    return views.map((view) => ({ id: view.sId, name: view.dataSource?.name }));
+  }
+
+  /** @private */
+  async _agents() {
+    const { agentConfigurations = [] } = await this._cachedCall('list_assistants', {});
+    return agentConfigurations.map((agent) => ({ id: agent.sId, name: agent.name }));
+  }
+
+  /** @private */
+  async _conversations() {
+    const { conversations = [] } = await this._cachedCall('list_conversations', {});
+    return conversations.map((conversation) => ({ id: conversation.sId, name: conversation.title }));
+  }
+}
+
+module.exports = { IdCompletions };
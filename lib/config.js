@@ -6,8 +6,25 @@
  * Loads settings from environment variables.
  */
 
+const crypto = require('crypto');
+
 const WORKSPACE_ID_ENV_VAR = 'DUST_MCP_WORKSPACE_ID';
 
+// Comma-separated tokens that make an SSE or Streamable HTTP session write-enabled
+const WRITE_TOKENS_ENV_VAR = 'DUST_WRITE_TOKENS';
+
+// Dust instance every API call goes to: https://eu.dust.tt for the EU region,
+// a self-hosted instance or a local mock server
+const DUST_API_BASE_URL_ENV_VAR = 'DUST_API_BASE_URL';
+const DEFAULT_DUST_API_BASE_URL = 'https://dust.tt';
+
+// Header names, can be used by server/transport layers
+const WORKSPACE_ID_HEADER = 'X-Dust-Workspace-Id';
+// Carries one of the DUST_WRITE_TOKENS to allow a new MCP session to run destructive tools
+const WRITE_TOKEN_HEADER = 'X-Dust-Write-Token';
+// Selects the tool profile of a new MCP session
+const TOOL_PROFILE_HEADER = 'X-Dust-Tool-Profile';
+
 /**
  * Retrieves the workspace ID.
  * Primarily from the DUST_MCP_WORKSPACE_ID environment variable.
@@ -25,9 +42,77 @@ function isWorkspaceConfigured() {
   return !!process.env[WORKSPACE_ID_ENV_VAR];
 }
 
+/**
+ * Retrieves the API key of a Dust workspace.
+ * Read from WORKSPACE_<ID>_API_KEY as in src/config/workspace.ts; the DUST_WORKSPACE_ID
+ * workspace falls back to DUST_API_KEY.
+ * @param {string} workspaceId - The workspace ID.
+ * @returns {string | undefined} The API key, or undefined if the workspace is not configured.
+ */
+function getWorkspaceApiKey(workspaceId) {
+  if (!workspaceId) {
+    return undefined;
+  }
+  const apiKey = process.env[`WORKSPACE_${workspaceId.toUpperCase()}_API_KEY`];
+  if (apiKey) {
+    return apiKey;
+  }
+  return workspaceId === process.env.DUST_WORKSPACE_ID ? process.env.DUST_API_KEY : undefined;
+}
+
+/**
+ * Checks a write token against the DUST_WRITE_TOKENS environment variable.
+ * Write permission is server-side configuration: a client only gets it by presenting a configured token.
+ * @param {string | undefined} token - Token sent by the client.
+ * @returns {boolean} True if the token is one of DUST_WRITE_TOKENS.
+ */
+function isWriteToken(token) {
+  if (!token) {
+    return false;
+  }
+  // Compare digests, which have the same length, in constant time
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const candidate = digest(token);
+  return (process.env[WRITE_TOKENS_ENV_VAR] || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .some((value) => crypto.timingSafeEqual(digest(value), candidate));
+}
+
+/**
+ * Retrieves the base URL of the Dust instance, from the DUST_API_BASE_URL environment variable.
+ * Trailing slashes and a trailing /api or /api/v1 are removed, so callers append full API paths.
+ * @returns {string} The base URL, e.g. "https://eu.dust.tt"; https://dust.tt when not set.
+ * @throws {Error} If DUST_API_BASE_URL is not an http(s) URL.
+ */
+function getDustApiBaseUrl() {
+  const value = process.env[DUST_API_BASE_URL_ENV_VAR];
+  if (!value || !value.trim()) {
+    return DEFAULT_DUST_API_BASE_URL;
+  }
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    throw new Error(`${DUST_API_BASE_URL_ENV_VAR} must be an http(s) URL, got "${value}"`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${DUST_API_BASE_URL_ENV_VAR} must be an http(s) URL, got "${value}"`);
+  }
+
+  const pathname = url.pathname.replace(/\/+$/, '').replace(/\/api(\/v1)?$/, '');
+  return `${url.origin}${pathname}`;
+}
+
 module.exports = {
   getWorkspaceId,
   isWorkspaceConfigured,
-  // Constant for header name, can be used by server/transport layers
-  WORKSPACE_ID_HEADER: 'X-Dust-Workspace-Id',
+  getWorkspaceApiKey,
+  getDustApiBaseUrl,
+  isWriteToken,
+  WORKSPACE_ID_HEADER,
+  WRITE_TOKEN_HEADER,
+  TOOL_PROFILE_HEADER,
 };
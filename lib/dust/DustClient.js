@@ -0,0 +1,429 @@
+const { getLogger } = require('../logging/logger.js');
+const { getDustApiBaseUrl, getWorkspaceApiKey } = require('../config.js');
+const { DEFAULT_RETRY_CONFIG, calculateDelay, isRetryableError, sleep } = require('../http/retryPolicy.js');
+const { renderRequest } = require('../http/dryRun.js');
+const { readServerSentEvents } = require('../http/sse.js');
+
+const logger = getLogger('DustClient');
+
+// Methods that can be sent again without repeating a side effect
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Failures where the API never processed the request, so any method may be retried
+const UNPROCESSED_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const UNPROCESSED_STATUSES = [429];
+
+/**
+ * Error raised for a failed Dust API call
+ */
+class DustError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details
+   * @param {number} [options.status] - HTTP status of the response
+   * @param {string} [options.code] - Dust error type (e.g. "data_source_not_found") or network error code
+   * @param {*} [options.details] - Error body returned by the API
+   * @param {string} [options.method] - HTTP method of the request
+   * @param {string} [options.path] - Path of the request
+   */
+  constructor(message, { status, code, details, method, path } = {}) {
+    super(message);
+    this.name = 'DustError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.method = method;
+    this.path = path;
+  }
+
+  /**
+   * Details of the error in the shape of a Dust API error, for tool results
+   * @returns {{error: Object}}
+   */
+  toJSON() {
+    return {
+      error: {
+        type: this.code,
+        message: this.message,
+        status: this.status,
+        request: this.method && this.path ? `${this.method} ${this.path}` : undefined,
+        details: this.details
+      }
+    };
+  }
+}
+
+/**
+ * The Dust API answered with an error status
+ */
+class DustApiError extends DustError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'DustApiError';
+  }
+}
+
+/**
+ * The Dust API did not answer within the timeout
+ */
+class DustTimeoutError extends DustError {
+  constructor(message, options) {
+    super(message, { code: 'ETIMEDOUT', ...options });
+    this.name = 'DustTimeoutError';
+  }
+}
+
+/**
+ * Read the error body of a response: the Dust error object, or the raw text
+ * @private
+ * @param {Response} response - Failed response
+ * @returns {Promise<*>}
+ */
+async function readErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text || undefined;
+  }
+}
+
+/**
+ * Client for the Dust REST API shared by the Dust tools.
+ * Handles the base URL, authentication, timeouts and retries, and turns failures into DustError.
+ */
+class DustClient {
+  /**
+   * @param {Object} [options] - Client options
+   * @param {string} [options.baseUrl] - Base URL of the Dust API, DUST_API_BASE_URL when not given
+   * @param {string} [options.apiKey] - API key, DUST_API_KEY when not given
+   * @param {string} [options.workspaceId] - Workspace ID, DUST_WORKSPACE_ID when not given
+   * @param {Object} [options.retry] - Retry configuration, see StreamingHandler
+   * @param {Function} [options.fetch] - fetch implementation, the global fetch by default
+   */
+  constructor({ baseUrl = getDustApiBaseUrl(), apiKey, workspaceId, retry = {}, fetch } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.workspaceId = workspaceId;
+    this.retryConfig = { ...DEFAULT_RETRY_CONFIG, ...retry };
+    this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+  }
+
+  /**
+   * Path of the workspace in the v1 API
+   * @returns {string} e.g. "/api/v1/w/abc123"
+   * @throws {DustError} If no workspace is configured
+   */
+  workspacePath() {
+    const workspaceId = this.workspaceId || process.env.DUST_WORKSPACE_ID;
+    if (!workspaceId) {
+      throw new DustError('No Dust workspace configured, set DUST_WORKSPACE_ID', { code: 'workspace_not_configured' });
+    }
+    return `/api/v1/w/${encodeURIComponent(workspaceId)}`;
+  }
+
+  /**
+   * Build the URL of a request
+   * @param {string} path - Absolute URL, path starting with /api/, or a path relative to the workspace v1 API
+   * @param {Object} [query] - Query parameters; undefined and null values are skipped, arrays repeated
+   * @returns {string}
+   */
+  buildUrl(path, query = {}) {
+    let url;
+    if (/^https?:\/\//i.test(path)) {
+      url = new URL(path);
+    } else {
+      const fullPath = path.startsWith('/api/') ? path : `${this.workspacePath()}${path}`;
+      url = new URL(`${this.baseUrl}${fullPath}`);
+    }
+    for (const [key, value] of Object.entries(query)) {
+      if (value === undefined || value === null) continue;
+      for (const item of Array.isArray(value) ? value : [value]) {
+        url.searchParams.append(key, String(item));
+      }
+    }
+    return url.toString();
+  }
+
+  /**
+   * Send a request, retrying transient failures with the StreamingHandler backoff policy.
+   * Requests that are not idempotent are only retried when the API never processed them.
+   * @param {string} method - HTTP method
+   * @param {string} path - Absolute URL, path starting with /api/, or a path relative to the workspace v1 API
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.query] - Query parameters
+   * @param {*} [options.body] - JSON body, or a FormData sent as multipart
+   * @param {AbortSignal} [options.signal] - Cancels the request and its retries
+   * @param {number} [options.timeout] - Timeout of each attempt in ms
+   * @param {boolean} [options.dryRun] - Return the request as curl and JSON, with the key redacted, instead of sending it
+   * @returns {Promise<*>} The parsed JSON response, or the rendered request of a dry run
+   * @throws {DustError} When the request fails for good
+   */
+  async request(method, path, { query, body, signal, timeout = this.retryConfig.timeout, dryRun = false } = {}) {
+    const url = this.buildUrl(path, query);
+    if (dryRun) {
+      return renderRequest({ method, url, headers: this._headers(body), body });
+    }
+    return this._withRetries(method, path, signal, () => this._send(method, path, url, { body, signal, timeout }));
+  }
+
+  /**
+   * Send a request answered with server-sent events, such as a streamed app run.
+   * The timeout only covers the wait for the response: events then flow until the server ends the stream.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the workspace
+   * @param {Object} [options] - Request options, as for DustClient#request without dryRun
+   * @yields {Object} Each event, parsed from JSON
+   * @throws {DustError} When the request fails for good
+   */
+  async *stream(method, path, { query, body, signal, timeout = this.retryConfig.timeout } = {}) {
+    const url = this.buildUrl(path, query);
+    const { response, release } = await this._withRetries(
+      method,
+      path,
+      signal,
+      () => this._open(method, path, url, { body, signal, timeout, accept: 'text/event-stream' })
+    );
+
+    try {
+      for await (const data of readServerSentEvents(response.body)) {
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (error) {
+          // End markers such as "done" are not events
+          logger.debug(`Skipping non-JSON event of ${method} ${path}`, { data: data.slice(0, 100) });
+          continue;
+        }
+        yield event;
+      }
+    } finally {
+      release();
+    }
+  }
+
+  /** @see DustClient#request */
+  get(path, options) {
+    return this.request('GET', path, options);
+  }
+
+  /** @see DustClient#request */
+  post(path, body, options = {}) {
+    return this.request('POST', path, { ...options, body });
+  }
+
+  /** @see DustClient#request */
+  patch(path, body, options = {}) {
+    return this.request('PATCH', path, { ...options, body });
+  }
+
+  /** @see DustClient#request */
+  put(path, body, options = {}) {
+    return this.request('PUT', path, { ...options, body });
+  }
+
+  /** @see DustClient#request */
+  delete(path, options) {
+    return this.request('DELETE', path, options);
+  }
+
+  /**
+   * Upload a file to the Dust file API: the file is declared, then its content is sent to its upload URL
+   * @param {Object} file - File to upload
+   * @param {string} file.fileName - Name of the file
+   * @param {string} file.contentType - MIME type of the file
+   * @param {Buffer} file.data - Content of the file
+   * @param {string} [file.useCase='conversation'] - What the file is for, as the Dust file API names it
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @returns {Promise<Object>} The Dust file, with its sId
+   * @throws {DustError} When the upload fails
+   */
+  async uploadFile({ fileName, contentType, data, useCase = 'conversation' }, { signal } = {}) {
+    const { file } = await this.post('/files', { contentType, fileName, fileSize: data.length, useCase }, { signal });
+    if (!file?.uploadUrl) {
+      throw new DustError(`POST /files returned no upload URL for ${fileName}`, { method: 'POST', path: '/files' });
+    }
+
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: contentType }), fileName);
+    // The upload URL may be on another host than the API, with a query string, so it is kept whole
+    const uploadUrl = new URL(file.uploadUrl, this.baseUrl).toString();
+    const uploaded = await this.post(uploadUrl, form, { signal });
+    return uploaded.file || file;
+  }
+
+  /**
+   * Whether a failed attempt may be sent again
+   * @private
+   */
+  _shouldRetry(error, idempotent) {
+    if (!(error instanceof DustError) || !isRetryableError(error, this.retryConfig)) {
+      return false;
+    }
+    return idempotent || UNPROCESSED_ERRORS.includes(error.code) || UNPROCESSED_STATUSES.includes(error.status);
+  }
+
+  /**
+   * Headers of a request
+   * @private
+   */
+  _headers(body) {
+    const headers = { 'Accept': 'application/json' };
+    // fetch sets the multipart Content-Type of FormData bodies, with their boundary
+    if (body !== undefined && !(body instanceof FormData)) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const apiKey = this.apiKey || process.env.DUST_API_KEY;
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Run attempts of a request until one succeeds or it may not be retried
+   * @private
+   */
+  async _withRetries(method, path, signal, attempt) {
+    const idempotent = IDEMPOTENT_METHODS.includes(method);
+    const { maxRetries } = this.retryConfig;
+
+    for (let retries = 0; ; retries++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        if (signal?.aborted || retries >= maxRetries || !this._shouldRetry(error, idempotent)) {
+          throw error;
+        }
+        const delay = Math.min(
+          Math.max(calculateDelay(retries, this.retryConfig), error.retryAfter || 0),
+          this.retryConfig.maxDelay
+        );
+        logger.warning(`Retrying ${method} ${path} after ${error.message}`, { attempt: retries + 1, delay: Math.round(delay) });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Send one attempt of a request and parse its JSON response
+   * @private
+   */
+  async _send(method, path, url, options) {
+    const { response, release } = await this._open(method, path, url, options);
+    try {
+      if (response.status === 204) {
+        return {};
+      }
+      return await response.json();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Send one attempt of a request, up to a successful response.
+   * The timeout keeps running until release() is called, except for event streams where it stops with the response.
+   * @private
+   * @returns {Promise<{response: Response, release: Function}>}
+   */
+  async _open(method, path, url, { body, signal, timeout, accept }) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    signal?.addEventListener('abort', abort, { once: true });
+    if (signal?.aborted) abort();
+    const release = () => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', abort);
+    };
+
+    const headers = this._headers(body);
+    if (accept) {
+      headers['Accept'] = accept;
+    }
+
+    try {
+      let response;
+      try {
+        response = await this.fetch(url, {
+          method,
+          headers,
+          body: body === undefined || body instanceof FormData ? body : JSON.stringify(body),
+          signal: controller.signal
+        });
+      } catch (error) {
+        if (timedOut) {
+          throw new DustTimeoutError(`${method} ${path} timed out after ${timeout}ms`, { method, path });
+        }
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        const code = error.cause?.code || error.code;
+        throw new DustError(`${method} ${path} failed: ${error.cause?.message || error.message}`, { code, method, path });
+      }
+
+      if (!response.ok) {
+        const details = await readErrorBody(response);
+        const dustError = details && typeof details === 'object' ? details.error : undefined;
+        const error = new DustApiError(
+          dustError?.message || `${method} ${path} failed with HTTP ${response.status}`,
+          { status: response.status, code: dustError?.type, details, method, path }
+        );
+        const retryAfter = Number(response.headers?.get?.('retry-after'));
+        if (retryAfter > 0) {
+          error.retryAfter = retryAfter * 1000;
+        }
+        throw error;
+      }
+
+      if (accept === 'text/event-stream') {
+        clearTimeout(timeoutId);
+      }
+      return { response, release };
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+}
+
+let defaultClient = null;
+const workspaceClients = new Map();
+
+/**
+ * Client shared by the Dust tools, configured from the environment.
+ * A workspace other than DUST_WORKSPACE_ID gets its own client, authenticated with WORKSPACE_<ID>_API_KEY.
+ * @param {string} [workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given
+ * @returns {DustClient}
+ * @throws {DustError} If the workspace has no API key configured
+ */
+function getDustClient(workspaceId) {
+  if (!workspaceId || workspaceId === process.env.DUST_WORKSPACE_ID) {
+    if (!defaultClient) {
+      defaultClient = new DustClient();
+    }
+    return defaultClient;
+  }
+
+  const apiKey = getWorkspaceApiKey(workspaceId);
+  if (!apiKey) {
+    throw new DustError(
+      `No API key configured for Dust workspace ${workspaceId}, set WORKSPACE_${workspaceId.toUpperCase()}_API_KEY`,
+      { code: 'workspace_not_configured' }
+    );
+  }
+  let client = workspaceClients.get(workspaceId);
+  if (!client || client.apiKey !== apiKey) {
+    client = new DustClient({ apiKey, workspaceId });
+    workspaceClients.set(workspaceId, client);
+  }
+  return client;
+}
+
+module.exports = { DustClient, DustError, DustApiError, DustTimeoutError, getDustClient };
@@ -0,0 +1,148 @@
+/**
+ * Portable agent definitions: a Dust agent configuration without the IDs, versions and
+ * user state of its workspace, so that it can be compared with another one or recreated elsewhere.
+ */
+
+const { createTwoFilesPatch } = require('diff');
+
+const AGENT_DEFINITION_FORMAT = 'dust-agent-definition';
+const AGENT_DEFINITION_FORMAT_VERSION = 1;
+
+// Keys of an action that identify it in its workspace only
+const ACTION_ID_KEYS = ['id', 'sId'];
+
+// Keys of a data source reference kept in the list of data sources to remap
+const DATA_SOURCE_KEYS = ['workspaceId', 'dataSourceViewId', 'dataSourceId', 'tableId', 'filter'];
+
+/**
+ * List the data sources and tables the actions of an agent read from
+ * @param {Array<Object>} [actions] - Actions of an agent configuration
+ * @returns {Array<Object>} One entry per reference, with the name of its action
+ */
+function collectDataSources(actions = []) {
+  const dataSources = [];
+  for (const action of actions) {
+    for (const reference of [...(action.dataSources || []), ...(action.tables || [])]) {
+      const entry = { action: action.name };
+      for (const key of DATA_SOURCE_KEYS) {
+        if (reference[key] !== undefined) entry[key] = reference[key];
+      }
+      dataSources.push(entry);
+    }
+  }
+  return dataSources;
+}
+
+/**
+ * Build the portable definition of an agent configuration
+ * @param {Object} agentConfiguration - Agent configuration returned by the Dust API
+ * @param {Object} [options] - Options
+ * @param {string} [options.workspaceId] - Workspace the agent is exported from
+ * @returns {Object} The definition, with the agent under "agent" and where it came from under "source"
+ */
+function toAgentDefinition(agentConfiguration, { workspaceId } = {}) {
+  const {
+    sId, version, versionCreatedAt, name, description, instructions, pictureUrl,
+    scope, model, actions = [], maxStepsPerRun, visualizationEnabled, tags
+  } = agentConfiguration;
+
+  const portableActions = actions.map((action) => Object.fromEntries(
+    Object.entries(action).filter(([key]) => !ACTION_ID_KEYS.includes(key))
+  ));
+
+  return {
+    format: AGENT_DEFINITION_FORMAT,
+    formatVersion: AGENT_DEFINITION_FORMAT_VERSION,
+    source: { workspaceId: workspaceId || null, sId, version, versionCreatedAt: versionCreatedAt || null },
+    agent: {
+      name,
+      description,
+      instructions: instructions ?? null,
+      pictureUrl: pictureUrl ?? null,
+      scope,
+      model: model ?? null,
+      maxStepsPerRun: maxStepsPerRun ?? null,
+      visualizationEnabled: visualizationEnabled ?? false,
+      tags: (tags || []).map((tag) => tag.name),
+      actions: portableActions
+    },
+    // Data sources belong to the source workspace: they are listed so they can be remapped
+    dataSources: collectDataSources(actions)
+  };
+}
+
+/**
+ * Check that an object is an agent definition this server can read
+ * @param {*} definition - Candidate definition, e.g. parsed from an export
+ * @returns {Object} The definition
+ * @throws {Error} If it is not an agent definition or has a newer format version
+ */
+function readAgentDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || definition.format !== AGENT_DEFINITION_FORMAT) {
+    throw new Error(`Not an agent definition: expected format "${AGENT_DEFINITION_FORMAT}", as exported by export_agent_configuration`);
+  }
+  if (!(definition.formatVersion <= AGENT_DEFINITION_FORMAT_VERSION)) {
+    throw new Error(`Unsupported agent definition format version ${definition.formatVersion}, expected ${AGENT_DEFINITION_FORMAT_VERSION} or lower`);
+  }
+  if (!definition.agent || typeof definition.agent !== 'object') {
+    throw new Error('The agent definition has no agent');
+  }
+  return definition;
+}
+
+/**
+ * Flatten a value into leaves keyed by path.
+ * Actions are keyed by name, so that reordering them is not a change.
+ * @private
+ */
+function flatten(value, path, leaves) {
+  if (Array.isArray(value) && path === 'actions') {
+    value.forEach((action, index) => flatten(action, `actions[${JSON.stringify(action.name ?? index)}]`, leaves));
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, path ? `${path}.${key}` : key, leaves);
+    }
+  } else {
+    leaves.set(path, value);
+  }
+  return leaves;
+}
+
+/**
+ * Compare the agents of two definitions
+ * @param {Object} from - Definition of the earlier version
+ * @param {Object} to - Definition of the later version
+ * @returns {{identical: boolean, changes: Array<{path: string, from: *, to: *}>, instructionsDiff?: string}}
+ *   Changed, added and removed fields; a missing side is undefined. Instructions changes come with a unified diff.
+ */
+function compareAgentDefinitions(from, to) {
+  const before = flatten(from.agent, '', new Map());
+  const after = flatten(to.agent, '', new Map());
+
+  const changes = [];
+  for (const path of new Set([...before.keys(), ...after.keys()])) {
+    if (JSON.stringify(before.get(path)) !== JSON.stringify(after.get(path))) {
+      changes.push({ path, from: before.get(path), to: after.get(path) });
+    }
+  }
+
+  const result = { identical: changes.length === 0, changes };
+  if (changes.some((change) => change.path === 'instructions')) {
+    result.instructionsDiff = createTwoFilesPatch(
+      'a/instructions', 'b/instructions',
+      // Both end with a newline, so the diff has no "No newline at end of file" markers
+      `${from.agent.instructions || ''}\n`, `${to.agent.instructions || ''}\n`,
+      undefined, undefined, { context: 3 }
+    );
+  }
+  return result;
+}
+
+module.exports = {
+  AGENT_DEFINITION_FORMAT,
+  AGENT_DEFINITION_FORMAT_VERSION,
+  collectDataSources,
+  compareAgentDefinitions,
+  readAgentDefinition,
+  toAgentDefinition
+};
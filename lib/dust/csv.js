@@ -0,0 +1,107 @@
+/**
+ * CSV parsing for the table tools: RFC 4180 fields, with quoted fields that may hold
+ * commas, doubled quotes and line breaks, and CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into lines of fields
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Options
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @returns {Array<Array<string>>} Lines, without the blank ones
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsvLines(text, { delimiter = ',' } = {}) {
+  const lines = [];
+  let line = [];
+  let field = '';
+  let quoted = false;
+  let lineNumber = 1;
+
+  const endLine = () => {
+    line.push(field);
+    if (line.length > 1 || line[0] !== '') {
+      lines.push(line);
+    }
+    line = [];
+    field = '';
+  };
+
+  // A leading byte order mark is not part of the first column name
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') lineNumber++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      line.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      endLine();
+      lineNumber++;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unclosed quoted field at line ${lineNumber}`);
+  }
+  endLine();
+  return lines;
+}
+
+/**
+ * Parse CSV text with a header line into column names and records
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Options passed to parseCsvLines
+ * @returns {{columns: Array<string>, records: Array<Object<string, string>>}}
+ * @throws {Error} If the header is missing or has duplicate names, or a line has more fields than the header
+ */
+function parseCsv(text, options) {
+  const [header, ...lines] = parseCsvLines(text, options);
+  if (!header) {
+    throw new Error('The CSV is empty, expected a header line');
+  }
+
+  const columns = header.map((name) => name.trim());
+  const duplicate = columns.find((name, index) => !name || columns.indexOf(name) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(duplicate ? `Duplicate CSV column "${duplicate}"` : 'The CSV header has an empty column name');
+  }
+
+  const records = lines.map((fields, index) => {
+    if (fields.length > columns.length) {
+      throw new Error(`CSV row ${index + 1} has ${fields.length} fields, the header has ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((name, column) => [name, fields[column] ?? '']));
+  });
+  return { columns, records };
+}
+
+/**
+ * Type a CSV field as a table cell: empty fields are null,
+ * numbers and booleans are kept as such and everything else stays a string
+ * @param {string} field - CSV field
+ * @returns {string|number|boolean|null}
+ */
+function toCellValue(field) {
+  const value = field.trim();
+  if (value === '') return null;
+  // Leading zeros, as in codes and zip codes, keep the field a string
+  if (/^-?(0|[1-9]\d*)(\.\d+)?(e[+-]?\d+)?$/i.test(value)) return Number(value);
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  return field;
+}
+
+module.exports = { parseCsv, parseCsvLines, toCellValue };
@@ -0,0 +1,101 @@
+/**
+ * Automatic pagination of the Dust list tools.
+ *
+ * A tool opts in with a pagination descriptor naming its arguments and result fields:
+ * - limit/offset: { items: 'documents', limit: 'limit', offset: 'offset', total: 'total' }
+ * - cursors:      { items: 'tables', limit: 'limit', cursor: 'cursor', nextCursor: 'nextPageCursor' }
+ *
+ * get_documents and get_table_rows declare one. The other list tools, such as list_workspace_vaults,
+ * list_tables or list_conversations, take no page arguments: the Dust API returns those lists whole.
+ */
+
+/**
+ * Arguments a client passes to fetch several pages in one call
+ */
+const PAGINATION_PROPERTIES = {
+  all: {
+    type: 'boolean',
+    description: 'Follow the pagination and return the items of every page, merged.'
+  },
+  maxPages: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Fetch at most this many pages, merged; with all: true, stops there instead of at the last page.'
+  }
+};
+
+/**
+ * Whether a tool declares how it is paginated
+ * @param {Object} tool - Tool object
+ * @returns {boolean}
+ */
+function supportsPagination(tool) {
+  const pagination = tool.pagination;
+  return Boolean(pagination && pagination.items && (pagination.offset || pagination.cursor));
+}
+
+/**
+ * Whether the arguments of a call ask for several pages
+ * @param {Object} [options] - Pagination arguments
+ * @param {boolean} [options.all] - Fetch every page
+ * @param {number} [options.maxPages] - Maximum number of pages
+ * @returns {boolean}
+ */
+function wantsPages({ all, maxPages } = {}) {
+  return all === true || maxPages !== undefined;
+}
+
+/**
+ * Call a paginated tool page after page and merge the pages.
+ * The merged result is the last page with the items of every page, so that its total or
+ * next cursor tells whether pages were left out by maxPages.
+ * @param {Object} tool - Tool with a pagination descriptor
+ * @param {Object} args - Tool arguments, used for the first page
+ * @param {Object} [context] - Tool call context, passed to every call
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.maxPages] - Maximum number of pages, unlimited when not given
+ * @param {Function} [options.onPage] - Awaited after each page with { page, count, fetched, total, totalPages }
+ * @returns {Promise<Object>} The merged result
+ */
+async function fetchAllPages(tool, args, context = {}, { maxPages = Infinity, onPage } = {}) {
+  const { items: itemsField, limit: limitArg, offset: offsetArg, total: totalField, cursor: cursorArg, nextCursor: nextCursorField } = tool.pagination;
+  const limit = limitArg ? args[limitArg] : undefined;
+  const startOffset = offsetArg ? args[offsetArg] || 0 : 0;
+  const seenCursors = new Set();
+  const items = [];
+  let pageArgs = args;
+  let result;
+
+  for (let page = 1; page <= maxPages; page++) {
+    result = await tool.function(pageArgs, context);
+    if (!result || !Array.isArray(result[itemsField])) {
+      // Errors returned by the tool, or an unexpected result, are returned as they are
+      return result;
+    }
+
+    const pageItems = result[itemsField];
+    items.push(...pageItems);
+
+    const total = totalField && typeof result[totalField] === 'number' ? result[totalField] : undefined;
+    const totalPages = total !== undefined && limit
+      ? Math.min(maxPages, Math.ceil((total - startOffset) / limit))
+      : undefined;
+    await onPage?.({ page, count: pageItems.length, fetched: items.length, total, totalPages });
+
+    if (pageItems.length === 0) break;
+    if (offsetArg) {
+      const offset = startOffset + items.length;
+      if ((limit && pageItems.length < limit) || (total !== undefined && offset >= total)) break;
+      pageArgs = { ...pageArgs, [offsetArg]: offset };
+    } else {
+      const nextCursor = result[nextCursorField];
+      if (!nextCursor || seenCursors.has(nextCursor)) break;
+      seenCursors.add(nextCursor);
+      pageArgs = { ...pageArgs, [cursorArg]: nextCursor };
+    }
+  }
+
+  return { ...result, [itemsField]: items };
+}
+
+module.exports = { PAGINATION_PROPERTIES, supportsPagination, wantsPages, fetchAllPages };
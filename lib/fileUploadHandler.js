@@ -1,11 +1,26 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getDustClient } = require('./dust/DustClient.js');
+const { getLogger } = require('./logging/logger.js');
+
+const logger = getLogger('FileUploadHandler');
 
 class FileUploadHandler {
-  constructor({ uploadDir = './uploads', maxFileSize = 10 * 1024 * 1024 } = {}) {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.uploadDir='./uploads'] - Directory the files are saved in
+   * @param {number} [options.maxFileSize] - Maximum file size in bytes (10 MB)
+   * @param {boolean} [options.uploadToDust] - Also upload files to the Dust file API, unless DUST_UPLOAD_FILES=false
+   */
+  constructor({
+    uploadDir = './uploads',
+    maxFileSize = 10 * 1024 * 1024,
+    uploadToDust = process.env.DUST_UPLOAD_FILES !== 'false'
+  } = {}) {
     this.uploadDir = uploadDir;
     this.maxFileSize = maxFileSize;
+    this.uploadToDustEnabled = uploadToDust;
     this.allowedMimeTypes = new Set([
       'text/plain',
       'application/pdf',
@@ -24,12 +39,15 @@ class FileUploadHandler {
   }
 
   /**
-   * Handle file upload
+   * Handle file upload: the file is saved locally, then uploaded to Dust.
+   * A failed Dust upload is recorded in dustUploadError and retried by uploadToDust.
    * @param {Object} file - File object with buffer, originalname, mimetype, size
    * @param {string} sessionId - Current session ID
-   * @returns {Promise<Object>} - File metadata
+   * @param {Object} [options] - Options
+   * @param {string} [options.workspaceId] - Dust workspace of the session, DUST_WORKSPACE_ID when not given
+   * @returns {Promise<Object>} - File metadata, with the Dust file ID in dustFileId
    */
-  async handleUpload(file, sessionId) {
+  async handleUpload(file, sessionId, { workspaceId } = {}) {
     try {
       // Validate file
       if (!file || !file.buffer || !file.originalname || !file.mimetype) {
@@ -54,8 +72,7 @@ class FileUploadHandler {
       // Save file
       await fs.promises.writeFile(filepath, file.buffer);
 
-      // Return file metadata
-      return {
+      const metadata = {
         id: uuidv4(),
         originalName: file.originalname,
         filename,
@@ -63,14 +80,51 @@ class FileUploadHandler {
         mimeType: file.mimetype,
         size: file.size,
         uploadedAt: new Date().toISOString(),
-        sessionId
+        sessionId,
+        dustFileId: null
       };
+
+      if (this.uploadToDustEnabled) {
+        try {
+          await this.uploadToDust(metadata, { workspaceId, data: file.buffer });
+        } catch (error) {
+          logger.warning(`Could not upload ${file.originalname} to Dust: ${error.message}`, { sessionId, workspaceId });
+          metadata.dustUploadError = error.message;
+        }
+      }
+
+      // Return file metadata
+      return metadata;
     } catch (error) {
-      console.error('[FileUploadHandler] Error handling file upload:', error);
+      logger.error('Error handling file upload', { sessionId, error });
       throw error;
     }
   }
 
+  /**
+   * Upload a saved file to the Dust file API and record its Dust file ID in its metadata
+   * @param {Object} metadata - File metadata returned by handleUpload, updated in place
+   * @param {Object} [options] - Options
+   * @param {string} [options.workspaceId] - Dust workspace to upload to, DUST_WORKSPACE_ID when not given
+   * @param {Buffer} [options.data] - Content of the file, read from its filepath when not given
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @returns {Promise<Object>} - The updated metadata
+   * @throws {DustError} When the upload fails
+   */
+  async uploadToDust(metadata, { workspaceId = process.env.DUST_WORKSPACE_ID, data, signal } = {}) {
+    const content = data || await fs.promises.readFile(metadata.filepath);
+    const dustFile = await getDustClient(workspaceId).uploadFile({
+      fileName: metadata.originalName,
+      contentType: metadata.mimeType,
+      data: content
+    }, { signal });
+
+    metadata.dustFileId = dustFile.sId;
+    metadata.dustWorkspaceId = workspaceId;
+    delete metadata.dustUploadError;
+    return metadata;
+  }
+
   /**
    * Clean up files for a session
    * @param {string} sessionId - Session ID
@@ -79,9 +133,9 @@ class FileUploadHandler {
     try {
       // In a real implementation, you would query your database for files
       // associated with this session and delete them
-      console.log(`[FileUploadHandler] Cleaning up files for session ${sessionId}`);
+      logger.info(`Cleaning up files for session ${sessionId}`, { sessionId });
     } catch (error) {
-      console.error(`[FileUploadHandler] Error cleaning up files for session ${sessionId}:`, error);
+      logger.error(`Error cleaning up files for session ${sessionId}`, { sessionId, error });
     }
   }
 }
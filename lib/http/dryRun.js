@@ -0,0 +1,94 @@
+/**
+ * Rendering of HTTP requests for dry runs: the request a tool would send, without sending it
+ */
+
+// Headers whose value is replaced in renderings
+const REDACTED_HEADERS = ['authorization', 'x-api-key', 'cookie'];
+const REDACTED = '***';
+
+/**
+ * Argument a client passes to preview a tool call
+ */
+const DRY_RUN_PROPERTY = {
+  type: 'boolean',
+  description: 'Return the HTTP request as a curl command and as JSON instead of sending it.'
+};
+
+/**
+ * Whether a tool can render its request instead of sending it
+ * @param {Object} tool - Tool object
+ * @returns {boolean}
+ */
+function supportsDryRun(tool) {
+  return tool.supportsDryRun === true;
+}
+
+/**
+ * Copy of request headers with credentials redacted, keeping the auth scheme
+ * @param {Object<string, string>} headers - Request headers
+ * @returns {Object<string, string>}
+ */
+function redactHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => {
+    if (!REDACTED_HEADERS.includes(name.toLowerCase())) {
+      return [name, value];
+    }
+    const scheme = /^(Bearer|Basic)\s/i.exec(value);
+    return [name, scheme ? `${scheme[1]} ${REDACTED}` : REDACTED];
+  }));
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @private
+ * @param {string} value - Value to quote
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Render a request as a curl command
+ * @param {Object} request - Rendered request from renderRequest
+ * @returns {string}
+ */
+function toCurl({ method, url, headers, body }) {
+  const parts = [`curl -X ${method} ${shellQuote(url)}`];
+  for (const [name, value] of Object.entries(headers)) {
+    parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+  if (body !== undefined) {
+    parts.push(`--data ${shellQuote(typeof body === 'string' ? body : JSON.stringify(body))}`);
+  }
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * Render the request a tool would send
+ * @param {Object} request - Request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL
+ * @param {Object<string, string>} [request.headers] - Headers; credentials are redacted
+ * @param {*} [request.body] - Body, as a value or as the serialized string
+ * @returns {{dryRun: true, request: Object, curl: string}}
+ */
+function renderRequest({ method, url, headers = {}, body }) {
+  let parsedBody = body;
+  if (typeof body === 'string') {
+    try {
+      parsedBody = JSON.parse(body);
+    } catch (error) {
+      parsedBody = body;
+    }
+  }
+  const request = {
+    method,
+    url,
+    headers: redactHeaders(headers),
+    ...(parsedBody !== undefined && { body: parsedBody })
+  };
+  return { dryRun: true, request, curl: toCurl(request) };
+}
+
+module.exports = { DRY_RUN_PROPERTY, supportsDryRun, redactHeaders, renderRequest, toCurl };
@@ -0,0 +1,56 @@
+/**
+ * Backoff policy shared by StreamingHandler and DustClient
+ */
+const DEFAULT_RETRY_CONFIG = {
+  maxRetries: 3,
+  initialDelay: 1000, // 1 second
+  maxDelay: 10000,    // 10 seconds
+  factor: 2,
+  timeout: 30000,     // 30 seconds
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  retryableErrors: ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']
+};
+
+/**
+ * Calculate the delay before a retry, with exponential backoff and jitter
+ * @param {number} attempt - Number of attempts already retried, starting at 0
+ * @param {Object} config - Retry configuration
+ * @returns {number} Delay in ms
+ */
+function calculateDelay(attempt, config) {
+  const { initialDelay, maxDelay, factor } = config;
+  const delay = Math.min(initialDelay * Math.pow(factor, attempt), maxDelay);
+  return delay * (0.5 + Math.random() * 0.5); // Add jitter
+}
+
+/**
+ * Check if an error is worth retrying: a network error or a retryable HTTP status
+ * @param {Error} error - Error with an optional code and status
+ * @param {Object} config - Retry configuration
+ * @returns {boolean}
+ */
+function isRetryableError(error, config) {
+  if (config.retryableErrors.includes(error.code)) return true;
+  if (error.status && config.retryableStatuses.includes(error.status)) return true;
+  return false;
+}
+
+/**
+ * Wait before a retry, giving up early when the call is cancelled
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} [signal] - Signal of the call
+ * @returns {Promise<void>}
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, delay);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+module.exports = { DEFAULT_RETRY_CONFIG, calculateDelay, isRetryableError, sleep };
@@ -0,0 +1,46 @@
+/**
+ * Reader for server-sent event bodies, such as the streamed Dust app runs
+ */
+
+/**
+ * Read the events of a server-sent event body
+ * @param {AsyncIterable<Uint8Array|string>} body - Response body, a web ReadableStream or a Node stream
+ * @returns {AsyncGenerator<string>} The data of each event, with its data lines joined by newlines
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let data = [];
+
+  // The data of the event a line ends, if any
+  const readLine = (rawLine) => {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    if (line === '') {
+      const event = data.length > 0 ? data.join('\n') : null;
+      data = [];
+      return event;
+    }
+    // Comments (keep-alives) and the event, id and retry fields carry no data
+    if (line.startsWith('data:')) {
+      data.push(line.slice(line.startsWith('data: ') ? 6 : 5));
+    }
+    return null;
+  };
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const event = readLine(line);
+      if (event !== null) yield event;
+    }
+  }
+
+  // A stream may end without the blank line closing its last event
+  buffer += decoder.decode();
+  const last = readLine(buffer) ?? readLine('');
+  if (last !== null) yield last;
+}
+
+module.exports = { readServerSentEvents };
@@ -0,0 +1,65 @@
+const { SetLevelRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { addLogSink, isLevelEnabled, toMcpLevel } = require('./logger.js');
+
+const DEFAULT_CLIENT_LEVEL = 'info';
+
+// Components whose records without a sessionId concern every session, such as tools being reloaded
+const SERVER_WIDE_COMPONENTS = new Set(['ToolRegistry']);
+
+/**
+ * Expose the structured logger through the MCP logging capability.
+ * Handles logging/setLevel and forwards log records as notifications/message once the
+ * client is initialized. A server bound to a session only receives the records tagged with
+ * its sessionId, and the untagged ones of SERVER_WIDE_COMPONENTS: other records may come
+ * from other sessions, possibly of other workspaces.
+ *
+ * @param {Server} server - MCP server declaring the logging capability
+ * @param {Object} [options] - Options
+ * @param {string} [options.sessionId] - SessionManager session served by this server
+ * @param {string} [options.level='info'] - Level used until the client calls logging/setLevel
+ * @returns {Function} Stops forwarding records
+ */
+function attachMcpLogging(server, { sessionId, level = DEFAULT_CLIENT_LEVEL } = {}) {
+  let threshold = level;
+  let initialized = false;
+
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    threshold = request.params.level;
+    return {};
+  });
+
+  const removeSink = addLogSink((info) => {
+    if (!initialized) return;
+    if (sessionId && info.sessionId !== sessionId
+      && !(info.sessionId === undefined && SERVER_WIDE_COMPONENTS.has(info.component))) return;
+
+    const recordLevel = toMcpLevel(info.level);
+    if (!isLevelEnabled(recordLevel, threshold)) return;
+
+    const { level: _level, component, message, ...meta } = info;
+    server.sendLoggingMessage({
+      level: recordLevel,
+      logger: component,
+      data: { message, ...meta }
+    }).catch(() => {
+      // The client went away; logging about it here would loop back into this sink
+    });
+  });
+
+  const previousOnInitialized = server.oninitialized;
+  server.oninitialized = () => {
+    initialized = true;
+    previousOnInitialized?.();
+  };
+
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    initialized = false;
+    removeSink();
+    previousOnClose?.();
+  };
+
+  return removeSink;
+}
+
+module.exports = { attachMcpLogging, SERVER_WIDE_COMPONENTS };
@@ -0,0 +1,157 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+/**
+ * MCP log levels (RFC 5424 severities), most severe first.
+ * winston's syslog levels are the same ones, with shorter names for two of them.
+ */
+const LOG_LEVELS = ['emergency', 'alert', 'critical', 'error', 'warning', 'notice', 'info', 'debug'];
+const TO_WINSTON_LEVEL = { emergency: 'emerg', critical: 'crit' };
+const FROM_WINSTON_LEVEL = { emerg: 'emergency', crit: 'critical' };
+
+const DEFAULT_LEVEL = 'info';
+
+/**
+ * Map an MCP log level to its winston name
+ * @param {string} level - MCP log level
+ * @returns {string}
+ */
+function toWinstonLevel(level) {
+  return TO_WINSTON_LEVEL[level] || level;
+}
+
+/**
+ * Map a winston log level to its MCP name
+ * @param {string} level - winston log level
+ * @returns {string}
+ */
+function toMcpLevel(level) {
+  return FROM_WINSTON_LEVEL[level] || level;
+}
+
+/**
+ * Whether a record at `level` passes the `threshold` level
+ * @param {string} level - MCP level of the record
+ * @param {string} threshold - Lowest MCP level to let through
+ * @returns {boolean}
+ */
+function isLevelEnabled(level, threshold) {
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Console level from LOG_LEVEL, falling back to info for unknown values
+ * @private
+ * @returns {string} MCP log level
+ */
+function getConsoleLevel() {
+  const level = process.env.LOG_LEVEL;
+  return LOG_LEVELS.includes(level) ? level : DEFAULT_LEVEL;
+}
+
+// Functions receiving every log record, e.g. to forward it to MCP clients
+const sinks = new Set();
+
+/**
+ * winston transport handing records to the registered sinks
+ * @private
+ */
+class SinkTransport extends winston.Transport {
+  log(info, callback) {
+    for (const sink of sinks) {
+      try {
+        sink(info);
+      } catch {
+        // A failing sink must never break logging
+      }
+    }
+    callback();
+  }
+}
+
+// Metadata of the work in progress, e.g. the sessionId of the MCP request being handled
+const logContext = new AsyncLocalStorage();
+
+// Records logged while handling a request get its metadata, unless they set it themselves
+const addLogContext = winston.format((info) => {
+  for (const [key, value] of Object.entries(logContext.getStore() || {})) {
+    if (info[key] === undefined) {
+      info[key] = value;
+    }
+  }
+  return info;
+});
+
+// Errors passed as metadata keep their message and stack instead of serializing to {}
+const serializeErrors = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[key] = value.stack || value.message;
+    }
+  }
+  return info;
+});
+
+// One line per record: time, level, [component], session correlation ID, message and remaining metadata
+const lineFormat = winston.format.printf(({ timestamp, level, component, sessionId, message, ...meta }) => {
+  const tag = component ? ` [${component}]` : '';
+  const session = sessionId ? ` (session ${sessionId})` : '';
+  const extra = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+  return `${timestamp} ${toMcpLevel(level)}${tag}${session} ${message}${extra}`;
+});
+
+// Logs go to stderr: stdout carries the MCP stdio transport
+const rootLogger = winston.createLogger({
+  levels: winston.config.syslog.levels,
+  level: 'debug',
+  format: winston.format.combine(addLogContext(), serializeErrors(), winston.format.timestamp()),
+  transports: [
+    new winston.transports.Console({
+      level: toWinstonLevel(getConsoleLevel()),
+      stderrLevels: Object.keys(winston.config.syslog.levels),
+      format: process.env.LOG_FORMAT === 'json' ? winston.format.json() : lineFormat
+    }),
+    new SinkTransport({ level: 'debug' })
+  ]
+});
+
+/**
+ * Get a logger tagged with a component name
+ * @param {string} component - Component name, e.g. "SessionManager"
+ * @param {Object} [meta] - Metadata added to every record, e.g. { sessionId }
+ * @returns {winston.Logger} Logger with the syslog level methods (debug, info, notice, warning, error...)
+ */
+function getLogger(component, meta = {}) {
+  return rootLogger.child({ component, ...meta });
+}
+
+/**
+ * Run a function with metadata added to every record it logs, including from the
+ * modules it calls and the async work it starts, e.g. the DustClient calls of a tool
+ * @param {Object} meta - Metadata, e.g. { sessionId }
+ * @param {Function} fn - Function to run
+ * @returns {*} What the function returns
+ */
+function withLogContext(meta, fn) {
+  return logContext.run({ ...logContext.getStore(), ...meta }, fn);
+}
+
+/**
+ * Receive every log record, whatever the console level
+ * @param {Function} sink - Called with each winston info object
+ * @returns {Function} Removes the sink
+ */
+function addLogSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  getLogger,
+  addLogSink,
+  isLevelEnabled,
+  toMcpLevel,
+  toWinstonLevel,
+  withLogContext
+};
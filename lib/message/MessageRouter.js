@@ -12,12 +12,15 @@ class MessageRouter extends EventEmitter {
    * @param {number} [options.maxConcurrent=5] - Maximum concurrent messages per session
    * @param {number} [options.rateLimitWindow=1000] - Rate limit window in ms
    * @param {number} [options.rateLimitMax=10] - Maximum messages per window
+   * @param {Function} [options.processMessage] - Processes a message: called with the session, the message
+   *   and `{ signal }`, the signal being aborted when the message is cancelled
    */
   constructor({ 
     sessionManager, 
     maxConcurrent = 5, 
     rateLimitWindow = 1000, 
-    rateLimitMax = 10 
+    rateLimitMax = 10,
+    processMessage
   } = {}) {
     super();
     
@@ -29,6 +32,7 @@ class MessageRouter extends EventEmitter {
     this.maxConcurrent = maxConcurrent;
     this.rateLimitWindow = rateLimitWindow;
     this.rateLimitMax = rateLimitMax;
+    this.processMessage = processMessage;
     
     // Track rate limits by session ID
     this.rateLimits = new Map();
@@ -39,6 +43,9 @@ class MessageRouter extends EventEmitter {
     // Message queues by session ID
     this.queues = new Map();
     
+    // Messages currently being processed, by message ID
+    this.activeMessages = new Map();
+    
     // Bind methods
     this.processQueue = this.processQueue.bind(this);
   }
@@ -89,6 +96,8 @@ class MessageRouter extends EventEmitter {
     
     // Update active count
     this.activeCounts.set(sessionId, activeCount + 1);
+    const controller = new AbortController();
+    this.activeMessages.set(message.id, { sessionId, message, reject, controller });
     
     try {
       // Check rate limit
@@ -106,7 +115,7 @@ class MessageRouter extends EventEmitter {
       this.emit('message:processing', { sessionId, message });
       
       // Process the message (this would be connected to your actual message handler)
-      const result = await this._processMessage(session, message);
+      const result = await this._processMessage(session, message, { signal: controller.signal });
       
       // Emit completion event
       this.emit('message:complete', { sessionId, message, result });
@@ -120,25 +129,31 @@ class MessageRouter extends EventEmitter {
       // Reject the promise
       reject(error);
     } finally {
-      // Update active count
-      const newCount = (this.activeCounts.get(sessionId) || 1) - 1;
-      this.activeCounts.set(sessionId, newCount);
-      
-      // Process next message in queue
-      setImmediate(() => this.processQueue(sessionId));
+      // A cancelled message has already released its slot
+      if (this.activeMessages.delete(message.id)) {
+        // Update active count
+        const newCount = (this.activeCounts.get(sessionId) || 1) - 1;
+        this.activeCounts.set(sessionId, newCount);
+        
+        // Process next message in queue
+        setImmediate(() => this.processQueue(sessionId));
+      }
     }
   }
   
   /**
-   * Process a message (to be implemented by subclasses or extended)
+   * Process a message with the processMessage option, or override in subclasses
    * @protected
    * @param {Object} session - The session object
    * @param {Object} message - The message to process
+   * @param {Object} context - Processing context
+   * @param {AbortSignal} context.signal - Aborted when the message is cancelled
    * @returns {Promise<Object>} The processing result
    */
-  async _processMessage(session, message) {
-    // This should be overridden by subclasses or monkey-patched
-    // to provide actual message processing logic
+  async _processMessage(session, message, context) {
+    if (this.processMessage) {
+      return this.processMessage(session, message, context);
+    }
     return { status: 'processed', messageId: message.id };
   }
   
@@ -177,6 +192,46 @@ class MessageRouter extends EventEmitter {
     });
   }
   
+  /**
+   * Cancel a queued or active message and release its slot
+   * @param {string} sessionId - The session ID
+   * @param {string} messageId - The ID of the message to cancel
+   * @returns {boolean} True if the message was cancelled, false if not found
+   */
+  cancelMessage(sessionId, messageId) {
+    const error = new Error('Message cancelled');
+    error.name = 'AbortError';
+    
+    // Drop the message if it is still waiting in the queue
+    const queue = this.queues.get(sessionId) || [];
+    const index = queue.findIndex(entry => entry.message.id === messageId);
+    if (index !== -1) {
+      const [{ message, reject }] = queue.splice(index, 1);
+      this.emit('message:cancelled', { sessionId, message });
+      reject(error);
+      return true;
+    }
+    
+    // Otherwise abort the active message and release its slot right away;
+    // its eventual result is ignored
+    const active = this.activeMessages.get(messageId);
+    if (!active || active.sessionId !== sessionId) {
+      return false;
+    }
+    
+    this.activeMessages.delete(messageId);
+    active.controller.abort(error);
+    const newCount = Math.max((this.activeCounts.get(sessionId) || 1) - 1, 0);
+    this.activeCounts.set(sessionId, newCount);
+    
+    this.emit('message:cancelled', { sessionId, message: active.message });
+    active.reject(error);
+    
+    // Process next message in queue
+    setImmediate(() => this.processQueue(sessionId));
+    return true;
+  }
+  
   /**
    * Get queue status for a session
    * @param {string} sessionId - The session ID
@@ -209,6 +264,7 @@ class MessageRouter extends EventEmitter {
     
     // Clear queues
     this.queues.clear();
+    this.activeMessages.clear();
     this.activeCounts.clear();
     this.rateLimits.clear();
   }
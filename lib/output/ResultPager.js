@@ -0,0 +1,219 @@
+const NodeCache = require('node-cache');
+const { v4: uuidv4 } = require('uuid');
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { findItemsPath, projectFields } = require('./projection.js');
+
+// Truncated results are kept this long for their continuation calls
+const CONTINUATION_TTL = 5 * 60; // seconds
+
+/**
+ * Arguments every tool accepts to shape its result
+ */
+const OUTPUT_PROPERTIES = {
+  fields: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only return these fields, as dot paths (documents.title) or JSONPath ($.documents[*].title).'
+  },
+  maxItems: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Return at most this many items of the result list; a continuationToken gives the next ones.'
+  },
+  maxChars: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Return at most this many characters of JSON; a continuationToken gives the rest.'
+  },
+  continuationToken: {
+    type: 'string',
+    description: 'Token of a truncated result of this tool: returns its next slice instead of calling the API again.'
+  }
+};
+
+const OUTPUT_ARGUMENTS = Object.keys(OUTPUT_PROPERTIES);
+
+/**
+ * Read the value at a path
+ * @private
+ */
+function getPath(value, path) {
+  return path.reduce((node, key) => node[key], value);
+}
+
+/**
+ * Copy a value with the value at a path replaced
+ * @private
+ */
+function setPath(value, path, replacement) {
+  if (path.length === 0) {
+    return replacement;
+  }
+  const [key, ...rest] = path;
+  return { ...value, [key]: setPath(value[key], rest, replacement) };
+}
+
+function stringify(value) {
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Applies the fields, maxItems and maxChars arguments to tool results, and serves the
+ * rest of a truncated result to calls that pass its continuation token.
+ *
+ * A result is cut into pages: slices of its longest list of at most maxItems items, with as many
+ * items as fit in maxChars. A page that is still longer than maxChars, or a result without a
+ * list, is cut into chunks of maxChars characters.
+ */
+class ResultPager {
+  /**
+   * @param {Object} [options] - Options
+   * @param {NodeCache} [options.cache] - Cache of the truncated results
+   */
+  constructor({ cache = new NodeCache({ stdTTL: CONTINUATION_TTL, checkperiod: 60, useClones: false }) } = {}) {
+    this.cache = cache;
+  }
+
+  /**
+   * Split the output arguments from the tool arguments.
+   * Arguments a tool declares itself are left to the tool.
+   * @param {Object} tool - Tool with a definition
+   * @param {Object} [args] - Call arguments
+   * @returns {{toolArgs: Object, outputArgs: Object}}
+   */
+  static splitArguments(tool, args = {}) {
+    const ownProperties = tool.definition.function.parameters?.properties || {};
+    const toolArgs = {};
+    const outputArgs = {};
+    for (const [name, value] of Object.entries(args)) {
+      if (OUTPUT_ARGUMENTS.includes(name) && !(name in ownProperties)) {
+        outputArgs[name] = value;
+      } else {
+        toolArgs[name] = value;
+      }
+    }
+    return { toolArgs, outputArgs };
+  }
+
+  /**
+   * Input schema with the output arguments the tool does not declare itself
+   * @param {Object} schema - JSON Schema of the tool arguments
+   * @returns {Object}
+   */
+  static inputSchema(schema) {
+    const properties = schema.properties || {};
+    const added = Object.fromEntries(
+      Object.entries(OUTPUT_PROPERTIES).filter(([name]) => !(name in properties))
+    );
+    return { ...schema, properties: { ...properties, ...added } };
+  }
+
+  /**
+   * Shape a fresh tool result
+   * @param {*} result - Tool result
+   * @param {Object} options - Output arguments and owner of the continuation
+   * @param {Array<string>} [options.fields] - Field paths to keep
+   * @param {number} [options.maxItems] - Maximum number of list items per page
+   * @param {number} [options.maxChars] - Maximum number of characters per page
+   * @param {string} options.owner - Session the continuation token is valid for
+   * @param {string} options.toolName - Tool the continuation token is valid for
+   * @returns {{text: string, continuation: Object|null}} Text of the first page, and how to get the next one
+   * @throws {McpError} If a field path is invalid
+   */
+  first(result, { fields, maxItems, maxChars, owner, toolName }) {
+    let value = result;
+    if (fields && fields.length > 0) {
+      try {
+        value = projectFields(result, fields);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    }
+
+    const itemsPath = maxItems || maxChars ? findItemsPath(value) : null;
+    const state = { value, itemsPath, offset: 0, pending: null, maxItems, maxChars, owner, toolName };
+    return this._page(state);
+  }
+
+  /**
+   * Serve the next page of a truncated result
+   * @param {string} token - Continuation token
+   * @param {Object} options - Caller of the continuation
+   * @param {string} options.owner - Session of the call
+   * @param {string} options.toolName - Tool of the call
+   * @returns {{text: string, continuation: Object|null}}
+   * @throws {McpError} If the token is unknown, expired or belongs to another session or tool
+   */
+  next(token, { owner, toolName }) {
+    const state = this.cache.get(token);
+    if (!state || state.owner !== owner || state.toolName !== toolName) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown or expired continuationToken for ${toolName}: call the tool again without it`
+      );
+    }
+    this.cache.del(token);
+    return this._page(state);
+  }
+
+  /**
+   * Cut the next page of a result and keep the rest under a new token
+   * @private
+   */
+  _page(state) {
+    const { value, itemsPath, maxItems, maxChars } = state;
+    let text;
+    let items = null;
+
+    if (state.pending !== null) {
+      text = state.pending;
+      state.pending = null;
+    } else if (itemsPath) {
+      const list = getPath(value, itemsPath);
+      const remaining = list.length - state.offset;
+      const renderPage = (count) => stringify(setPath(value, itemsPath, list.slice(state.offset, state.offset + count)));
+
+      let count = maxItems ? Math.min(maxItems, remaining) : remaining;
+      if (maxChars && count > 1 && renderPage(count).length > maxChars) {
+        // Largest number of items that fits, at least one
+        let low = 1;
+        let high = count - 1;
+        while (low < high) {
+          const middle = Math.ceil((low + high) / 2);
+          if (renderPage(middle).length <= maxChars) {
+            low = middle;
+          } else {
+            high = middle - 1;
+          }
+        }
+        count = low;
+      }
+      text = renderPage(count);
+      items = { path: itemsPath.join('.'), offset: state.offset, count, total: list.length };
+      state.offset += count;
+    } else {
+      text = stringify(value);
+    }
+
+    let textCut = false;
+    if (maxChars && text.length > maxChars) {
+      state.pending = text.slice(maxChars);
+      text = text.slice(0, maxChars);
+      textCut = true;
+    }
+
+    const more = state.pending !== null || (itemsPath !== null && state.offset < getPath(value, itemsPath).length);
+    if (!more) {
+      return { text, continuation: null };
+    }
+
+    const continuationToken = uuidv4();
+    this.cache.set(continuationToken, state);
+    return {
+      text,
+      continuation: { truncated: true, continuationToken, ...(items && { items }), textCut }
+    };
+  }
+}
+
+module.exports = { ResultPager, OUTPUT_PROPERTIES };
@@ -0,0 +1,165 @@
+/**
+ * Projection of tool results on a list of field paths.
+ * Paths are dot paths (documents.title) or simple JSONPath ($.documents[*].title, documents[0].title).
+ * A name applied to an array is applied to each of its items, so documents.title and documents[*].title are equivalent.
+ */
+
+const WILDCARD = Symbol('wildcard');
+
+/**
+ * Parse a field path into its segments
+ * @param {string} path - Field path
+ * @returns {Array<string|number|symbol>} Property names, array indexes and WILDCARD
+ * @throws {Error} If the path cannot be parsed
+ */
+function parseFieldPath(path) {
+  let rest = String(path).trim();
+  if (rest.startsWith('$')) {
+    rest = rest.slice(1);
+  }
+
+  const segments = [];
+  while (rest.length > 0) {
+    let match;
+    if ((match = /^\.?\*/.exec(rest)) || (match = /^\[\*\]/.exec(rest))) {
+      segments.push(WILDCARD);
+    } else if ((match = /^\[(\d+)\]/.exec(rest))) {
+      segments.push(Number(match[1]));
+    } else if ((match = /^\[(['"])(.*?)\1\]/.exec(rest))) {
+      segments.push(match[2]);
+    } else if ((match = /^\.?([^.[\]*]+)/.exec(rest))) {
+      segments.push(match[1]);
+    } else {
+      throw new Error(`Invalid field path "${path}"`);
+    }
+    rest = rest.slice(match[0].length);
+  }
+  if (segments.length === 0) {
+    throw new Error(`Invalid field path "${path}"`);
+  }
+  return segments;
+}
+
+/**
+ * Keep the part of a value selected by path segments.
+ * Array items keep their index, leaving holes that compact removes.
+ * @private
+ */
+function projectPath(value, segments) {
+  if (segments.length === 0) {
+    return value;
+  }
+  const [segment, ...rest] = segments;
+
+  if (Array.isArray(value)) {
+    if (typeof segment === 'number') {
+      const projected = [];
+      if (segment < value.length) {
+        projected[segment] = projectPath(value[segment], rest);
+      }
+      return projected;
+    }
+    return segment === WILDCARD
+      ? value.map((item) => projectPath(item, rest))
+      : value.map((item) => projectPath(item, segments));
+  }
+
+  if (value && typeof value === 'object') {
+    if (segment === WILDCARD) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, projectPath(item, rest)]));
+    }
+    const key = String(segment);
+    return key in value ? { [key]: projectPath(value[key], rest) } : {};
+  }
+
+  return undefined;
+}
+
+/**
+ * Merge two projections of the same value
+ * @private
+ */
+function merge(left, right) {
+  if (left === undefined) return right;
+  if (right === undefined) return left;
+
+  if (Array.isArray(left) && Array.isArray(right)) {
+    const merged = [];
+    for (let index = 0; index < Math.max(left.length, right.length); index++) {
+      if (index in left || index in right) {
+        merged[index] = merge(left[index], right[index]);
+      }
+    }
+    return merged;
+  }
+  if (left && right && typeof left === 'object' && typeof right === 'object') {
+    const merged = { ...left };
+    for (const [key, value] of Object.entries(right)) {
+      merged[key] = merge(left[key], value);
+    }
+    return merged;
+  }
+  return right;
+}
+
+/**
+ * Remove the holes left in arrays by index projections
+ * @private
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.filter(() => true).map(compact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).filter(([, item]) => item !== undefined).map(([key, item]) => [key, compact(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Keep only the given fields of a value
+ * @param {*} value - Tool result
+ * @param {Array<string>} fields - Field paths
+ * @returns {*} The projected value
+ * @throws {Error} If a path cannot be parsed
+ */
+function projectFields(value, fields) {
+  const projected = fields
+    .map(parseFieldPath)
+    .reduce((result, segments) => merge(result, projectPath(value, segments)), undefined);
+  return projected === undefined ? value : compact(projected);
+}
+
+/**
+ * Find the list a result is made of: the longest array reachable through objects only
+ * @param {*} value - Tool result
+ * @returns {Array<string>|null} Path of the array, empty for a result that is itself an array, or null
+ */
+function findItemsPath(value) {
+  if (Array.isArray(value)) {
+    return [];
+  }
+
+  let best = null;
+  let bestLength = -1;
+  const queue = [{ node: value, path: [] }];
+  while (queue.length > 0) {
+    const { node, path } = queue.shift();
+    if (!node || typeof node !== 'object') continue;
+    for (const [key, item] of Object.entries(node)) {
+      if (Array.isArray(item)) {
+        if (item.length > bestLength) {
+          best = [...path, key];
+          bestLength = item.length;
+        }
+      } else if (item && typeof item === 'object') {
+        queue.push({ node: item, path: [...path, key] });
+      }
+    }
+  }
+  return best;
+}
+
+module.exports = { WILDCARD, parseFieldPath, projectFields, findItemsPath };
@@ -0,0 +1,111 @@
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+
+/**
+ * How destructive tools are handled:
+ * - allow: run them like any other tool
+ * - confirm: require `confirm: true` in the arguments, unless the session is write-enabled
+ * - deny: refuse them, unless the session is write-enabled
+ */
+const POLICY_MODES = ['allow', 'confirm', 'deny'];
+
+const CONFIRM_PROPERTY = {
+  type: 'boolean',
+  description: 'Must be true to run this destructive tool.'
+};
+
+/**
+ * Get the MCP annotations of a tool definition
+ * @param {Object} tool - Tool with a definition
+ * @returns {Object} The annotations, empty when the tool declares none
+ */
+function getAnnotations(tool) {
+  return tool.definition?.function?.annotations || {};
+}
+
+/**
+ * Whether a tool may destroy or overwrite data.
+ * Follows the MCP defaults: a tool that is not read-only is destructive unless it says otherwise.
+ * @param {Object} tool - Tool with a definition
+ * @returns {boolean}
+ */
+function isDestructive(tool) {
+  const annotations = getAnnotations(tool);
+  return annotations.readOnlyHint !== true && annotations.destructiveHint !== false;
+}
+
+/**
+ * Server-side policy deciding whether destructive tools may run
+ */
+class ToolPolicy {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.mode='allow'] - One of POLICY_MODES
+   */
+  constructor({ mode = 'allow' } = {}) {
+    if (!POLICY_MODES.includes(mode)) {
+      throw new Error(`Invalid destructive tool policy "${mode}", expected one of: ${POLICY_MODES.join(', ')}`);
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Create the policy from DUST_DESTRUCTIVE_TOOLS
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {ToolPolicy}
+   */
+  static fromEnv(env = process.env) {
+    return new ToolPolicy({ mode: env.DUST_DESTRUCTIVE_TOOLS || 'allow' });
+  }
+
+  /**
+   * Input schema to advertise for a tool; adds the `confirm` argument when it is required
+   * @param {Object} tool - Tool with a definition
+   * @returns {Object} JSON Schema of the tool arguments
+   */
+  inputSchema(tool) {
+    const parameters = tool.definition.function.parameters;
+    if (this.mode !== 'confirm' || !isDestructive(tool)) {
+      return parameters;
+    }
+    return {
+      ...parameters,
+      properties: { ...parameters.properties, confirm: CONFIRM_PROPERTY }
+    };
+  }
+
+  /**
+   * Check that a tool call may run, and strip the policy's own arguments
+   * @param {Object} tool - Tool with a definition
+   * @param {Object} args - Call arguments
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.writeEnabled=false] - Whether the calling session is write-enabled
+   * @returns {Object} The arguments to pass to the tool
+   * @throws {McpError} If the policy refuses the call
+   */
+  authorize(tool, args = {}, { writeEnabled = false } = {}) {
+    // Keep `confirm` for tools that declare it themselves
+    const ownsConfirm = 'confirm' in (tool.definition.function.parameters?.properties || {});
+    const { confirm, ...strippedArgs } = args;
+    const toolArgs = ownsConfirm ? args : strippedArgs;
+    if (this.mode === 'allow' || writeEnabled || !isDestructive(tool)) {
+      return toolArgs;
+    }
+
+    const toolName = tool.definition.function.name;
+    if (this.mode === 'deny') {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `${toolName} is destructive and this session is not write-enabled`
+      );
+    }
+    if (confirm !== true) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `${toolName} is destructive: call it again with confirm: true to run it`
+      );
+    }
+    return toolArgs;
+  }
+}
+
+module.exports = { ToolPolicy, POLICY_MODES, getAnnotations, isDestructive };
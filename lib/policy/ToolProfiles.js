@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { getAnnotations } = require('./ToolPolicy.js');
+
+/**
+ * Turn a tool name pattern into a regular expression; `*` matches any characters
+ * @private
+ * @param {string} pattern - Tool name, e.g. "get_documents" or "search_*"
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check and compile one profile of the configuration
+ * @private
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile configuration
+ * @returns {{allow: Array<RegExp>|null, deny: Array<RegExp>, readOnly: boolean}}
+ */
+function compileProfile(name, profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`Invalid tool profile "${name}": expected an object with allow, deny or readOnly`);
+  }
+  const { allow, deny = [], readOnly = false } = profile;
+  for (const [key, list] of [['allow', allow], ['deny', deny]]) {
+    if (list !== undefined && (!Array.isArray(list) || !list.every((item) => typeof item === 'string'))) {
+      throw new Error(`Invalid tool profile "${name}": ${key} must be a list of tool names`);
+    }
+  }
+  return {
+    allow: allow ? allow.map(patternToRegExp) : null,
+    deny: deny.map(patternToRegExp),
+    readOnly: readOnly === true
+  };
+}
+
+/**
+ * Named slices of the tools a session may list and call.
+ * A profile keeps the tools matching `allow` (all tools when absent), drops those matching `deny`,
+ * and with `readOnly: true` keeps only tools annotated readOnlyHint.
+ */
+class ToolProfiles {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object<string, Object>} [options.profiles={}] - Profiles by name: { allow?, deny?, readOnly? }
+   * @param {string} [options.defaultProfile] - Profile of sessions that select none; all tools when not set
+   */
+  constructor({ profiles = {}, defaultProfile } = {}) {
+    this.profiles = new Map(
+      Object.entries(profiles).map(([name, profile]) => [name, compileProfile(name, profile)])
+    );
+    if (defaultProfile && !this.profiles.has(defaultProfile)) {
+      throw new Error(`Unknown default tool profile "${defaultProfile}"`);
+    }
+    this.defaultProfile = defaultProfile || undefined;
+  }
+
+  /**
+   * Create the profiles from DUST_TOOL_PROFILES_FILE (path of a JSON file) or DUST_TOOL_PROFILES (inline JSON),
+   * with DUST_TOOL_PROFILE as the default profile
+   * @param {Object} [env=process.env] - Environment variables
+   * @returns {ToolProfiles}
+   */
+  static fromEnv(env = process.env) {
+    let source;
+    let json;
+    if (env.DUST_TOOL_PROFILES_FILE) {
+      source = env.DUST_TOOL_PROFILES_FILE;
+      json = fs.readFileSync(path.resolve(source), 'utf8');
+    } else if (env.DUST_TOOL_PROFILES) {
+      source = 'DUST_TOOL_PROFILES';
+      json = env.DUST_TOOL_PROFILES;
+    }
+
+    let profiles = {};
+    if (json) {
+      try {
+        profiles = JSON.parse(json);
+      } catch (error) {
+        throw new Error(`Invalid tool profiles in ${source}: ${error.message}`);
+      }
+    }
+    return new ToolProfiles({ profiles, defaultProfile: env.DUST_TOOL_PROFILE });
+  }
+
+  /**
+   * Whether a profile is configured
+   * @param {string} name - Profile name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.profiles.has(name);
+  }
+
+  /**
+   * Whether a session with the given profile may see and call a tool.
+   * An unknown profile allows nothing.
+   * @param {Object} tool - Tool with a definition
+   * @param {string} [profileName] - Profile of the session; the default profile when not given
+   * @returns {boolean}
+   */
+  isAllowed(tool, profileName = this.defaultProfile) {
+    if (!profileName) {
+      return true;
+    }
+    const profile = this.profiles.get(profileName);
+    if (!profile) {
+      return false;
+    }
+
+    const toolName = tool.definition.function.name;
+    if (profile.allow && !profile.allow.some((pattern) => pattern.test(toolName))) {
+      return false;
+    }
+    if (profile.deny.some((pattern) => pattern.test(toolName))) {
+      return false;
+    }
+    return !profile.readOnly || getAnnotations(tool).readOnlyHint === true;
+  }
+
+  /**
+   * Tools a session with the given profile may see
+   * @param {Array<Object>} tools - Tools with a definition
+   * @param {string} [profileName] - Profile of the session
+   * @returns {Array<Object>}
+   */
+  filter(tools, profileName) {
+    return tools.filter((tool) => this.isAllowed(tool, profileName));
+  }
+
+  /**
+   * Check that a session with the given profile may call a tool
+   * @param {Object} tool - Tool with a definition
+   * @param {string} [profileName] - Profile of the session
+   * @throws {McpError} If the profile does not include the tool
+   */
+  authorize(tool, profileName = this.defaultProfile) {
+    if (this.isAllowed(tool, profileName)) {
+      return;
+    }
+    const toolName = tool.definition.function.name;
+    if (!this.profiles.has(profileName)) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `${toolName} is not available: the session uses the unknown tool profile "${profileName}"`
+      );
+    }
+    throw new McpError(
+      ErrorCode.InvalidRequest,
+      `${toolName} is not available in the "${profileName}" tool profile of this session`
+    );
+  }
+}
+
+module.exports = { ToolProfiles };
@@ -0,0 +1,613 @@
+const fs = require('fs');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { TOOLS_DIR } = require('../tools.js');
+
+const DUST_CLIENT_PATH = path.join(__dirname, '..', 'dust', 'DustClient.js');
+
+// Prefix of the workspace API; generated modules send their path below it to the session's workspace
+const WORKSPACE_PATH = ['', 'api', 'v1', 'w'];
+
+const POSTMAN_V21_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Same hints as the hand-annotated Dust tools, derived from the HTTP method
+const ANNOTATIONS_BY_METHOD = {
+  GET: { readOnlyHint: true, destructiveHint: false, idempotentHint: true },
+  HEAD: { readOnlyHint: true, destructiveHint: false, idempotentHint: true },
+  PUT: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+  DELETE: { readOnlyHint: false, destructiveHint: true, idempotentHint: true },
+  POST: { readOnlyHint: false, destructiveHint: false, idempotentHint: false },
+  PATCH: { readOnlyHint: false, destructiveHint: false, idempotentHint: false }
+};
+
+const RESERVED_WORDS = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+  'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'await', 'arguments', 'eval',
+  // Names used by the generated module
+  'getDustClient', 'executeFunction', 'apiTool', 'signal', 'workspaceId', 'dryRun', 'process', 'module', 'require'
+]);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const VARIABLE = /\{\{\s*([^{}\s]+)\s*\}\}/g;
+
+/**
+ * Split a request or folder name into lowercase words
+ * @private
+ * @param {string} name - Postman name
+ * @returns {Array<string>}
+ */
+function toWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Turn a Postman name into a tool name, e.g. "Get documents" -> "get_documents"
+ * @param {string} name - Postman request name
+ * @returns {string}
+ */
+function toToolName(name) {
+  return toWords(name).join('_') || 'request';
+}
+
+/**
+ * Turn a Postman name into a file or directory name, e.g. "Get documents" -> "get-documents"
+ * @param {string} name - Postman request, folder or collection name
+ * @returns {string}
+ */
+function toSlug(name) {
+  return toWords(name).join('-') || 'request';
+}
+
+/**
+ * Local variable name for a parameter, e.g. "page[size]" -> "pageSize"
+ * @private
+ * @param {string} name - Parameter name
+ * @returns {string}
+ */
+function toIdentifier(name) {
+  if (IDENTIFIER.test(name) && !RESERVED_WORDS.has(name)) {
+    return name;
+  }
+  const words = String(name).split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+  let identifier = words
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('') || 'param';
+  if (/^[0-9]/.test(identifier)) identifier = `_${identifier}`;
+  return RESERVED_WORDS.has(identifier) ? `${identifier}Value` : identifier;
+}
+
+/**
+ * Text of a Postman description, which is either a string or { content }
+ * @private
+ * @param {string|Object} [description] - Postman description
+ * @returns {string}
+ */
+function descriptionText(description) {
+  const text = typeof description === 'string' ? description : description?.content;
+  return (text || '').trim();
+}
+
+/**
+ * First paragraph of a description, on one line
+ * @private
+ * @param {string} text - Description text
+ * @returns {string}
+ */
+function firstParagraph(text) {
+  return text.split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Collect the enabled variables of a collection and an environment; environment values win
+ * @private
+ * @param {Object} collection - Postman v2.1 collection
+ * @param {Object} [environment] - Postman environment export
+ * @returns {Map<string, string>}
+ */
+function collectVariables(collection, environment) {
+  const variables = new Map();
+  const add = (entries = []) => {
+    for (const { key, value, enabled, disabled } of entries) {
+      if (!key || enabled === false || disabled === true || value === undefined || value === '') continue;
+      variables.set(key, String(value));
+    }
+  };
+  add(collection.variable);
+  add(environment?.values);
+  return variables;
+}
+
+/**
+ * Replace {{variable}} references with their values; unknown ones are left in place
+ * @private
+ * @param {string} text - Text with Postman variables
+ * @param {Map<string, string>} variables - Known variables
+ * @returns {string}
+ */
+function substitute(text, variables) {
+  return String(text).replace(VARIABLE, (match, key) => (variables.has(key) ? variables.get(key) : match));
+}
+
+/**
+ * Flatten the folders of a collection into requests, each with its folder path
+ * @private
+ * @param {Array<Object>} items - Postman items
+ * @param {Array<string>} folders - Names of the enclosing folders
+ * @returns {Array<{item: Object, folders: Array<string>}>}
+ */
+function flattenItems(items = [], folders = []) {
+  return items.flatMap((item) => {
+    if (Array.isArray(item.item)) {
+      return flattenItems(item.item, [...folders, item.name]);
+    }
+    return item.request ? [{ item, folders }] : [];
+  });
+}
+
+/**
+ * Raw URL of a Postman request, rebuilt from its parts when raw is missing
+ * @private
+ * @param {string|Object} url - Postman URL
+ * @returns {string}
+ */
+function rawUrl(url) {
+  if (typeof url === 'string') return url;
+  if (url.raw) return url.raw;
+
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+  const urlPath = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+  const protocol = url.protocol ? `${url.protocol}://` : '';
+  return `${protocol}${host}/${urlPath}`;
+}
+
+/**
+ * Infer a JSON Schema from an example value
+ * @param {*} value - Example value from a request body
+ * @returns {Object} JSON Schema
+ */
+function inferSchema(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? { type: 'array', items: inferSchema(value[0]) } : { type: 'array' };
+  }
+  if (value === null) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, inferSchema(item)]))
+    };
+  }
+  if (typeof value === 'number') {
+    return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  }
+  return { type: typeof value === 'boolean' ? 'boolean' : 'string' };
+}
+
+/**
+ * Infer the schema of a query parameter from its example value
+ * @private
+ * @param {string} [value] - Example value
+ * @returns {Object} JSON Schema
+ */
+function inferQuerySchema(value) {
+  if (/^-?\d+$/.test(value || '')) return { type: 'integer' };
+  if (value === 'true' || value === 'false') return { type: 'boolean' };
+  return { type: 'string' };
+}
+
+/**
+ * Parse the JSON body of a request, with unresolved variables read as strings
+ * @private
+ * @param {Object} [body] - Postman request body
+ * @param {Map<string, string>} variables - Known variables
+ * @returns {{value: *}|{warning: string}|null} The parsed body, a warning, or null without body
+ */
+function parseJsonBody(body, variables) {
+  if (!body || body.disabled || !body.mode) return null;
+  if (body.mode !== 'raw') {
+    return { warning: `body mode "${body.mode}" is not supported, the tool sends no body` };
+  }
+  if (!body.raw || !body.raw.trim()) return null;
+
+  const language = body.options?.raw?.language;
+  if (language && language !== 'json') {
+    return { warning: `${language} bodies are not supported, the tool sends no body` };
+  }
+  try {
+    // A bare {{variable}} is not valid JSON; quote it so it reads as a string example
+    const raw = substitute(body.raw, variables).replace(/(^|[:,[\s])(\{\{[^{}]+\}\})(?=\s*[,}\]\n]|$)/g, '$1"$2"');
+    return { value: JSON.parse(raw) };
+  } catch (error) {
+    return { warning: `the body is not valid JSON (${error.message}), the tool sends no body` };
+  }
+}
+
+/**
+ * Describe a Postman request as the pieces of a tool module.
+ * The host of the request is dropped: generated modules send it to DUST_API_BASE_URL.
+ * @private
+ * @param {Object} item - Postman request item
+ * @param {Object} options - Options
+ * @param {Array<string>} options.folders - Names of the enclosing folders
+ * @param {Map<string, string>} options.variables - Collection and environment variables
+ * @param {Object<string, string>} [options.envParams] - Parameters read from environment variables
+ * @returns {{spec: Object, warnings: Array<string>}}
+ * @throws {Error} If the URL cannot be parsed or is not a path of the Dust API
+ */
+function toRequestSpec(item, { folders, variables, envParams = {} }) {
+  const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+  const method = (request.method || 'GET').toUpperCase();
+  const warnings = [];
+
+  // Unresolved {{variables}} in the path become path parameters like :variables
+  const [resolved] = substitute(rawUrl(request.url), variables).split('?');
+  const withPathVariables = resolved.replace(VARIABLE, ':$1');
+  let parsed;
+  try {
+    parsed = new URL(withPathVariables);
+  } catch (error) {
+    const unresolved = resolved.match(VARIABLE);
+    throw new Error(unresolved
+      ? `the host uses ${unresolved[0]}, which no environment or collection variable defines`
+      : `invalid URL ${resolved}`);
+  }
+
+  if (!parsed.pathname.startsWith('/api/')) {
+    throw new Error(`${parsed.pathname} is not a path of the Dust API, which starts with /api/`);
+  }
+
+  // The workspace segment of /api/v1/w/:wId/... is the MCP session's workspace, not a parameter
+  const segments = parsed.pathname.split('/');
+  const workspaceScoped = segments.length > WORKSPACE_PATH.length
+    && WORKSPACE_PATH.every((segment, index) => segments[index] === segment);
+
+  const urlVariables = typeof request.url === 'object' ? request.url.variable || [] : [];
+  const pathParams = [];
+  const pathTemplate = (workspaceScoped ? ['', ...segments.slice(WORKSPACE_PATH.length + 1)] : segments)
+    .map((segment) => {
+      const match = /^:([A-Za-z_$][\w$-]*)$/.exec(decodeURIComponent(segment));
+      if (!match) return segment;
+      const name = match[1];
+      const variable = urlVariables.find((v) => v.key === name);
+      pathParams.push({ name, description: descriptionText(variable?.description), env: envParams[name] });
+      return { param: name };
+    });
+
+  const queryParams = (typeof request.url === 'object' ? request.url.query || [] : [])
+    .filter((query) => query.key && !query.disabled)
+    .map((query) => ({
+      name: query.key,
+      description: descriptionText(query.description),
+      schema: inferQuerySchema(query.value && substitute(query.value, variables)),
+      env: envParams[query.key]
+    }));
+
+  let bodyParams = [];
+  let bodyMode = null;
+  const body = parseJsonBody(request.body, variables);
+  if (body?.warning) {
+    warnings.push(body.warning);
+  } else if (body) {
+    if (body.value && typeof body.value === 'object' && !Array.isArray(body.value)) {
+      bodyMode = 'properties';
+      bodyParams = Object.entries(body.value).map(([name, value]) => ({ name, schema: inferSchema(value) }));
+    } else {
+      bodyMode = 'value';
+      bodyParams = [{ name: 'body', schema: inferSchema(body.value), description: 'The JSON body of the request.' }];
+    }
+  }
+
+  // A name is used once; path parameters win over query parameters, which win over body fields
+  const seen = new Set();
+  const dedupe = (params, kind) => params.filter(({ name }) => {
+    if (seen.has(name)) {
+      warnings.push(`${kind} "${name}" has the same name as another parameter and was ignored`);
+      return false;
+    }
+    seen.add(name);
+    return true;
+  });
+
+  const description = descriptionText(request.description || item.description);
+  return {
+    spec: {
+      name: item.name,
+      folders,
+      method,
+      pathTemplate,
+      pathParams: dedupe(pathParams, 'Path variable'),
+      queryParams: dedupe(queryParams, 'Query parameter'),
+      bodyParams: dedupe(bodyParams, 'Body field'),
+      bodyMode,
+      description: firstParagraph(description) || `${method} ${parsed.pathname}`
+    },
+    warnings
+  };
+}
+
+/**
+ * Render a value as a JavaScript literal in the style of the tool modules
+ * @private
+ * @param {*} value - JSON value
+ * @param {string} indent - Indentation of the line holding the value
+ * @returns {string}
+ */
+function toSource(value, indent) {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.every((item) => typeof item !== 'object' || item === null)) {
+      return `[${value.map((item) => toSource(item, inner)).join(', ')}]`;
+    }
+    return `[\n${value.map((item) => `${inner}${toSource(item, inner)}`).join(',\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    const lines = entries.map(([key, item]) =>
+      `${inner}${IDENTIFIER.test(key) ? key : quote(key)}: ${toSource(item, inner)}`
+    );
+    return `{\n${lines.join(',\n')}\n${indent}}`;
+  }
+  return typeof value === 'string' ? quote(value) : String(value);
+}
+
+/**
+ * Single-quoted JavaScript string literal
+ * @private
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function quote(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Object key for a parameter name, quoted when it is not an identifier
+ * @private
+ * @param {string} name - Parameter name
+ * @returns {string}
+ */
+function propertyKey(name) {
+  return IDENTIFIER.test(name) ? name : quote(name);
+}
+
+/**
+ * JSDoc type of a schema
+ * @private
+ * @param {Object} schema - JSON Schema
+ * @returns {string}
+ */
+function jsDocType(schema) {
+  if (schema.type === 'integer') return 'number';
+  if (schema.type === 'array') return 'Array';
+  if (schema.type === 'object') return 'Object';
+  return schema.type || '*';
+}
+
+/**
+ * Generate the source of a tool module for a request, with the same executeFunction and
+ * definition structure as the modules of tools/dust. The module sends its request with the
+ * DustClient of the MCP session's workspace, so it supports dry runs and throws DustError.
+ * @param {Object} spec - Request spec from toRequestSpec
+ * @param {Object} options - Options
+ * @param {string} options.toolName - Name of the tool
+ * @param {string} options.clientPath - Path of lib/dust/DustClient.js relative to the module, for require
+ * @returns {string} Module source
+ */
+function generateToolModule(spec, { toolName, clientPath }) {
+  const allParams = [
+    ...spec.pathParams.map((param) => ({ ...param, schema: { type: 'string' }, required: true })),
+    ...spec.queryParams,
+    ...spec.bodyParams
+  ].map((param) => ({ ...param, identifier: toIdentifier(param.name) }));
+  const argParams = allParams.filter((param) => !param.env);
+  const envParams = allParams.filter((param) => param.env);
+  const identifierOf = (name) => allParams.find((param) => param.name === name).identifier;
+  const entry = (name) => (identifierOf(name) === name ? name : `${propertyKey(name)}: ${identifierOf(name)}`);
+
+  const pathSource = spec.pathTemplate
+    .map((segment) => (typeof segment === 'string'
+      ? segment.replace(/[`\\]/g, '\\$&').replace(/\$\{/g, '\\${')
+      : `\${encodeURIComponent(${identifierOf(segment.param)})}`))
+    .join('/');
+  const pathLiteral = spec.pathTemplate.some((segment) => typeof segment !== 'string')
+    ? `\`${pathSource}\``
+    : quote(spec.pathTemplate.join('/'));
+
+  let bodySource = null;
+  if (spec.bodyMode === 'properties') {
+    bodySource = spec.bodyParams.length > 0 ? `{ ${spec.bodyParams.map((param) => entry(param.name)).join(', ')} }` : '{}';
+  } else if (spec.bodyMode === 'value') {
+    bodySource = identifierOf('body');
+  }
+  const optionsSource = [
+    ...(spec.queryParams.length > 0 ? [`query: { ${spec.queryParams.map((param) => entry(param.name)).join(', ')} }`] : []),
+    'signal',
+    'dryRun'
+  ].join(', ');
+
+  // Arguments of the DustClient helper of the method, or of DustClient#request when there is none
+  const method = spec.method.toLowerCase();
+  let call;
+  if (bodySource && ['post', 'put', 'patch'].includes(method)) {
+    call = [method, pathLiteral, bodySource, `{ ${optionsSource} }`];
+  } else if (!bodySource && ['get', 'delete'].includes(method)) {
+    call = [method, pathLiteral, `{ ${optionsSource} }`];
+  } else {
+    call = ['request', quote(spec.method), pathLiteral, `{ ${bodySource ? `body: ${bodySource}, ` : ''}${optionsSource} }`];
+  }
+
+  const destructured = argParams.map((param) => entry(param.name)).join(', ');
+
+  const jsDoc = [
+    '/**',
+    ` * ${spec.description}`,
+    ' *',
+    ' * @param {Object} args - Arguments for the request.',
+    ...argParams.map((param) => {
+      const name = param.required ? `args.${param.name}` : `[args.${param.name}]`;
+      return ` * @param {${jsDocType(param.schema)}} ${name}${param.description ? ` - ${firstParagraph(param.description)}` : ''}`;
+    }),
+    ' * @param {Object} [context] - Tool call context.',
+    ' * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.',
+    ' * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.',
+    ' * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.',
+    ' * @returns {Promise<Object>} - The response of the request.',
+    ' */'
+  ];
+
+  const definition = {
+    type: 'function',
+    function: {
+      name: toolName,
+      description: spec.description,
+      annotations: ANNOTATIONS_BY_METHOD[spec.method] || ANNOTATIONS_BY_METHOD.POST,
+      parameters: {
+        type: 'object',
+        properties: Object.fromEntries(argParams.map((param) => [
+          param.name,
+          param.description ? { ...param.schema, description: firstParagraph(param.description) } : param.schema
+        ])),
+        required: argParams.filter((param) => param.required).map((param) => param.name)
+      }
+    }
+  };
+
+  return [
+    `const { getDustClient } = require(${quote(clientPath)});`,
+    '',
+    ...jsDoc,
+    `const executeFunction = async (${destructured ? `{ ${destructured} }` : '_args'}, { signal, workspaceId, dryRun } = {}) => {`,
+    ...envParams.map((param) => `  const ${param.identifier} = process.env.${param.env};`),
+    `  return getDustClient(workspaceId).${call[0]}(`,
+    call.slice(1).map((arg) => `    ${arg}`).join(',\n'),
+    '  );',
+    '};',
+    '',
+    '/**',
+    ` * Tool configuration for ${spec.name}, imported from Postman.`,
+    ' * @type {Object}',
+    ' */',
+    'const apiTool = {',
+    '  function: executeFunction,',
+    '  supportsDryRun: true,',
+    `  definition: ${toSource(definition, '  ')}`,
+    '};',
+    '',
+    'module.exports = { apiTool };',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate tool modules for every request of a Postman v2.1 collection
+ * @param {Object} collection - Parsed collection file
+ * @param {Object} [options] - Options
+ * @param {Object} [options.environment] - Parsed Postman environment file
+ * @param {string} [options.workspace='dust'] - Workspace directory below tools/
+ * @param {string} [options.toolsDir] - Tools directory the modules are written to, for their require of DustClient
+ * @param {Object<string, string>} [options.envParams] - Parameters read from environment variables
+ *   instead of arguments, e.g. { aId: 'DUST_AGENT_ID' }
+ * @returns {{files: Array<{path: string, name: string, source: string}>, warnings: Array<string>}}
+ *   Files relative to the tools directory, and what could not be imported as is
+ */
+function importCollection(collection, { environment, workspace = 'dust', toolsDir = TOOLS_DIR, envParams } = {}) {
+  const schema = collection?.info?.schema;
+  if (!collection?.info || !Array.isArray(collection.item)) {
+    throw new Error('Not a Postman collection: expected info and item');
+  }
+  if (schema && schema !== POSTMAN_V21_SCHEMA) {
+    throw new Error(`Unsupported collection schema ${schema}, export the collection as v2.1`);
+  }
+
+  const variables = collectVariables(collection, environment);
+  const collectionDir = toSlug(collection.info.name);
+  const files = [];
+  const warnings = [];
+  const names = new Set();
+
+  for (const { item, folders } of flattenItems(collection.item)) {
+    const label = [...folders, item.name].join(' / ');
+    let result;
+    try {
+      result = toRequestSpec(item, { folders, variables, envParams });
+    } catch (error) {
+      warnings.push(`${label}: skipped, ${error.message}`);
+      continue;
+    }
+    result.warnings.forEach((warning) => warnings.push(`${label}: ${warning}`));
+
+    // Requests with the same name in different folders get a numbered tool name
+    const baseName = toToolName(item.name);
+    let toolName = baseName;
+    for (let index = 2; names.has(toolName); index++) {
+      toolName = `${baseName}_${index}`;
+    }
+    names.add(toolName);
+
+    const fileName = toolName === baseName ? toSlug(item.name) : toSlug(toolName);
+    const filePath = [workspace, collectionDir, ...folders.map(toSlug), `${fileName}.js`].join('/');
+    const clientPath = path.relative(path.dirname(path.join(toolsDir, filePath)), DUST_CLIENT_PATH).split(path.sep).join('/');
+    files.push({
+      path: filePath,
+      name: toolName,
+      source: generateToolModule(result.spec, { toolName, clientPath: clientPath.startsWith('.') ? clientPath : `./${clientPath}` })
+    });
+  }
+
+  return { files, warnings };
+}
+
+/**
+ * Compare generated files with the tools directory
+ * @param {Array<{path: string, source: string}>} files - Files from importCollection
+ * @param {string} toolsDir - Tools directory
+ * @returns {Array<{path: string, source: string, status: string, diff?: string}>}
+ *   status is "new", "unchanged" or "changed"; changed files carry a unified diff
+ */
+function planImport(files, toolsDir) {
+  return files.map((file) => {
+    const target = path.join(toolsDir, file.path);
+    if (!fs.existsSync(target)) {
+      return { ...file, status: 'new' };
+    }
+    const current = fs.readFileSync(target, 'utf8');
+    if (current === file.source) {
+      return { ...file, status: 'unchanged' };
+    }
+    return {
+      ...file,
+      status: 'changed',
+      diff: createTwoFilesPatch(`a/${file.path}`, `b/${file.path}`, current, file.source, undefined, undefined, { context: 3 })
+    };
+  });
+}
+
+/**
+ * Write the planned files. Changed files are only written with overwrite.
+ * @param {Array<Object>} plan - Result of planImport
+ * @param {string} toolsDir - Tools directory
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.overwrite=false] - Replace files that changed
+ * @returns {Array<string>} Paths that were written
+ */
+function writeImport(plan, toolsDir, { overwrite = false } = {}) {
+  const written = [];
+  for (const file of plan) {
+    if (file.status === 'unchanged' || (file.status === 'changed' && !overwrite)) continue;
+    const target = path.join(toolsDir, file.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.source);
+    written.push(file.path);
+  }
+  return written;
+}
+
+module.exports = { importCollection, planImport, writeImport, generateToolModule, inferSchema, toToolName, toSlug };
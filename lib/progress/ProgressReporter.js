@@ -0,0 +1,107 @@
+const { getLogger } = require('../logging/logger.js');
+
+const logger = getLogger('ProgressReporter');
+
+const DEFAULT_HEARTBEAT_INTERVAL = 10000; // 10 seconds
+
+/**
+ * Sends MCP notifications/progress for a single request.
+ * Does nothing unless the request carried a progressToken.
+ */
+class ProgressReporter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string|number} [options.progressToken] - Token from the request's _meta
+   * @param {Function} options.sendNotification - Sends a notification related to the request
+   * @param {number} [options.heartbeatInterval=10000] - Interval between heartbeats in ms
+   */
+  constructor({ progressToken, sendNotification, heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL } = {}) {
+    this.progressToken = progressToken;
+    this.sendNotification = sendNotification;
+    this.heartbeatInterval = heartbeatInterval;
+    this.progress = 0;
+    this.heartbeatTimer = null;
+
+    this.report = this.report.bind(this);
+  }
+
+  /**
+   * Create a reporter from the extra argument of an MCP request handler
+   * @param {Object} extra - RequestHandlerExtra
+   * @returns {ProgressReporter} The reporter
+   */
+  static fromRequest(extra) {
+    return new ProgressReporter({
+      progressToken: extra?._meta?.progressToken,
+      sendNotification: extra?.sendNotification
+    });
+  }
+
+  /**
+   * Whether the client asked for progress notifications
+   * @returns {boolean} True if a progressToken was provided
+   */
+  get enabled() {
+    return this.progressToken !== undefined && typeof this.sendNotification === 'function';
+  }
+
+  /**
+   * Report one step of progress; the progress value increases by one on each call
+   * @param {string} message - Human readable description of the step
+   * @param {number} [total] - Total number of steps, if known
+   * @returns {Promise<void>}
+   */
+  async report(message, total) {
+    if (!this.enabled) return;
+
+    // Real progress makes the heartbeat redundant
+    this.stopHeartbeat();
+    await this._send(message, total);
+  }
+
+  /**
+   * Send a progress notification every heartbeatInterval until real progress is reported
+   * @param {string} label - What is being waited on, e.g. the tool name
+   */
+  startHeartbeat(label) {
+    if (!this.enabled || this.heartbeatTimer) return;
+
+    const startedAt = Date.now();
+    this.heartbeatTimer = setInterval(() => {
+      const seconds = Math.round((Date.now() - startedAt) / 1000);
+      this._send(`${label} running for ${seconds}s`).catch((error) => {
+        logger.error(`Failed to send heartbeat: ${error.message}`);
+      });
+    }, this.heartbeatInterval);
+    this.heartbeatTimer.unref?.();
+  }
+
+  /**
+   * Stop the heartbeat, if running
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Send the next progress notification
+   * @private
+   */
+  async _send(message, total) {
+    this.progress += 1;
+    const params = {
+      progressToken: this.progressToken,
+      progress: this.progress,
+      message
+    };
+    if (total !== undefined) {
+      params.total = total;
+    }
+    await this.sendNotification({ method: 'notifications/progress', params });
+  }
+}
+
+module.exports = { ProgressReporter };
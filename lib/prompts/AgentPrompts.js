@@ -0,0 +1,203 @@
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { getLogger } = require('../logging/logger.js');
+
+const logger = getLogger('AgentPrompts');
+
+const PROMPT_PREFIX = 'ask_';
+const QUESTION_TEMPLATE = 'ask {agent} about {topic}';
+const DATA_SOURCE_TEMPLATE = ' using data source {dsId}';
+
+// Tools the expanded prompts tell the client to call
+const PROMPT_TOOLS = ['create_conversation', 'send_message'];
+
+const PROMPT_ARGUMENTS = [
+  {
+    name: 'topic',
+    description: 'What to ask the agent about',
+    required: true
+  },
+  {
+    name: 'dsId',
+    description: 'Optional ID of a data source the agent should use',
+    required: false
+  }
+];
+
+/**
+ * Fill {placeholders} in a template
+ * @param {string} template - Template string
+ * @param {Object} values - Placeholder values
+ * @returns {string} The rendered string
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    values[key] === undefined ? placeholder : String(values[key])
+  );
+}
+
+/**
+ * Lowercase a string into words joined by underscores, e.g. "Sales/Ops v2" -> "sales_ops_v2"
+ * @param {string} text - Text to slug
+ * @returns {string} The slug
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Turn an agent name into a prompt name, e.g. "Default Chat Agent" -> "ask_default_chat_agent"
+ * @param {string} name - Agent name
+ * @returns {string} The prompt name
+ */
+function toPromptName(name) {
+  return `${PROMPT_PREFIX}${slugify(name)}`;
+}
+
+/**
+ * Publishes one MCP prompt per agent, built from agents.json and the live
+ * agent configurations of the workspace.
+ */
+class AgentPrompts {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getLocalAgents - Resolves to the agents declared in agents.json
+   * @param {Function} [options.fetchAgentConfigurations] - Resolves to the workspace agent configurations
+   * @param {Function} [options.authorizeTool] - Throws an McpError when the session may not call the named tool, e.g. outside its tool profile
+   */
+  constructor({ getLocalAgents, fetchAgentConfigurations, authorizeTool = () => {} } = {}) {
+    if (!getLocalAgents) {
+      throw new Error('getLocalAgents is required');
+    }
+
+    this.getLocalAgents = getLocalAgents;
+    this.fetchAgentConfigurations = fetchAgentConfigurations;
+    this.authorizeTool = authorizeTool;
+  }
+
+  /**
+   * Collect agents from both sources; live configurations win on duplicate IDs
+   * @private
+   * @returns {Promise<Array<{id: string, name: string, description: string}>>} Merged agents
+   */
+  async _getAgents() {
+    const agents = new Map();
+
+    const localAgents = await this.getLocalAgents();
+    for (const agent of localAgents) {
+      agents.set(agent.id, { id: agent.id, name: agent.name, description: agent.description });
+    }
+
+    if (this.fetchAgentConfigurations) {
+      try {
+        const { agentConfigurations = [] } = await this.fetchAgentConfigurations();
+        for (const agent of agentConfigurations) {
+          agents.set(agent.sId, { id: agent.sId, name: agent.name, description: agent.description });
+        }
+      } catch (error) {
+        logger.warning(`Live agent configurations unavailable, using agents.json only: ${error.message}`);
+      }
+    }
+
+    return Array.from(agents.values());
+  }
+
+  /**
+   * Name the prompt of each agent. Agents sharing a name get their ID appended,
+   * e.g. "ask_research_agt_research", so that every prompt name is unique.
+   * @private
+   * @returns {Promise<Map<string, Object>>} Agents by prompt name
+   */
+  async _getPromptAgents() {
+    const agents = await this._getAgents();
+    const counts = new Map();
+    for (const agent of agents) {
+      const name = toPromptName(agent.name);
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+
+    const promptAgents = new Map();
+    for (const agent of agents) {
+      const name = toPromptName(agent.name);
+      promptAgents.set(counts.get(name) > 1 ? `${name}_${slugify(agent.id)}` : name, agent);
+    }
+    return promptAgents;
+  }
+
+  /**
+   * Throw when the session may not call the tools the prompts drive
+   * @private
+   * @throws {McpError} If a tool is outside the session's tool profile
+   */
+  _authorizePromptTools() {
+    for (const toolName of PROMPT_TOOLS) {
+      this.authorizeTool(toolName);
+    }
+  }
+
+  /**
+   * List one prompt per agent, or none when the session may not call the tools they drive
+   * @returns {Promise<{prompts: Array<Object>}>} Prompts for prompts/list
+   */
+  async list() {
+    try {
+      this._authorizePromptTools();
+    } catch (error) {
+      if (!(error instanceof McpError)) {
+        throw error;
+      }
+      logger.debug(`No agent prompts listed: ${error.message}`);
+      return { prompts: [] };
+    }
+
+    const promptAgents = await this._getPromptAgents();
+    return {
+      prompts: Array.from(promptAgents, ([name, agent]) => ({
+        name,
+        description: `Ask the "${agent.name}" agent about a topic. ${agent.description || ''}`.trim(),
+        arguments: PROMPT_ARGUMENTS
+      }))
+    };
+  }
+
+  /**
+   * Expand a prompt into messages that drive send_message against its agent
+   * @param {string} name - Prompt name
+   * @param {Object} [args] - Prompt arguments
+   * @param {string} args.topic - What to ask the agent about
+   * @param {string} [args.dsId] - Data source the agent should use
+   * @returns {Promise<{description: string, messages: Array<Object>}>} Result for prompts/get
+   * @throws {McpError} If the prompt is unknown, the topic is missing or the session may not call the tools it drives
+   */
+  async get(name, args = {}) {
+    this._authorizePromptTools();
+    const agent = (await this._getPromptAgents()).get(name);
+    if (!agent) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    if (!args.topic) {
+      throw new McpError(ErrorCode.InvalidParams, 'Missing required argument: topic');
+    }
+
+    const template = args.dsId ? QUESTION_TEMPLATE + DATA_SOURCE_TEMPLATE : QUESTION_TEMPLATE;
+    const question = renderTemplate(template, { agent: agent.name, topic: args.topic, dsId: args.dsId });
+
+    const text = [
+      `Please ${question}.`,
+      '',
+      `1. Call the \`create_conversation\` tool with agentId "${agent.id}" to open a session with the agent.`,
+      `2. Call the \`send_message\` tool with the returned sessionId and this message: "${args.topic}"` +
+        (args.dsId ? ` (use the data source ${args.dsId} to answer).` : '.'),
+      '3. Summarize the agent\'s answer.'
+    ].join('\n');
+
+    return {
+      description: `Ask the "${agent.name}" agent about ${args.topic}`,
+      messages: [{
+        role: 'user',
+        content: { type: 'text', text }
+      }]
+    };
+  }
+}
+
+module.exports = { AgentPrompts, toPromptName };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { loadTools, TOOLS_DIR } = require('../tools.js');
+const { getLogger } = require('../logging/logger.js');
+
+const logger = getLogger('ToolRegistry');
+
+// Editors and generators write several files in a row; reload once they are done
+const DEFAULT_DEBOUNCE_MS = 250;
+
+/**
+ * Drop the cached modules of a directory so the next require reads them from disk
+ * @private
+ * @param {string} dir - Absolute directory
+ */
+function clearRequireCache(dir) {
+  const prefix = dir.endsWith(path.sep) ? dir : dir + path.sep;
+  for (const modulePath of Object.keys(require.cache)) {
+    if (modulePath.startsWith(prefix)) {
+      delete require.cache[modulePath];
+    }
+  }
+}
+
+/**
+ * Load the tools directory again, bypassing the require cache
+ * @private
+ * @param {Object} options - Options passed to loadTools
+ * @returns {{tools: Array<Object>, errors: Array<{path: string, error: string}>}}
+ */
+function reloadTools(options) {
+  clearRequireCache(options.toolsDir);
+  return loadTools(options);
+}
+
+/**
+ * Current list of discovered tools, kept up to date while the tools directory changes.
+ *
+ * Each reload builds a new array, so a tool call that already picked its tool keeps
+ * running with the module version it started with.
+ */
+class ToolRegistry {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.toolsDir] - Directory to load tools from, tools/ by default
+   * @param {Function} [options.load] - Loads the directory, returns { tools, errors } like loadTools
+   * @param {number} [options.debounceMs=250] - Delay between the last file change and the reload
+   */
+  constructor({ toolsDir = TOOLS_DIR, load = reloadTools, debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+    this.toolsDir = toolsDir;
+    this.load = load;
+    this.debounceMs = debounceMs;
+    this.tools = [];
+    this.listeners = new Set();
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load the tools directory and replace the tool list.
+   * A module that fails to load keeps its previous version, so a half-written file
+   * does not make its tool disappear.
+   * @returns {Array<Object>} The new tool list
+   */
+  reload() {
+    const { tools, errors } = this.load({ toolsDir: this.toolsDir });
+    const loadedNames = new Set(tools.map((tool) => tool.definition.function.name));
+
+    for (const { path: filePath, error } of errors) {
+      const previous = this.tools.find((tool) => tool.path === filePath);
+      if (previous && !loadedNames.has(previous.definition.function.name)) {
+        logger.warning(`Keeping the previous version of ${filePath}: ${error}`);
+        tools.push(previous);
+        loadedNames.add(previous.definition.function.name);
+      } else {
+        logger.error(`Skipped tool module ${filePath}: ${error}`);
+      }
+    }
+
+    this.tools = tools;
+    return tools;
+  }
+
+  /**
+   * Register a listener called with the new tool list after each reload caused by a file change
+   * @param {Function} listener - Receives the tool list
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Reload after the debounce delay, restarting the delay on every call
+   */
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reloadTimer = null;
+      try {
+        const tools = this.reload();
+        logger.info(`Reloaded ${tools.length} tools`);
+        for (const listener of this.listeners) {
+          listener(tools);
+        }
+      } catch (error) {
+        logger.error('Failed to reload tools', { error });
+      }
+    }, this.debounceMs);
+  }
+
+  /**
+   * Watch the tools directory and reload on changes to JavaScript files.
+   * Where the directory cannot be watched, e.g. recursively on Node 18 on Linux, tools load at startup only.
+   * @returns {ToolRegistry} this
+   */
+  watch() {
+    if (this.watcher) return this;
+
+    try {
+      this.watcher = fs.watch(this.toolsDir, { recursive: true }, (eventType, filename) => {
+        if (filename && !filename.endsWith('.js')) return;
+        logger.debug(`Tool module ${eventType}: ${filename}`);
+        this.scheduleReload();
+      });
+    } catch (error) {
+      logger.warning(`Cannot watch ${this.toolsDir}, tool changes need a restart: ${error.message}`);
+      return this;
+    }
+    this.watcher.on('error', (error) => logger.error('Tools directory watcher failed', { error }));
+    // Watching must not keep the process alive on its own
+    this.watcher.unref();
+    logger.info(`Watching ${this.toolsDir} for tool changes`);
+    return this;
+  }
+
+  /**
+   * Stop watching and cancel a pending reload
+   */
+  close() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = null;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = { ToolRegistry };
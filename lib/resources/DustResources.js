@@ -0,0 +1,166 @@
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { DustError } = require('../dust/DustClient.js');
+
+const JSON_MIME_TYPE = 'application/json';
+
+// URI templates advertised through resources/templates/list.
+// Their simple {var} expansions are percent-encoded (RFC 6570), as read() expects.
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'dust://conversations/{cId}',
+    name: 'Dust conversation',
+    description: 'A Dust conversation with all of its messages',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uriTemplate: 'dust://vaults/{vId}/data_sources/{dsId}',
+    name: 'Dust data source',
+    description: 'The documents of a data source in a vault',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uriTemplate: 'dust://vaults/{vId}/data_sources/{dsId}/documents/{documentId}',
+    name: 'Dust document',
+    description: 'A single document from a data source in a vault',
+    mimeType: JSON_MIME_TYPE
+  }
+];
+
+// Each route maps a resource URI onto the tool that fetches its content
+const RESOURCE_ROUTES = [
+  {
+    pattern: /^dust:\/\/conversations\/([^/]+)$/,
+    toolName: 'get_conversation',
+    toArgs: ([cId]) => ({ cId })
+  },
+  {
+    pattern: /^dust:\/\/vaults\/([^/]+)\/data_sources\/([^/]+)$/,
+    toolName: 'get_documents',
+    toArgs: ([vId, dsId]) => ({ vId, dsId })
+  },
+  {
+    pattern: /^dust:\/\/vaults\/([^/]+)\/data_sources\/([^/]+)\/documents\/([^/]+)$/,
+    toolName: 'retrieve_document',
+    toArgs: ([vId, dsId, documentId]) => ({ vId, dsId, documentId })
+  }
+];
+
+/**
+ * Exposes Dust conversations, data sources and documents as MCP resources.
+ * Reads are delegated to the Dust API tools so both share the same fetch logic.
+ */
+class DustResources {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Array<Object>} options.tools - Loaded apiTool objects
+   * @param {string} [options.workspaceId] - Workspace the resources are read from, DUST_WORKSPACE_ID when not given
+   * @param {Function} [options.authorize] - Throws an McpError when the session may not call a tool, e.g. outside its tool profile
+   */
+  constructor({ tools, workspaceId, authorize = () => {} } = {}) {
+    if (!tools) {
+      throw new Error('Tools are required');
+    }
+
+    this.tools = tools;
+    this.workspaceId = workspaceId;
+    this.authorize = authorize;
+  }
+
+  /**
+   * Call a Dust API tool by name
+   * @private
+   * @param {string} toolName - Name of the tool to call
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} The tool result
+   * @throws {McpError} If the tool is not loaded, not authorized or reports an error
+   */
+  async _callTool(toolName, args) {
+    const tool = this.tools.find((t) => t.definition?.function?.name === toolName);
+    if (!tool) {
+      throw new McpError(ErrorCode.InternalError, `Tool not available: ${toolName}`);
+    }
+    this.authorize(tool);
+
+    let result;
+    try {
+      result = await tool.function(args, { workspaceId: this.workspaceId });
+    } catch (error) {
+      if (error instanceof DustError) {
+        throw new McpError(ErrorCode.InternalError, `${toolName} error: ${error.message}`);
+      }
+      throw error;
+    }
+    if (result && result.error) {
+      throw new McpError(ErrorCode.InternalError, `${toolName} error: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * Get the resource URI templates
+   * @returns {{resourceTemplates: Array<Object>}} Templates for resources/templates/list
+   */
+  listTemplates() {
+    return { resourceTemplates: RESOURCE_TEMPLATES };
+  }
+
+  /**
+   * List data source resources, one vault per page
+   * @param {string} [cursor] - Cursor returned by the previous page
+   * @returns {Promise<{resources: Array<Object>, nextCursor?: string}>} Resources for resources/list
+   */
+  async list(cursor) {
+    const vaultIndex = cursor === undefined ? 0 : Number.parseInt(cursor, 10);
+    if (!Number.isInteger(vaultIndex) || vaultIndex < 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid cursor: ${cursor}`);
+    }
+
+    const { vaults = [] } = await this._callTool('list_workspace_vaults', {});
+    const vault = vaults[vaultIndex];
+    if (!vault) {
+      return { resources: [] };
+    }
+
+    const { data_sources: dataSources = [] } = await this._callTool('get_data_sources', { vId: vault.sId });
+    const resources = dataSources.map((dataSource) => ({
+      // Names may hold slashes or spaces: segments are encoded, and read() decodes them
+      uri: `dust://vaults/${encodeURIComponent(vault.sId)}/data_sources/${encodeURIComponent(dataSource.sId || dataSource.name)}`,
+      name: `${vault.name} / ${dataSource.name}`,
+      description: dataSource.description || undefined,
+      mimeType: JSON_MIME_TYPE
+    }));
+
+    const page = { resources };
+    if (vaultIndex + 1 < vaults.length) {
+      page.nextCursor = String(vaultIndex + 1);
+    }
+    return page;
+  }
+
+  /**
+   * Read a resource by URI
+   * @param {string} uri - A dust:// resource URI
+   * @returns {Promise<{contents: Array<Object>}>} Contents for resources/read
+   * @throws {McpError} If the URI does not match any resource template
+   */
+  async read(uri) {
+    for (const route of RESOURCE_ROUTES) {
+      const match = route.pattern.exec(uri);
+      if (!match) continue;
+
+      const args = route.toArgs(match.slice(1).map(decodeURIComponent));
+      const data = await this._callTool(route.toolName, args);
+      return {
+        contents: [{
+          uri,
+          mimeType: JSON_MIME_TYPE,
+          text: JSON.stringify(data, null, 2)
+        }]
+      };
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+}
+
+module.exports = { DustResources, RESOURCE_TEMPLATES };
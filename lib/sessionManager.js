@@ -7,10 +7,14 @@ const FileUploadHandler = require('./fileUploadHandler.js');
 const { WorkspaceValidator } = require('./validation/workspaceValidator.js');
 const { FileSystemSessionStorage } = require('./storage/SessionStorage.js');
 const { ConversationHistory } = require('./history/ConversationHistory.js');
+const { getLogger } = require('./logging/logger.js');
+const { getWorkspaceApiKey } = require('./config.js');
 const fs_sync = require('fs'); // For synchronous logging to avoid Jest race conditions
 
 // __filename and __dirname are globally available in CommonJS modules
 
+const logger = getLogger('SessionManager');
+
 // Constants
 const CONVERSATION_TTL = 30 * 60 * 1000; // 30 minutes
 const CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
@@ -60,7 +64,7 @@ class SessionManager {
       try {
         fs_sync.writeFileSync(filePath, `[${new Date().toISOString()}] Listener log initialized.\n`);
       } catch (err) {
-        console.error('[SessionManager] Failed to initialize listener log file:', err);
+        logger.error('Failed to initialize listener log file', { error: err });
       }
     }
   }
@@ -75,8 +79,8 @@ class SessionManager {
     try {
       fs_sync.appendFileSync(SessionManager._listenerLogFilePath, logEntry);
     } catch (err) {
-      // Fallback to console.error if file logging fails
-      console.error(`[SessionManager] FAILED TO WRITE TO LISTENER LOG: ${logEntry.trim()}`, err);
+      // Fallback to the logger if file logging fails
+      logger.error(`FAILED TO WRITE TO LISTENER LOG: ${logEntry.trim()}`, { error: err });
     }
   }
   /**
@@ -88,7 +92,8 @@ class SessionManager {
    * @param {Object} options - Session manager options
    * @param {string} [options.uploadDir] - Directory for file uploads
    * @param {number} [options.maxFileSize] - Maximum file size in bytes
-   * @param {string} [options.apiKey] - Dust API key for validation
+   * @param {string|null} [options.apiKey] - Dust API key validating every workspace; by default each workspace
+   *   is validated with its own key (see getWorkspaceApiKey), null disables validation
    * @param {string} [options.storagePath] - Path for session storage
    * @param {number} [options.maxHistory] - Maximum conversation history items
    * @param {number} [options.maxTokens] - Maximum tokens in conversation history
@@ -96,10 +101,10 @@ class SessionManager {
   constructor({
     uploadDir,
     maxFileSize,
-    apiKey = process.env.DUST_API_KEY,
+    apiKey,
     ...options
   } = {}) {
-    console.error(`[SessionManager CONSTRUCTOR START] Initial SIGINT: ${process.listenerCount('SIGINT')}, SIGTERM: ${process.listenerCount('SIGTERM')}`);
+    logger.debug(`Constructor start. Initial SIGINT: ${process.listenerCount('SIGINT')}, SIGTERM: ${process.listenerCount('SIGTERM')}`);
     this.sessions = new Map();
     this.fileUploadHandler = new FileUploadHandler({ uploadDir, maxFileSize });
     
@@ -114,10 +119,9 @@ class SessionManager {
       maxTokens: options.maxTokens || DEFAULT_SESSION_OPTIONS.maxTokens
     });
     
-    // Initialize workspace validator if API key is provided
-    if (apiKey) {
-      this.validator = new WorkspaceValidator({ apiKey });
-    }
+    // Workspace validators, one per API key, built on first use
+    this.apiKey = apiKey;
+    this.validators = new Map();
     
     // Set up cleanup interval
     if (process.env.JEST_WORKER_ID === undefined) {
@@ -126,34 +130,34 @@ class SessionManager {
         CLEANUP_INTERVAL
       );
     } else {
-      console.error('[SessionManager CONSTRUCTOR] Jest environment detected, skipping setInterval for session cleanup.');
+      logger.debug('Constructor: Jest environment detected, skipping setInterval for session cleanup.');
       this.cleanupInterval = null;
     }
     
     // Handle process termination
-    console.error('[SessionManager CONSTRUCTOR] Diagnosing _gracefulShutdown:');
-    console.error(`[SessionManager CONSTRUCTOR] typeof this._gracefulShutdown: ${typeof this._gracefulShutdown}`);
-    console.error(`[SessionManager CONSTRUCTOR] this.hasOwnProperty('_gracefulShutdown'): ${this.hasOwnProperty('_gracefulShutdown')}`);
-    console.error(`[SessionManager CONSTRUCTOR] Object.getPrototypeOf(this).hasOwnProperty('_gracefulShutdown'): ${Object.getPrototypeOf(this).hasOwnProperty('_gracefulShutdown')}`);
-    // console.error('[SessionManager CONSTRUCTOR] this object:', this); // Potentially very verbose
+    logger.debug('Constructor: Diagnosing _gracefulShutdown:');
+    logger.debug(`Constructor: typeof this._gracefulShutdown: ${typeof this._gracefulShutdown}`);
+    logger.debug(`Constructor: this.hasOwnProperty('_gracefulShutdown'): ${this.hasOwnProperty('_gracefulShutdown')}`);
+    logger.debug(`Constructor: Object.getPrototypeOf(this).hasOwnProperty('_gracefulShutdown'): ${Object.getPrototypeOf(this).hasOwnProperty('_gracefulShutdown')}`);
+    // logger.debug('Constructor: this object:', this); // Potentially very verbose
     this._gracefulShutdownSIGTERM = this._gracefulShutdown.bind(this, 'SIGTERM');
-    console.error(`[SessionManager CONSTRUCTOR] Adding SIGTERM listener. Current count: ${process.listenerCount('SIGTERM')}`);
+    logger.debug(`Constructor: Adding SIGTERM listener. Current count: ${process.listenerCount('SIGTERM')}`);
     this._logListenerActivity('Before adding SIGTERM listener');
     process.on('SIGTERM', this._gracefulShutdownSIGTERM);
-    console.error(`[SessionManager CONSTRUCTOR] Added SIGTERM listener. New count: ${process.listenerCount('SIGTERM')}`);
+    logger.debug(`Constructor: Added SIGTERM listener. New count: ${process.listenerCount('SIGTERM')}`);
     this._logListenerActivity('After adding SIGTERM listener');
 
     this._gracefulShutdownSIGINT = this._gracefulShutdown.bind(this, 'SIGINT');
-    console.error(`[SessionManager CONSTRUCTOR] Adding SIGINT listener. Current count: ${process.listenerCount('SIGINT')}`);
+    logger.debug(`Constructor: Adding SIGINT listener. Current count: ${process.listenerCount('SIGINT')}`);
     this._logListenerActivity('Before adding SIGINT listener');
     process.on('SIGINT', this._gracefulShutdownSIGINT);
-    console.error(`[SessionManager CONSTRUCTOR] Added SIGINT listener. New count: ${process.listenerCount('SIGINT')}`);
+    logger.debug(`Constructor: Added SIGINT listener. New count: ${process.listenerCount('SIGINT')}`);
     this._logListenerActivity('After adding SIGINT listener');
     
     // Load existing sessions from storage
     this.initializationPromise = this._initializeFromStorage();
     this.initializationPromise.catch(err => {
-      console.error('[SessionManager] Failed to initialize from storage:', err);
+      logger.error('Failed to initialize from storage', { error: err });
     });
   }
 
@@ -162,15 +166,15 @@ class SessionManager {
    * @private
    */
   async _initializeFromStorage() {
-    console.error('[SessionManager DEBUG] _initializeFromStorage: Entered');
+    logger.debug('_initializeFromStorage: Entered');
     try {
       const sessions = await this.storage.list();
       for (const session of sessions) {
         this.sessions.set(session.id, session);
       }
-      console.error(`[SessionManager] Initialized ${sessions.length} sessions from storage`);
+      logger.info(`Initialized ${sessions.length} sessions from storage`);
     } catch (error) {
-      console.error('[SessionManager] Error initializing from storage:', error);
+      logger.error('Error initializing from storage', { error });
       throw error;
     }
   }
@@ -187,13 +191,13 @@ class SessionManager {
     try {
       await this.storage.save(session);
     } catch (error) {
-      console.error(`[SessionManager] Failed to persist session ${sessionId}:`, error);
+      logger.error('Failed to persist session', { sessionId, error });
       throw error;
     }
   }
 
   async _gracefulShutdown(signal) {
-    console.error(`[SessionManager] Received ${signal}. Attempting to save all sessions before exiting...`);
+    logger.notice(`Received ${signal}. Attempting to save all sessions before exiting...`);
     const savePromises = [];
     // Create a copy of session IDs to iterate over, as sessions might be modified
     const sessionIds = Array.from(this.sessions.keys());
@@ -201,10 +205,10 @@ class SessionManager {
     for (const sessionId of sessionIds) {
       const session = this.sessions.get(sessionId); 
       if (session) {
-        console.error(`[SessionManager] Queuing session ${sessionId} for persistence during ${signal} shutdown.`);
+        logger.debug(`Queuing session for persistence during ${signal} shutdown`, { sessionId });
         // Use a try-catch within the map if individual persistence errors shouldn't stop others
         savePromises.push(this._persistSession(sessionId).catch(err => {
-          console.error(`[SessionManager] Error persisting session ${sessionId} during ${signal} shutdown:`, err);
+          logger.error(`Error persisting session during ${signal} shutdown`, { sessionId, error: err });
           // Optionally, rethrow or handle as needed, but for shutdown, often best to log and continue
         }));
       }
@@ -212,20 +216,37 @@ class SessionManager {
     
     try {
       await Promise.all(savePromises);
-      console.error(`[SessionManager] All active sessions processed for persistence during ${signal} shutdown.`);
+      logger.info(`All active sessions processed for persistence during ${signal} shutdown.`);
     } catch (error) {
       // This catch might be redundant if individual errors are caught above, 
       // but good for unforeseen issues with Promise.all itself.
-      console.error(`[SessionManager] Error during bulk session persistence on ${signal} shutdown:`, error);
+      logger.error(`Error during bulk session persistence on ${signal} shutdown`, { error });
     }
 
-    console.error(`[SessionManager] Graceful shutdown for ${signal} complete.`);
+    logger.notice(`Graceful shutdown for ${signal} complete.`);
     // In a real application, you might want to ensure the process exits here if it's a critical signal.
     // For example: if (signal === 'SIGINT' || signal === 'SIGTERM') process.exit();
     // However, calling process.exit() directly can interfere with Jest's test runner.
     // So, for now, we'll rely on the signal to terminate the process naturally if not in Jest.
   }
 
+  /**
+   * Get the validator of a workspace, which calls the Dust API with the key of that workspace
+   * @private
+   * @param {string} workspaceId - Workspace ID
+   * @returns {WorkspaceValidator|null} The validator, or null when validation is disabled or the workspace has no key
+   */
+  _getValidator(workspaceId) {
+    const apiKey = this.apiKey === undefined ? getWorkspaceApiKey(workspaceId) : this.apiKey;
+    if (!apiKey) {
+      return null;
+    }
+    if (!this.validators.has(apiKey)) {
+      this.validators.set(apiKey, new WorkspaceValidator({ apiKey }));
+    }
+    return this.validators.get(apiKey);
+  }
+
   /**
    * Create a new session with validation
    * @param {string} workspaceId - Workspace ID // Added this missing JSDoc line for clarity
@@ -244,26 +265,27 @@ class SessionManager {
     const now = Date.now();
     
     if (!workspaceId || !agentId) {
-      console.error('[SessionManager] createSession error: Workspace ID and Agent ID are required');
+      logger.error('createSession error: Workspace ID and Agent ID are required');
       throw new Error('Workspace ID and Agent ID are required');
     }
     
     // Validate workspace and agent if validator is available and validation is not explicitly skipped
-    if (options.validate !== false && this.validator) {
+    const validator = options.validate !== false ? this._getValidator(workspaceId) : null;
+    if (validator) {
       try {
-        const workspaceValid = await this.validator.validateWorkspace(workspaceId);
+        const workspaceValid = await validator.validateWorkspace(workspaceId);
         if (!workspaceValid.valid) {
-          console.error(`[SessionManager] createSession error: Invalid workspace ${workspaceId}: ${workspaceValid.error}`);
+          logger.error(`createSession error: Invalid workspace ${workspaceId}: ${workspaceValid.error}`);
           throw new Error(`Invalid workspace: ${workspaceValid.error || 'Unknown error'}`);
         }
         
-        const agentValid = await this.validator.validateAgent(workspaceId, agentId);
+        const agentValid = await validator.validateAgent(workspaceId, agentId);
         if (!agentValid.valid) {
-          console.error(`[SessionManager] createSession error: Invalid agent ${agentId} for workspace ${workspaceId}: ${agentValid.error}`);
+          logger.error(`createSession error: Invalid agent ${agentId} for workspace ${workspaceId}: ${agentValid.error}`);
           throw new Error(`Invalid agent: ${agentValid.error || 'Unknown error'}`);
         }
       } catch (error) {
-        console.error(`[SessionManager] createSession validation failed for workspace ${workspaceId}, agent ${agentId}:`, error.message);
+        logger.error(`createSession validation failed for workspace ${workspaceId}, agent ${agentId}: ${error.message}`);
         throw new Error(`Validation failed: ${error.message}`);
       }
     }
@@ -292,9 +314,9 @@ class SessionManager {
     try {
       await this._persistSession(sessionId);
     } catch (persistError) {
-        console.error(`[SessionManager] createSession: Failed to persist session ${sessionId} initially:`, persistError);
+        logger.error('createSession: Failed to persist session initially', { sessionId, error: persistError });
     }
-    console.error(`[SessionManager] Created session ${sessionId} for workspace ${workspaceId}, agent ${agentId}`);
+    logger.info(`Created session for workspace ${workspaceId}, agent ${agentId}`, { sessionId });
     return session;
   }
 
@@ -416,7 +438,7 @@ class SessionManager {
         await this.storage.delete(sessionId); // Remove from storage
         return true;
       } catch (err) {
-        console.error(`[SessionManager] Error removing session ${sessionId} during cleanup:`, err);
+        logger.error('Error removing session during cleanup', { sessionId, error: err });
         return false;
       }
     });
@@ -424,7 +446,7 @@ class SessionManager {
     // Clean up storage (in case of stale sessions)
     const storageCleanup = this.storage.cleanupExpiredSessions(CONVERSATION_TTL)
       .catch(err => {
-        console.error('[SessionManager] Error cleaning up storage:', err);
+        logger.error('Error cleaning up storage', { error: err });
         return 0;
       });
     
@@ -439,8 +461,8 @@ class SessionManager {
     
     // Log results
     if (successfullyRemovedInMemory > 0 || removedCountFromStorageCleanup > 0) {
-      console.error(
-        `[SessionManager] Cleaned up ${successfullyRemovedInMemory} sessions (in-memory and storage) via direct TTL check, ` +
+      logger.info(
+        `Cleaned up ${successfullyRemovedInMemory} sessions (in-memory and storage) via direct TTL check, ` +
         `and ${removedCountFromStorageCleanup} sessions via storage-level TTL cleanup.`
       );
     }
@@ -464,17 +486,17 @@ class SessionManager {
     }
     
     try {
-      const fileMetadata = await this.fileUploadHandler.handleUpload(file, sessionId);
+      const fileMetadata = await this.fileUploadHandler.handleUpload(file, sessionId, { workspaceId: session.workspaceId });
       
       // Add file to session
       session.files = session.files || [];
       session.files.push(fileMetadata);
       session.updatedAt = Date.now();
       await this._persistSession(session.id);
-      console.error(`[SessionManager] File uploaded to session ${sessionId}: ${fileMetadata.originalName}`);
+      logger.info(`File uploaded: ${fileMetadata.originalName}`, { sessionId });
       return fileMetadata;
     } catch (error) {
-      console.error(`[SessionManager] Error handling file upload for session ${sessionId}:`, error);
+      logger.error('Error handling file upload', { sessionId, error });
       throw error;
     }
   }
@@ -492,6 +514,44 @@ class SessionManager {
     return session.files || [];
   }
   
+  /**
+   * Make sure files of a session are uploaded to its Dust workspace, uploading the ones
+   * whose upload failed or that were uploaded to another workspace
+   * @param {string} sessionId - Session ID
+   * @param {Array<string>} [fileIds] - IDs of the session files, all of them when not given
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the uploads
+   * @returns {Promise<Array<Object>>} - Metadata of the files, each with its dustFileId
+   * @throws {Error} If the session or one of the files does not exist
+   */
+  async uploadSessionFilesToDust(sessionId, fileIds, { signal } = {}) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const sessionFiles = session.files || [];
+    const files = fileIds === undefined
+      ? sessionFiles
+      : fileIds.map((fileId) => {
+        const file = sessionFiles.find((candidate) => candidate.id === fileId);
+        if (!file) {
+          throw new Error(`Unknown file ${fileId} in session ${sessionId}`);
+        }
+        return file;
+      });
+
+    const pending = files.filter((file) => !file.dustFileId || file.dustWorkspaceId !== session.workspaceId);
+    for (const file of pending) {
+      await this.fileUploadHandler.uploadToDust(file, { workspaceId: session.workspaceId, signal });
+    }
+    if (pending.length > 0) {
+      session.updatedAt = Date.now();
+      await this._persistSession(session.id);
+    }
+    return files;
+  }
+
   /**
    * Clean up files for a session
    * @param {string} sessionId - Session ID
@@ -543,17 +603,17 @@ class SessionManager {
     this.sessions.clear();
     this._logListenerActivity('Sessions cleared.');
 
-    console.error('[SessionManager] Destroyed.'); // A final confirmation message to stderr
+    logger.debug('Destroyed.');
     this._logListenerActivity('destroy() method COMPLETED.');
     return Promise.resolve();
   }
 
   log(message) {
-    console.log(`[SessionManager] ${message}`);
+    logger.info(message);
   }
 
   error(message, error) {
-    console.error(`[SessionManager] ${message}`, error);
+    logger.error(message, { error });
   }
 }
 
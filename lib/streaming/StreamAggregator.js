@@ -0,0 +1,134 @@
+/**
+ * Folds the events of a Dust agent stream into a single answer.
+ * Collects generated tokens, citations and the conversation ID so a streamed
+ * tool call can end with one aggregated CallToolResult.
+ */
+class StreamAggregator {
+  constructor() {
+    this.conversationId = null;
+    this.messageId = null;
+    this.tokens = [];
+    this.finalContent = null;
+    this.citations = [];
+    this.chunkCount = 0;
+    this.error = null;
+  }
+
+  /**
+   * Add a stream chunk
+   * @param {Object} chunk - A parsed Dust stream event
+   * @returns {string|null} The generated text carried by the chunk, if any
+   */
+  add(chunk) {
+    this.chunkCount++;
+    if (!chunk || typeof chunk !== 'object') {
+      return null;
+    }
+
+    if (chunk.conversationId && !this.conversationId) {
+      this.conversationId = chunk.conversationId;
+    }
+    if (chunk.messageId) {
+      this.messageId = chunk.messageId;
+    }
+
+    switch (chunk.type) {
+      case 'agent_error':
+      case 'user_message_error':
+        this.error = chunk.error?.message || chunk.error || 'Agent error';
+        return null;
+      case 'agent_action_success':
+        this._addCitations(chunk.action?.documents);
+        return null;
+      case 'agent_message_success':
+        if (chunk.message) {
+          this.messageId = chunk.message.sId || this.messageId;
+          this.finalContent = chunk.message.content ?? this.finalContent;
+          this._addCitations(chunk.message.citations);
+        }
+        return null;
+      case 'generation_tokens':
+        // Only answer tokens; chain of thought stays out of the answer
+        if (chunk.classification && chunk.classification !== 'tokens') {
+          return null;
+        }
+        break;
+      default:
+        break;
+    }
+
+    this._addCitations(chunk.citations);
+
+    const text = typeof chunk.text === 'string' ? chunk.text : chunk.content;
+    if (typeof text === 'string' && text.length > 0) {
+      this.tokens.push(text);
+      return text;
+    }
+    return null;
+  }
+
+  /**
+   * Record citations, skipping duplicates
+   * @private
+   * @param {Array<Object>} [citations] - Cited documents
+   */
+  _addCitations(citations) {
+    if (!Array.isArray(citations)) return;
+
+    for (const citation of citations) {
+      const reference = citation.reference || citation.documentId || citation.sourceUrl;
+      if (this.citations.some((c) => c.reference === reference)) continue;
+
+      this.citations.push({
+        reference,
+        title: citation.title || citation.documentId || null,
+        sourceUrl: citation.sourceUrl || citation.href || null
+      });
+    }
+  }
+
+  /**
+   * Get the aggregated result
+   * @returns {{conversationId: string|null, messageId: string|null, answer: string, citations: Array<Object>, chunks: number}}
+   */
+  toResult() {
+    return {
+      conversationId: this.conversationId,
+      messageId: this.messageId,
+      answer: this.finalContent ?? this.tokens.join(''),
+      citations: this.citations,
+      chunks: this.chunkCount
+    };
+  }
+}
+
+/**
+ * Consume a stream of Dust events and aggregate it
+ * @param {AsyncIterable<Object>} stream - Stream of Dust events
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Stops consuming when aborted
+ * @param {Function} [options.onToken] - Called with each piece of generated text
+ * @returns {Promise<Object>} The aggregated result, see StreamAggregator#toResult
+ * @throws {Error} If the agent reported an error or the signal was aborted
+ */
+async function aggregateStream(stream, { signal, onToken } = {}) {
+  const aggregator = new StreamAggregator();
+
+  for await (const chunk of stream) {
+    if (signal?.aborted) {
+      throw new Error('Request cancelled');
+    }
+
+    const text = aggregator.add(chunk);
+    if (text && onToken) {
+      await onToken(text);
+    }
+    if (aggregator.error) {
+      throw new Error(aggregator.error);
+    }
+  }
+
+  return aggregator.toResult();
+}
+
+module.exports = { StreamAggregator, aggregateStream };
@@ -1,17 +1,12 @@
 const { EventEmitter } = require('events');
 const { AbortController } = require('node-abort-controller');
 const fetch = require('node-fetch');
+const { getLogger } = require('./logging/logger.js');
+const { getDustApiBaseUrl, getWorkspaceApiKey } = require('./config.js');
+const { DEFAULT_RETRY_CONFIG, calculateDelay, isRetryableError, sleep } = require('./http/retryPolicy.js');
+const { readServerSentEvents } = require('./http/sse.js');
 
-// Default configuration
-const DEFAULT_RETRY_CONFIG = {
-  maxRetries: 3,
-  initialDelay: 1000, // 1 second
-  maxDelay: 10000,    // 10 seconds
-  factor: 2,
-  timeout: 30000,     // 30 seconds
-  retryableStatuses: [408, 429, 500, 502, 503, 504],
-  retryableErrors: ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']
-};
+const logger = getLogger('StreamingHandler');
 
 /**
  * Handles streaming responses from the Dust API with enhanced error handling and retry logic.
@@ -22,7 +17,7 @@ class StreamingHandler extends EventEmitter {
   /**
    * @param {Object} sessionManager - Instance of SessionManager
    * @param {Object} [config] - Configuration options
-   * @param {string} [config.baseUrl='https://dust.tt'] - Base URL for the Dust API
+   * @param {string} [config.baseUrl] - Base URL for the Dust API, DUST_API_BASE_URL when not given
    * @param {Object} [config.retry] - Retry configuration
    * @param {number} [config.retry.maxRetries=3] - Maximum number of retry attempts
    * @param {number} [config.retry.initialDelay=1000] - Initial delay between retries in ms
@@ -33,7 +28,7 @@ class StreamingHandler extends EventEmitter {
   constructor(sessionManager, config = {}) {
     super();
     this.sessionManager = sessionManager;
-    this.baseUrl = config.baseUrl || 'https://dust.tt';
+    this.baseUrl = config.baseUrl || getDustApiBaseUrl();
     this.retryConfig = { ...DEFAULT_RETRY_CONFIG, ...(config.retry || {}) };
     this.activeRequests = new Map();
   }
@@ -43,9 +38,7 @@ class StreamingHandler extends EventEmitter {
    * @private
    */
   _calculateDelay(attempt) {
-    const { initialDelay, maxDelay, factor } = this.retryConfig;
-    const delay = Math.min(initialDelay * Math.pow(factor, attempt), maxDelay);
-    return delay * (0.5 + Math.random() * 0.5); // Add jitter
+    return calculateDelay(attempt, this.retryConfig);
   }
 
   /**
@@ -53,31 +46,47 @@ class StreamingHandler extends EventEmitter {
    * @private
    */
   _isRetryableError(error) {
-    if (this.retryConfig.retryableErrors.includes(error.code)) return true;
-    if (error.status && this.retryConfig.retryableStatuses.includes(error.status)) return true;
-    return false;
+    return isRetryableError(error, this.retryConfig);
+  }
+
+  /**
+   * Report an error to the 'error' listeners, if any: without one, emit('error') would throw
+   * @private
+   * @param {Object} details - Error details, with error, context and sessionId
+   */
+  _emitError(details) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', details);
+    }
   }
 
   /**
    * Make a fetch request with retry logic
    * @private
+   * @param {string} url - URL of the request
+   * @param {Object} options - Fetch options; their signal stops the retries
+   * @param {string} sessionId - The session ID
+   * @param {number} [attempt=0] - Number of attempts already retried
+   * @param {string} [requestId=sessionId] - Key of the request in activeRequests
    */
-  async _fetchWithRetry(url, options, sessionId, attempt = 0) {
+  async _fetchWithRetry(url, options, sessionId, attempt = 0, requestId = sessionId) {
     const { maxRetries, timeout } = this.retryConfig;
+    const { signal, ...fetchOptions } = options;
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
     
     // Store the controller for potential cancellation
-    this.activeRequests.set(sessionId, { controller, timeoutId });
+    this.activeRequests.set(requestId, { controller, timeoutId });
 
     try {
       const response = await fetch(url, {
-        ...options,
+        ...fetchOptions,
         signal: controller.signal
       });
 
       clearTimeout(timeoutId);
-      this.activeRequests.delete(sessionId);
+      // Keep the controller until the body is consumed so cancelRequest can still abort the stream
+      this.activeRequests.set(requestId, { controller, timeoutId: null });
 
       if (!response.ok) {
         const error = new Error(`HTTP error! status: ${response.status}`);
@@ -88,7 +97,11 @@ class StreamingHandler extends EventEmitter {
       return response;
     } catch (error) {
       clearTimeout(timeoutId);
-      this.activeRequests.delete(sessionId);
+      this.activeRequests.delete(requestId);
+
+      if (signal?.aborted) {
+        throw error;
+      }
 
       if (error.name === 'AbortError') {
         error.message = `Request timed out after ${timeout}ms`;
@@ -96,10 +109,19 @@ class StreamingHandler extends EventEmitter {
 
       if (attempt < maxRetries && this._isRetryableError(error)) {
         const delay = this._calculateDelay(attempt);
+        logger.warning(`Retrying request after ${error.message}`, { sessionId, attempt: attempt + 1, delay: Math.round(delay) });
         this.emit('retry', { attempt, delay, error, sessionId });
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this._fetchWithRetry(url, options, sessionId, attempt + 1);
+
+        // The wait stays in activeRequests, so that cancelRequest or the signal can end it
+        const wait = new AbortController();
+        this.activeRequests.set(requestId, { controller: wait, timeoutId: null });
+        await sleep(delay, wait.signal);
+        if (wait.signal.aborted || signal?.aborted) {
+          const abortError = new Error('Request cancelled while waiting to retry');
+          abortError.name = 'AbortError';
+          throw abortError;
+        }
+        return this._fetchWithRetry(url, options, sessionId, attempt + 1, requestId);
       }
 
       throw error;
@@ -108,15 +130,16 @@ class StreamingHandler extends EventEmitter {
 
   /**
    * Cancel an active request
-   * @param {string} sessionId - The session ID to cancel the request for
+   * @param {string} requestId - The request ID given to streamResponse, or the session ID when none was given
    */
-  cancelRequest(sessionId) {
-    const request = this.activeRequests.get(sessionId);
+  cancelRequest(requestId) {
+    const request = this.activeRequests.get(requestId);
     if (request) {
       const { controller, timeoutId } = request;
       clearTimeout(timeoutId);
       controller.abort();
-      this.activeRequests.delete(sessionId);
+      this.activeRequests.delete(requestId);
+      logger.info('Request cancelled', { requestId });
       return true;
     }
     return false;
@@ -128,9 +151,15 @@ class StreamingHandler extends EventEmitter {
    * @param {string} message - The message to send
    * @param {Object} [options] - Additional options
    * @param {AbortSignal} [options.signal] - Optional AbortSignal for cancellation
+   * @param {string} [options.requestId] - Key of the request for cancelRequest, the session ID when not given;
+   *   give one when a session can stream several responses at once
    * @returns {AsyncGenerator<Object>} Yields response chunks
    */
   async *streamResponse(sessionId, message, options = {}) {
+    const requestId = options.requestId || sessionId;
+    const onAbort = () => this.cancelRequest(requestId);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
     let session;
     try {
       session = this.sessionManager.getSession(sessionId);
@@ -139,15 +168,16 @@ class StreamingHandler extends EventEmitter {
       }
 
       const { workspaceId, conversationId } = session;
-      const url = conversationId 
-        ? `${this.baseUrl}/api/conversations/${conversationId}/messages`
-        : `${this.baseUrl}/api/conversations`;
+      const conversationsUrl = `${this.baseUrl}/api/v1/w/${workspaceId}/assistant/conversations`;
+      const url = conversationId
+        ? `${conversationsUrl}/${conversationId}/messages`
+        : conversationsUrl;
 
       const fetchOptions = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.DUST_API_KEY}`,
+          'Authorization': `Bearer ${getWorkspaceApiKey(workspaceId)}`,
           'Accept': 'text/event-stream'
         },
         body: JSON.stringify({
@@ -162,68 +192,54 @@ class StreamingHandler extends EventEmitter {
         fetchOptions.signal = options.signal;
       }
 
-      const response = await this._fetchWithRetry(url, fetchOptions, sessionId);
-
-      if (!response.body) {
-        throw new Error('Response body is not readable');
-      }
-
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      let isFirstChunk = true;
+      logger.debug(`Streaming response from ${url}`, { sessionId });
+      const response = await this._fetchWithRetry(url, fetchOptions, sessionId, 0, requestId);
 
+      // From here on the request is in activeRequests: remove it however the stream ends
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
+        if (!response.body) {
+          throw new Error('Response body is not readable');
+        }
 
-          buffer += decoder.decode(value, { stream: true });
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
+        // node-fetch gives a Node stream, read as an async iterable of chunks
+        let isFirstChunk = true;
+        for await (const event of readServerSentEvents(response.body)) {
+          let data;
+          try {
+            data = JSON.parse(event);
+          } catch (error) {
+            logger.warning(`Skipped a stream event that is not JSON: ${error.message}`, { sessionId });
+            this._emitError({
+              error: new Error(`Failed to parse chunk: ${error.message}`),
+              context: 'parse',
+              sessionId,
+              chunk: event
+            });
+            continue;
+          }
 
-          for (const line of lines) {
-            if (!line.startsWith('data: ')) continue;
-            
-            try {
-              const data = JSON.parse(line.slice(6));
-              
-              // Update session with conversation ID if this is the first message
-              if (isFirstChunk && data.conversationId && !session.conversationId) {
-                this.sessionManager.setConversationId(sessionId, data.conversationId);
-                isFirstChunk = false;
-              }
-              
-              // Notify all listeners
-              if (session.listeners) {
-                for (const listener of session.listeners) {
-                  try {
-                    listener(data);
-                  } catch (error) {
-                    this.emit('error', { error, context: 'listener', sessionId });
-                  }
-                }
+          // Update session with conversation ID if this is the first message
+          if (isFirstChunk && data.conversationId && !session.conversationId) {
+            await this.sessionManager.updateConversationId(sessionId, data.conversationId);
+            isFirstChunk = false;
+          }
+
+          // Notify all listeners
+          if (session.listeners) {
+            for (const listener of session.listeners) {
+              try {
+                listener(data);
+              } catch (error) {
+                logger.warning(`Session listener failed: ${error.message}`, { sessionId });
+                this._emitError({ error, context: 'listener', sessionId });
               }
-              
-              // Yield the data to the generator
-              yield data;
-            } catch (error) {
-              this.emit('error', { 
-                error: new Error(`Failed to parse chunk: ${error.message}`),
-                context: 'parse',
-                sessionId,
-                chunk: line
-              });
             }
           }
+
+          yield data;
         }
       } finally {
-        try {
-          reader.releaseLock();
-        } catch (error) {
-          this.emit('error', { error, context: 'cleanup', sessionId });
-        }
-        this.activeRequests.delete(sessionId);
+        this.activeRequests.delete(requestId);
       }
     } catch (error) {
       const errorContext = {
@@ -234,7 +250,12 @@ class StreamingHandler extends EventEmitter {
         message: error.message
       };
       
-      this.emit('error', errorContext);
+      if (error.name === 'AbortError') {
+        logger.info('Streaming aborted', { sessionId });
+      } else {
+        logger.error(`Streaming failed: ${error.message}`, { sessionId });
+      }
+      this._emitError(errorContext);
       
       // Re-throw with additional context if it's not an abort error
       if (error.name !== 'AbortError') {
@@ -244,6 +265,8 @@ class StreamingHandler extends EventEmitter {
         throw enhancedError;
       }
       throw error;
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
     }
   }
 
@@ -252,8 +275,8 @@ class StreamingHandler extends EventEmitter {
    */
   destroy() {
     // Cancel all active requests
-    for (const [sessionId] of this.activeRequests) {
-      this.cancelRequest(sessionId);
+    for (const [requestId] of this.activeRequests) {
+      this.cancelRequest(requestId);
     }
     this.removeAllListeners();
   }
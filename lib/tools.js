@@ -1,21 +1,130 @@
-const { toolPaths } = require("../tools/paths.js");
+const fs = require("fs");
+const path = require("path");
+const { getLogger } = require("./logging/logger.js");
+
+const logger = getLogger("ToolDiscovery");
+
+const TOOLS_DIR = path.join(__dirname, "..", "tools");
+const DEFAULT_NAMESPACE = "default";
+
+/**
+ * List the JavaScript files below a directory
+ * @param {string} dir - Directory to walk
+ * @param {string} [relativeDir] - Path of dir relative to the tools directory
+ * @returns {Array<string>} Paths relative to the tools directory, with "/" separators, sorted
+ */
+function findToolFiles(dir, relativeDir = "") {
+  const files = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...findToolFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile() && entry.name.endsWith(".js") && !entry.name.endsWith(".test.js")) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
 
 /**
- * Discovers and loads available tools from the tools directory
- * @returns {Array} Array of tool objects
+ * Derive the workspace and collection of a tool from its path,
+ * following the tools/workspace/collection/request.js layout
+ * @param {string} relativePath - Path relative to the tools directory
+ * @returns {{workspace: string, collection: string}}
  */
-function discoverTools() {
-  const tools = toolPaths.map((filePath) => {
-    const relativePath = `../tools/${filePath}`;
-    const toolModule = require(relativePath);
-    return {
-      name: toolModule.apiTool.definition.function.name,
-      description: toolModule.apiTool.definition.function.description,
-      execute: toolModule.apiTool.function,
-      path: filePath
+function getNamespace(relativePath) {
+  const directories = relativePath.split("/").slice(0, -1);
+  return {
+    workspace: directories[0] || DEFAULT_NAMESPACE,
+    collection: directories.slice(1).join("/") || DEFAULT_NAMESPACE
+  };
+}
+
+/**
+ * Load every module of the tools directory that exports an apiTool
+ * @param {Object} [options] - Options
+ * @param {string} [options.toolsDir] - Directory to scan, tools/ by default
+ * @returns {{tools: Array<Object>, errors: Array<{path: string, error: string}>}}
+ *   Loaded tools, each tagged with its path, workspace and collection, and the modules that were rejected
+ */
+function loadTools({ toolsDir = TOOLS_DIR } = {}) {
+  const tools = [];
+  const errors = [];
+  const toolsByName = new Map();
+
+  for (const filePath of findToolFiles(toolsDir)) {
+    const absolutePath = path.join(toolsDir, filePath);
+
+    // Skip helpers without requiring them, so their side effects never run
+    if (!/\bapiTool\b/.test(fs.readFileSync(absolutePath, "utf8"))) continue;
+
+    let toolModule;
+    try {
+      toolModule = require(absolutePath);
+    } catch (error) {
+      errors.push({ path: filePath, error: `Failed to load: ${error.message}` });
+      continue;
+    }
+
+    const apiTool = toolModule.apiTool;
+    if (!apiTool) continue;
+
+    const name = apiTool.definition?.function?.name;
+    if (typeof apiTool.function !== "function" || !name) {
+      errors.push({ path: filePath, error: "apiTool needs a function and a definition.function.name" });
+      continue;
+    }
+    if (toolsByName.has(name)) {
+      errors.push({ path: filePath, error: `Duplicate tool name "${name}", already defined in ${toolsByName.get(name).path}` });
+      continue;
+    }
+
+    const tool = {
+      ...apiTool,
+      path: filePath,
+      ...getNamespace(filePath)
     };
-  });
+    toolsByName.set(name, tool);
+    tools.push(tool);
+  }
+
+  return { tools, errors };
+}
+
+/**
+ * Discovers and loads available tools from the tools directory.
+ * Modules that fail to load are reported and skipped.
+ * @param {Object} [options] - Options, see loadTools
+ * @returns {Array} Array of apiTool objects, each tagged with its path, workspace and collection
+ */
+function discoverTools(options) {
+  const { tools, errors } = loadTools(options);
+  for (const { path: filePath, error } of errors) {
+    logger.error(`Skipped tool module ${filePath}: ${error}`);
+  }
   return tools;
 }
 
-module.exports = { discoverTools };
+/**
+ * Group tools by workspace, then by collection
+ * @param {Array<Object>} tools - Tools returned by discoverTools
+ * @returns {Object<string, Object<string, Array<Object>>>}
+ */
+function groupToolsByNamespace(tools) {
+  return tools.reduce((groups, tool) => {
+    const workspace = tool.workspace || DEFAULT_NAMESPACE;
+    const collection = tool.collection || DEFAULT_NAMESPACE;
+
+    groups[workspace] = groups[workspace] || {};
+    groups[workspace][collection] = groups[workspace][collection] || [];
+    groups[workspace][collection].push(tool);
+    return groups;
+  }, {});
+}
+
+module.exports = { discoverTools, loadTools, groupToolsByNamespace, getNamespace, TOOLS_DIR };
@@ -0,0 +1,132 @@
+const Ajv = require('ajv');
+
+// Tool schemas may carry keywords ajv does not know (e.g. "example"), so unknown ones are ignored
+const ajv = new Ajv({ allErrors: true, unknownFormats: 'ignore' });
+// Tool arguments also get the defaults declared in their schema
+const argumentsAjv = new Ajv({ allErrors: true, unknownFormats: 'ignore', useDefaults: true });
+
+// Compiled validators, keyed by schema object so each schema is compiled once
+const validators = new WeakMap();
+const argumentValidators = new WeakMap();
+
+/**
+ * Get the compiled validator for a schema
+ * @private
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} ajv validate function
+ */
+function getValidator(schema) {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+}
+
+/**
+ * Copy a schema so that objects with declared properties reject unknown keys.
+ * Objects that set additionalProperties themselves, or declare no properties, stay as they are.
+ * @private
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} The strict copy
+ */
+function toStrictSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return schema;
+  }
+
+  const strict = { ...schema };
+  if (strict.properties) {
+    strict.properties = Object.fromEntries(
+      Object.entries(strict.properties).map(([key, property]) => [key, toStrictSchema(property)])
+    );
+    if (!('additionalProperties' in strict)) {
+      strict.additionalProperties = false;
+    }
+  }
+  if (strict.items) {
+    strict.items = Array.isArray(strict.items) ? strict.items.map(toStrictSchema) : toStrictSchema(strict.items);
+  }
+  return strict;
+}
+
+/**
+ * Turn an ajv error into a field path such as "documents[0].document_id"
+ * @private
+ * @param {Object} error - ajv error object
+ * @returns {string} The path of the offending field, or "(root)"
+ */
+function toFieldPath(error) {
+  let path = error.dataPath || '';
+  if (error.keyword === 'required') {
+    path += `.${error.params.missingProperty}`;
+  } else if (error.keyword === 'additionalProperties') {
+    path += `.${error.params.additionalProperty}`;
+  }
+  path = path.replace(/^\./, '');
+  return path || '(root)';
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} data - Value to validate
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function validateSchema(schema, data) {
+  const validate = getValidator(schema);
+  if (validate(data)) {
+    return { valid: true, errors: [] };
+  }
+
+  return {
+    valid: false,
+    errors: validate.errors.map((error) => ({
+      path: toFieldPath(error),
+      message: error.message
+    }))
+  };
+}
+
+/**
+ * Validate tool arguments against the tool's parameters schema.
+ * Unknown keys are rejected and missing optional values get their schema default.
+ * @param {Object} schema - JSON Schema of the tool parameters
+ * @param {Object} [args] - Call arguments, left untouched
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, value: Object}}
+ *   value holds the arguments with defaults applied
+ */
+function validateArguments(schema, args = {}) {
+  let validate = argumentValidators.get(schema);
+  if (!validate) {
+    validate = argumentsAjv.compile(toStrictSchema(schema));
+    argumentValidators.set(schema, validate);
+  }
+
+  // useDefaults writes into the data, so work on a copy
+  const value = JSON.parse(JSON.stringify(args));
+  if (validate(value)) {
+    return { valid: true, errors: [], value };
+  }
+
+  return {
+    valid: false,
+    errors: validate.errors.map((error) => ({
+      path: toFieldPath(error),
+      message: error.message
+    })),
+    value
+  };
+}
+
+/**
+ * Format validation errors for an error message
+ * @param {Array<{path: string, message: string}>} errors - Errors from validateSchema
+ * @returns {string} e.g. "documents[0].document_id: should be string"
+ */
+function formatSchemaErrors(errors) {
+  return errors.map((error) => `${error.path}: ${error.message}`).join('; ');
+}
+
+module.exports = { validateSchema, validateArguments, formatSchemaErrors };
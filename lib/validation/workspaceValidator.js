@@ -1,4 +1,5 @@
 const fetch = require('node-fetch');
+const { getDustApiBaseUrl } = require('../config.js');
 
 /**
  * Validates workspace and agent configurations
@@ -7,10 +8,10 @@ class WorkspaceValidator {
   /**
    * @param {Object} options - Validator options
    * @param {string} options.apiKey - Dust API key
-   * @param {string} [options.apiUrl='https://dust.tt/api/v1'] - Base API URL
+   * @param {string} [options.apiUrl] - Base URL of the v1 API, DUST_API_BASE_URL + /api/v1 when not given
    * @param {number} [options.cacheTtl=300000] - Cache TTL in milliseconds (5 minutes)
    */
-  constructor({ apiKey, apiUrl = 'https://dust.tt/api/v1', cacheTtl = 300000 } = {}) {
+  constructor({ apiKey, apiUrl = `${getDustApiBaseUrl()}/api/v1`, cacheTtl = 300000 } = {}) {
     if (!apiKey) {
       throw new Error('API key is required for WorkspaceValidator');
     }
@@ -5,14 +5,38 @@ import express from "express";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { discoverTools } from "./lib/tools.js";
-import { agentTools } from "./tools/agent/agentTools.js";
+import { ToolRegistry } from "./lib/registry/ToolRegistry.js";
+import { DustResources } from "./lib/resources/DustResources.js";
+import { DustError } from "./lib/dust/DustClient.js";
+import { agentTools, fetchAgentConfigurations } from "./tools/agent/agentTools.js";
+import { getAgentConfigurations } from "./lib/agentManager.js";
+import { AgentPrompts } from "./lib/prompts/AgentPrompts.js";
+import { IdCompletions } from "./lib/completion/IdCompletions.js";
+import { ProgressReporter } from "./lib/progress/ProgressReporter.js";
+import { aggregateStream } from "./lib/streaming/StreamAggregator.js";
+import { formatSchemaErrors, validateArguments, validateSchema } from "./lib/validation/schemaValidator.js";
+import { getAnnotations, ToolPolicy } from "./lib/policy/ToolPolicy.js";
+import { ToolProfiles } from "./lib/policy/ToolProfiles.js";
+import { DRY_RUN_PROPERTY, supportsDryRun } from "./lib/http/dryRun.js";
+import { fetchAllPages, PAGINATION_PROPERTIES, supportsPagination, wantsPages } from "./lib/dust/pagination.js";
+import { OUTPUT_PROPERTIES, ResultPager } from "./lib/output/ResultPager.js";
+import { getWorkspaceApiKey, isWriteToken, TOOL_PROFILE_HEADER, WORKSPACE_ID_HEADER, WRITE_TOKEN_HEADER } from "./lib/config.js";
+import { getLogger, withLogContext } from "./lib/logging/logger.js";
+import { attachMcpLogging } from "./lib/logging/McpLogging.js";
 import { SessionManager } from "./lib/sessionManager.js";
 import { createFileRoutes } from "./routes/fileRoutes.js";
 import path from "path";
@@ -26,8 +50,22 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const SERVER_NAME = "dust-mcp-agent-server";
+const logger = getLogger('MCPServer');
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+// Agent bound to MCP transport sessions; tools pick their own agent per call
+const DEFAULT_AGENT_ID = process.env.DUST_AGENT_ID || 'default-chat-agent';
+const SERVER_CAPABILITIES = {
+  tools: { listChanged: true },
+  resources: {},
+  prompts: {},
+  logging: {},
+  completions: {},
+};
+// Schemas of the arguments the server handles itself, built once so that their compiled validators are cached
+const OUTPUT_ARGUMENTS_SCHEMA = { type: 'object', properties: OUTPUT_PROPERTIES };
+const PAGINATION_ARGUMENTS_SCHEMA = { type: 'object', properties: PAGINATION_PROPERTIES };
+const EMPTY_PARAMETERS_SCHEMA = { type: 'object' };
 
 // Initialize session manager
 const sessionManager = new SessionManager({
@@ -35,15 +73,44 @@ const sessionManager = new SessionManager({
   maxFileSize: MAX_FILE_SIZE
 });
 
+// Policy for destructive tools, from DUST_DESTRUCTIVE_TOOLS (allow, confirm or deny)
+const toolPolicy = ToolPolicy.fromEnv();
+
+// Named slices of the tools, from DUST_TOOL_PROFILES_FILE or DUST_TOOL_PROFILES; DUST_TOOL_PROFILE is the default
+const toolProfiles = ToolProfiles.fromEnv();
+
+// With DUST_DRY_RUN=true, tools render their HTTP request instead of sending it
+const SERVER_DRY_RUN = process.env.DUST_DRY_RUN === 'true';
+
+// Truncated tool results, kept for the calls that pass their continuation token
+const resultPager = new ResultPager();
+
+// Tools of the tools directory, reloaded when its modules change unless DUST_TOOLS_WATCH=false
+const toolRegistry = new ToolRegistry();
+
 // Validate required environment variables
 const REQUIRED_ENV = ['DUST_API_KEY', 'DUST_WORKSPACE_ID'];
 for (const envVar of REQUIRED_ENV) {
   if (!process.env[envVar]) {
-    console.error(`[MCP Server] Error: Missing required environment variable ${envVar}`);
+    logger.error(`Missing required environment variable ${envVar}`);
     process.exit(1);
   }
 }
 
+// Advertise the output arguments, the dryRun argument on the tools that can render their request
+// and the all and maxPages arguments on the paginated tools
+function inputSchema(tool) {
+  const schema = ResultPager.inputSchema(toolPolicy.inputSchema(tool));
+  return {
+    ...schema,
+    properties: {
+      ...schema.properties,
+      ...(supportsDryRun(tool) && { dryRun: DRY_RUN_PROPERTY }),
+      ...(supportsPagination(tool) && PAGINATION_PROPERTIES)
+    }
+  };
+}
+
 async function transformTools(tools) {
   return tools
     .map((tool) => {
@@ -52,31 +119,188 @@ async function transformTools(tools) {
       return {
         name: definitionFunction.name,
         description: definitionFunction.description,
-        inputSchema: definitionFunction.parameters,
+        inputSchema: inputSchema(tool),
+        annotations: getAnnotations(tool),
+        ...(definitionFunction.outputSchema && { outputSchema: definitionFunction.outputSchema }),
       };
     })
     .filter(Boolean);
 }
 
-async function setupServerHandlers(server, tools) {
-  // Add agent tools to the list of available tools
-  const allTools = [...tools, ...agentTools];
+// Workspace named in capabilities.experimental.dust.workspaceId by the client, if any
+function getCapabilityWorkspaceId(capabilities) {
+  const workspaceId = capabilities?.experimental?.dust?.workspaceId;
+  return typeof workspaceId === 'string' && workspaceId ? workspaceId : undefined;
+}
+
+// Reason to refuse a workspace this server has no API key for
+function unknownWorkspaceMessage(workspaceId) {
+  return `Unknown Dust workspace ${workspaceId}: set WORKSPACE_${workspaceId.toUpperCase()}_API_KEY on the server`;
+}
+
+// Names of the agent tools, which replace the API tools of the same name
+const AGENT_TOOL_NAMES = new Set(agentTools.map((tool) => tool.definition.function.name));
+
+// The tools of a session: the API tools, without those an agent tool replaces, then the agent tools.
+// create_conversation is both: the agent tool wins, as the agent prompts open their sessions with it.
+function withAgentTools(tools) {
+  return [...tools.filter((tool) => !AGENT_TOOL_NAMES.has(tool.definition.function.name)), ...agentTools];
+}
+
+// Warn about the API tools that an agent tool of the same name replaces
+function warnReplacedTools(tools) {
+  for (const tool of tools) {
+    const name = tool.definition.function.name;
+    if (AGENT_TOOL_NAMES.has(name)) {
+      logger.warning(`Tool ${name} of ${tool.path} is not listed: the agent tool of the same name replaces it`);
+    }
+  }
+}
+
+/**
+ * Register the MCP request handlers on a server
+ * @param {Server} server - MCP server
+ * @param {ToolRegistry} registry - Registry holding the discovered API tools
+ * @param {Object} [options] - Options
+ * @param {string} [options.sessionId] - SessionManager session served by this server; stdio has none
+ */
+async function setupServerHandlers(server, registry, { sessionId } = {}) {
+  // Add agent tools to the list of available tools; rebuilt when the tools directory changes
+  let allTools = withAgentTools(registry.tools);
+  
+  // Records of this server carry the session ID as correlation ID
+  const sessionLogger = sessionId ? logger.child({ sessionId }) : logger;
+  
+  // Dust workspace the tools of this server call: the session's, chosen with the X-Dust-Workspace-Id
+  // header, or DUST_WORKSPACE_ID in stdio mode. The client can pick another one in initialize.
+  let workspaceId = (sessionId && sessionManager.getSession(sessionId)?.workspaceId) || process.env.DUST_WORKSPACE_ID;
+  
+  // Tool profile limiting what this server lists and runs: the session's, chosen with the
+  // X-Dust-Tool-Profile header, or the default profile. The client can pick another one in initialize.
+  let toolProfile = (sessionId && sessionManager.getSession(sessionId)?.metadata?.toolProfile) || toolProfiles.defaultProfile;
+  
+  // logging/setLevel, and log records forwarded as notifications/message
+  attachMcpLogging(server, { sessionId });
   
   // Helper to log tool calls
   function logToolCall(toolName, args) {
     const argsStr = JSON.stringify(args, (key, value) => 
       key === 'apiKey' || key === 'DUST_API_KEY' ? '***' : value
     );
-    console.error(`[MCP Server] Tool call: ${toolName} with args: ${argsStr}`);
+    sessionLogger.info(`Tool call: ${toolName} with args: ${argsStr}`, { tool: toolName });
   }
 
+  // Resources, prompts and completions call tools directly: the session's tool profile applies to them too
+  const authorizeTool = (tool) => toolProfiles.authorize(tool, toolProfile);
+
+  // Dust conversations and data-source documents, read through the Dust tools
+  const createResources = (tools) => new DustResources({ tools, workspaceId, authorize: authorizeTool });
+  let resources = createResources(registry.tools);
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) =>
+    resources.list(request.params?.cursor)
+  );
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () =>
+    resources.listTemplates()
+  );
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) =>
+    resources.read(request.params.uri)
+  );
+
+  // One prompt per agent from agents.json and the live agent configurations
+  const prompts = new AgentPrompts({
+    getLocalAgents: getAgentConfigurations,
+    fetchAgentConfigurations: async () => {
+      // The live configurations are what list_agents returns; without it, only agents.json is listed
+      authorizeTool(allTools.find((t) => t.definition.function.name === 'list_agents'));
+      return fetchAgentConfigurations(false, workspaceId);
+    },
+    // The prompts drive create_conversation and send_message, so they follow the profile of those tools
+    authorizeTool: (toolName) => authorizeTool(allTools.find((t) => t.definition.function.name === toolName))
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => prompts.list());
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) =>
+    prompts.get(request.params.name, request.params.arguments)
+  );
+
+  // Completion of vault, data source, agent and conversation IDs in prompt and resource arguments
+  const createCompletions = (tools) => new IdCompletions({ tools, workspaceId, authorize: authorizeTool });
+  let completions = createCompletions(registry.tools);
+
+  server.setRequestHandler(CompleteRequestSchema, async (request) => {
+    const { argument, context } = request.params;
+    return {
+      completion: await completions.complete(argument.name, argument.value, context?.arguments)
+    };
+  });
+
+  // Swap in the reloaded tools and tell the client to list them again.
+  // Calls already running keep the tool object, and so the module version, they started with.
+  const removeToolsListener = registry.onChange((tools) => {
+    allTools = withAgentTools(tools);
+    resources = createResources(tools);
+    completions = createCompletions(tools);
+    if (server.transport) {
+      server.sendToolListChanged().catch((error) =>
+        sessionLogger.warning('Could not send tools/list_changed', { error })
+      );
+    }
+  });
+  
+  // A client can name the workspace and tool profile of this connection in initialize:
+  // capabilities.experimental.dust.workspaceId and capabilities.experimental.dust.toolProfile
+  const previousOnInitialized = server.oninitialized;
+  server.oninitialized = () => {
+    const requested = server.getClientCapabilities()?.experimental?.dust || {};
+    const requestedWorkspaceId = getCapabilityWorkspaceId(server.getClientCapabilities());
+    if (requestedWorkspaceId && requestedWorkspaceId !== workspaceId && !getWorkspaceApiKey(requestedWorkspaceId)) {
+      // The HTTP transports refuse such an initialize request; over stdio the connection keeps its workspace
+      sessionLogger.warning(`${unknownWorkspaceMessage(requestedWorkspaceId)}. Keeping workspace ${workspaceId}`, { workspaceId: requestedWorkspaceId });
+    } else if (requestedWorkspaceId && requestedWorkspaceId !== workspaceId) {
+      workspaceId = requestedWorkspaceId;
+      resources = createResources(registry.tools);
+      completions = createCompletions(registry.tools);
+      if (sessionId) {
+        sessionManager.updateSession(sessionId, { workspaceId }).catch((error) =>
+          sessionLogger.warning('Could not store the session workspace', { error })
+        );
+      }
+      sessionLogger.info(`Session bound to workspace ${workspaceId}`, { workspaceId });
+    }
+    if (typeof requested.toolProfile === 'string' && requested.toolProfile && requested.toolProfile !== toolProfile) {
+      // An unknown profile is kept so that the session sees no tools rather than all of them
+      toolProfile = requested.toolProfile;
+      if (sessionId) {
+        const session = sessionManager.getSession(sessionId);
+        sessionManager.updateSession(sessionId, { metadata: { ...session?.metadata, toolProfile } }).catch((error) =>
+          sessionLogger.warning('Could not store the session tool profile', { error })
+        );
+      }
+      if (!toolProfiles.has(toolProfile)) {
+        sessionLogger.warning(`Unknown tool profile ${toolProfile}, the session has no tools`, { toolProfile });
+      } else {
+        sessionLogger.info(`Session uses tool profile ${toolProfile}`, { toolProfile });
+      }
+    }
+    previousOnInitialized?.();
+  };
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    removeToolsListener();
+    previousOnClose?.();
+  };
+
   // List available tools
   server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: await transformTools(allTools),
+    tools: await transformTools(toolProfiles.filter(allTools, toolProfile)),
   }));
 
   // Handle tool execution
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const toolName = request.params.name;
     const tool = allTools.find((t) => t.definition.function.name === toolName);
     
@@ -84,227 +308,518 @@ async function setupServerHandlers(server, tools) {
       throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
     }
     
+    // Tools outside the session's profile are refused even when the client knows their name
+    toolProfiles.authorize(tool, toolProfile);
+    
     logToolCall(toolName, request.params.arguments);
     
-    // Handle streaming responses
-    if (request.params.arguments.stream === true && tool.function.constructor.name === 'AsyncGeneratorFunction') {
-      return {
-        stream: true,
-        async *execute() {
-          try {
-            for await (const chunk of await tool.function(request.params.arguments)) {
-              yield {
-                content: [{
-                  type: 'text',
-                  text: JSON.stringify(chunk)
-                }]
-              };
-            }
-          } catch (error) {
-            console.error(`[MCP Server] Error in streaming response for ${toolName}:`, error);
-            throw new McpError(ErrorCode.InternalError, `Streaming error: ${error.message}`);
-          }
-        }
-      };
+    // fields, maxItems, maxChars and continuationToken shape the result and are not passed to the tool
+    const { toolArgs, outputArgs } = ResultPager.splitArguments(tool, request.params.arguments);
+    const outputValidation = validateArguments(OUTPUT_ARGUMENTS_SCHEMA, outputArgs);
+    if (!outputValidation.valid) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for ${toolName}: ${formatSchemaErrors(outputValidation.errors)}`
+      );
     }
-    const args = request.params.arguments;
-    const requiredParameters =
-      tool.definition?.function?.parameters?.required || [];
-    for (const requiredParameter of requiredParameters) {
-      if (!(requiredParameter in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${requiredParameter}`
-        );
+    const pageOwner = sessionId || 'stdio';
+    if (outputArgs.continuationToken) {
+      return pageResult(resultPager.next(outputArgs.continuationToken, { owner: pageOwner, toolName }));
+    }
+    
+    // Dry runs, asked with dryRun: true or DUST_DRY_RUN=true, only work for tools that can render their request
+    const { dryRun: dryRunArg, all, maxPages, ...callArgs } = toolArgs;
+    const dryRun = SERVER_DRY_RUN || dryRunArg === true;
+    if (dryRun && !supportsDryRun(tool)) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `${toolName} does not support dry runs${SERVER_DRY_RUN ? ' and DUST_DRY_RUN is enabled' : ''}`
+      );
+    }
+    
+    // all: true and maxPages merge several pages of the tools that declare their pagination
+    const pageArgs = { all, maxPages };
+    const pageValidation = validateArguments(PAGINATION_ARGUMENTS_SCHEMA, pageArgs);
+    if (!pageValidation.valid) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for ${toolName}: ${formatSchemaErrors(pageValidation.errors)}`
+      );
+    }
+    const paginate = wantsPages(pageArgs) && !dryRun;
+    if (wantsPages(pageArgs) && !supportsPagination(tool)) {
+      throw new McpError(ErrorCode.InvalidParams, `${toolName} is not paginated: remove all and maxPages`);
+    }
+    
+    // Destructive tools may need a write-enabled session or an explicit confirm: true; a dry run sends nothing
+    const session = sessionId ? sessionManager.getSession(sessionId) : null;
+    const writeEnabled = session
+      ? session.metadata?.writeEnabled === true
+      : process.env.DUST_WRITE_ENABLED === 'true';
+    const policyArgs = toolPolicy.authorize(tool, callArgs, { writeEnabled: writeEnabled || dryRun });
+    
+    // Check the arguments against the full parameters schema and apply its defaults
+    const validation = validateArguments(tool.definition.function.parameters || EMPTY_PARAMETERS_SCHEMA, policyArgs);
+    if (!validation.valid) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for ${toolName}: ${formatSchemaErrors(validation.errors)}`
+      );
+    }
+    const args = validation.value;
+    
+    // Progress notifications (when the client sent a progressToken) and cancellation
+    const progress = ProgressReporter.fromRequest(extra);
+    const context = {
+      signal: extra.signal,
+      reportProgress: progress.report,
+      workspaceId,
+      dryRun,
+      // Session tools such as attach_files reach the files of the MCP session through these
+      sessionId,
+      sessionManager
+    };
+    
+    const shapesOutput = Boolean(outputArgs.fields || outputArgs.maxItems || outputArgs.maxChars);
+    
+    // Forward streamed agent tokens as progress, or as log messages when no progressToken was sent
+    async function forwardToken(text) {
+      if (progress.enabled) {
+        await progress.report(text);
+      } else {
+        await extra.sendNotification({
+          method: 'notifications/message',
+          params: { level: 'info', logger: toolName, data: text }
+        });
       }
     }
+    
     try {
-      const result = await tool.function(request.params.arguments);
+      progress.startHeartbeat(toolName);
+      const result = paginate
+        ? await fetchAllPages(tool, args, context, {
+          maxPages,
+          onPage: ({ page, fetched, total, totalPages }) => progress.report(
+            `${toolName}: page ${page}${totalPages ? ` of ${totalPages}` : ''}, ${fetched}${total !== undefined ? ` of ${total}` : ''} items`,
+            totalPages
+          )
+        })
+        : await tool.function(args, context);
       
-      // Handle streamable response
-      if (result && result.stream === true) {
+      // The request the tool would have sent, as a curl command and as JSON
+      if (dryRun) {
         return {
-          stream: true,
-          async *execute() {
-            try {
-              for await (const chunk of result.generator) {
-                yield {
-                  content: [{
-                    type: 'text',
-                    text: JSON.stringify(chunk)
-                  }]
-                };
-              }
-            } catch (error) {
-              console.error(`[MCP Server] Error in streaming response for ${toolName}:`, error);
-              throw new McpError(ErrorCode.InternalError, `Streaming error: ${error.message}`);
-            }
-          }
+          content: [
+            { type: 'text', text: result.curl },
+            { type: 'text', text: JSON.stringify(result.request, null, 2) }
+          ]
         };
       }
       
+      // Streaming tools: async generator functions, or tools returning { stream, generator }
+      const stream = tool.function.constructor.name === 'AsyncGeneratorFunction'
+        ? result
+        : result && result.stream === true ? result.generator : null;
+      
+      if (stream) {
+        const aggregated = await aggregateStream(stream, {
+          signal: extra.signal,
+          onToken: forwardToken
+        });
+        if (shapesOutput) {
+          return pageResult(resultPager.first(aggregated, { ...outputArgs, owner: pageOwner, toolName }));
+        }
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(aggregated, null, 2)
+          }]
+        };
+      }
+      
+      // Projected or truncated response, without structuredContent since it no longer matches the outputSchema
+      if (shapesOutput && !(result && typeof result.error === 'string')) {
+        return pageResult(resultPager.first(result, { ...outputArgs, owner: pageOwner, toolName }));
+      }
+      
       // Regular response
-      return {
+      const callResult = {
         content: [{
           type: 'text',
           text: JSON.stringify(result, null, 2)
         }]
       };
+      
+      // Tools report failures they handled themselves as { error }
+      if (result && typeof result.error === 'string') {
+        return { ...callResult, isError: true };
+      }
+
+      // Tools declaring an outputSchema also return structuredContent, checked against the schema
+      const outputSchema = tool.definition.function.outputSchema;
+      if (!outputSchema) {
+        return callResult;
+      }
+      const { valid, errors } = validateSchema(outputSchema, result);
+      if (!valid) {
+        throw new McpError(
+          ErrorCode.InternalError,
+          `${toolName} returned a result that does not match its outputSchema: ${formatSchemaErrors(errors)}`
+        );
+      }
+      return { ...callResult, structuredContent: result };
     } catch (error) {
-      console.error(`[MCP Server] Error in tool ${toolName}:`, error);
+      if (error instanceof McpError) {
+        throw error;
+      }
+      // Failed Dust API calls are tool errors the model can act on, with the status and Dust error code kept
+      if (error instanceof DustError) {
+        sessionLogger.warning(`Tool ${toolName} failed: ${error.message}`, { tool: toolName, status: error.status, code: error.code });
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(error.toJSON(), null, 2)
+          }],
+          isError: true
+        };
+      }
+      sessionLogger.error(`Error in tool ${toolName}`, { tool: toolName, error });
       throw new McpError(
         ErrorCode.InternalError,
         `${toolName} error: ${error.message}`
       );
+    } finally {
+      progress.stopHeartbeat();
     }
   });
 }
 
+/**
+ * CallToolResult of a page of a tool result, followed by its continuation when the result was truncated
+ * @param {{text: string, continuation: Object|null}} page - Page from ResultPager
+ * @returns {Object}
+ */
+function pageResult({ text, continuation }) {
+  return {
+    content: [
+      { type: 'text', text },
+      ...(continuation ? [{ type: 'text', text: JSON.stringify(continuation, null, 2) }] : [])
+    ]
+  };
+}
+
 async function run() {
-  console.error('[MCP Server] Starting server...');
-  let tools = [];
+  logger.info('Starting server...');
   let isSSE = false;
+  let isStreamableHttp = false;
   
   try {
     const args = process.argv.slice(2);
     isSSE = args.includes("--sse");
+    isStreamableHttp = args.includes("--http");
     
-    console.error('[MCP Server] Discovering tools...');
-    tools = await discoverTools();
-    console.error(`[MCP Server] Discovered ${tools.length} tools`);
+    logger.debug('Discovering tools...');
+    const tools = toolRegistry.reload();
+    logger.info(`Discovered ${tools.length} tools`);
+    warnReplacedTools(tools);
+    toolRegistry.onChange(warnReplacedTools);
     
     // Log available tool names for debugging
-    console.error('[MCP Server] Available tools:', tools.map(t => t.definition?.function?.name).filter(Boolean));
+    logger.debug('Available tools', { tools: tools.map(t => t.definition?.function?.name).filter(Boolean) });
+    
+    if (process.env.DUST_TOOLS_WATCH !== 'false') {
+      toolRegistry.watch();
+    }
   } catch (error) {
-    console.error('[MCP Server] Error during initialization:', error);
+    logger.error('Error during initialization', { error });
     process.exit(1);
   }
 
-  if (isSSE) {
+  if (isSSE || isStreamableHttp) {
     const app = express();
     const transports = {};
     const servers = {};
 
-    app.get("/sse", async (_req, res) => {
-      // Create a new Server instance for each session
+    // Files of an MCP session, attached to its conversations with attach_files:
+    // POST /api/sessions/{Mcp-Session-Id}/files
+    app.use('/api', createFileRoutes({ sessionManager }));
+
+    // Create a new Server instance for each session
+    async function createSessionServer(sessionId) {
       const server = new Server(
         {
           name: SERVER_NAME,
           version: "0.1.0",
         },
         {
-          capabilities: {
-            tools: {},
-          },
+          capabilities: SERVER_CAPABILITIES,
         }
       );
-      server.onerror = (error) => console.error("[Error]", error);
-      await setupServerHandlers(server, tools);
-
-      let newSession;
-      try {
-        newSession = await sessionManager.createSession(); // Use the global sessionManager
-        res.setHeader('Mcp-Session-Id', newSession.id);
-        console.error(`[MCP Server] Session created: ${newSession.id}, Mcp-Session-Id header sent.`);
-      } catch (error) {
-        console.error(`[MCP Server] Error creating session:`, error);
-        if (!res.headersSent) {
-          res.status(500).send("Error initializing session");
-        }
-        return;
+      server.onerror = (error) => logger.error('Server error', { sessionId, error });
+      await setupServerHandlers(server, toolRegistry, { sessionId });
+      return server;
+    }
+
+    // Workspace requested in the initialize request, with the X-Dust-Workspace-Id header, DUST_WORKSPACE_ID otherwise
+    function getRequestedWorkspace(req) {
+      const initializeWorkspaceId = isInitializeRequest(req.body) && getCapabilityWorkspaceId(req.body.params.capabilities);
+      return initializeWorkspaceId || req.get(WORKSPACE_ID_HEADER) || process.env.DUST_WORKSPACE_ID;
+    }
+
+    // Reason to refuse a new session for an unknown workspace, tool profile or write token, or null
+    function checkSessionRequest(req) {
+      const workspaceId = getRequestedWorkspace(req);
+      if (!getWorkspaceApiKey(workspaceId)) {
+        logger.warning(`Refusing session for unknown workspace ${workspaceId}`, { workspaceId });
+        return unknownWorkspaceMessage(workspaceId);
+      }
+      const toolProfile = req.get(TOOL_PROFILE_HEADER);
+      if (toolProfile && !toolProfiles.has(toolProfile)) {
+        logger.warning(`Refusing session for unknown tool profile ${toolProfile}`, { toolProfile });
+        return `Unknown tool profile ${toolProfile}`;
+      }
+      const writeToken = req.get(WRITE_TOKEN_HEADER);
+      if (writeToken && !isWriteToken(writeToken)) {
+        logger.warning('Refusing session with an invalid write token');
+        return `Invalid ${WRITE_TOKEN_HEADER}`;
       }
+      return null;
+    }
 
-      const mcpSessionId = newSession.id; // Our Mcp-Session-Id
+    // Create the SessionManager entry whose ID doubles as the Mcp-Session-Id
+    async function createTransportSession(req) {
+      return sessionManager.createSession(getRequestedWorkspace(req), DEFAULT_AGENT_ID, {
+        validate: false,
+        metadata: {
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip,
+          // Granted by the server's DUST_WRITE_TOKENS, never by a flag the client sets
+          writeEnabled: isWriteToken(req.get(WRITE_TOKEN_HEADER)),
+          toolProfile: req.get(TOOL_PROFILE_HEADER) || undefined
+        }
+      });
+    }
 
-      const transport = new SSEServerTransport("/messages", res);
-      transports[mcpSessionId] = transport; // Key by our Mcp-Session-Id
-      servers[mcpSessionId] = server;       // Key by our Mcp-Session-Id
+    // Remove a session from SessionManager and release its transport and server
+    async function terminateSession(mcpSessionId) {
+      const sessionExists = await sessionManager.getSession(mcpSessionId);
+      if (!sessionExists) {
+        return false;
+      }
 
-      res.on("close", async () => {
+      await sessionManager.deleteSession(mcpSessionId);
+      const transport = transports[mcpSessionId];
+      if (transport) {
+        // SSEServerTransport doesn't have an explicit close/destroy method for the client-facing connection itself,
+        // but we should ensure its resources are freed.
+        // The actual SSE connection would be closed by the client or network, or res.end() if we send a response.
         delete transports[mcpSessionId];
+        if (transport instanceof StreamableHTTPServerTransport) {
+          await transport.close();
+        }
+      }
+      const serverInstance = servers[mcpSessionId];
+      if (serverInstance) {
         delete servers[mcpSessionId];
-        // Note: SessionManager's TTL will handle cleanup of mcpSessionId unless explicit deletion is added.
-        await server.close(); // Close the specific server instance for this session
-        console.error(`[MCP Server] SSE connection closed for Mcp-Session-Id: ${mcpSessionId}`);
+        await serverInstance.close(); // Close the MCP Server instance
+      }
+      return true;
+    }
+
+    // MCP Client-Initiated Session Termination, shared by /sse and /mcp
+    function handleSessionDelete(route) {
+      return async (req, res) => {
+        const mcpSessionId = req.headers['mcp-session-id'];
+        if (!mcpSessionId) {
+          logger.warning(`DELETE ${route}: Mcp-Session-Id header missing`);
+          return res.status(400).send("Mcp-Session-Id header missing");
+        }
+
+        try {
+          const terminated = await terminateSession(mcpSessionId);
+          if (!terminated) {
+            logger.warning(`DELETE ${route}: Session not found`, { sessionId: mcpSessionId });
+            return res.status(404).send("Session not found or already terminated");
+          }
+          logger.info(`DELETE ${route}: Session terminated`, { sessionId: mcpSessionId });
+          res.status(200).send("Session terminated");
+        } catch (error) {
+          logger.error(`DELETE ${route}: Error terminating session`, { sessionId: mcpSessionId, error });
+          res.status(500).send("Error terminating session");
+        }
+      };
+    }
+
+    if (isSSE) {
+      app.get("/sse", async (req, res) => {
+        const requestError = checkSessionRequest(req);
+        if (requestError) {
+          return res.status(400).send(requestError);
+        }
+
+        let newSession;
+        try {
+          newSession = await createTransportSession(req);
+          res.setHeader('Mcp-Session-Id', newSession.id);
+          logger.info('SSE session created, Mcp-Session-Id header sent', { sessionId: newSession.id });
+        } catch (error) {
+          logger.error('Error creating session', { error });
+          if (!res.headersSent) {
+            res.status(500).send("Error initializing session");
+          }
+          return;
+        }
+
+        const mcpSessionId = newSession.id; // Our Mcp-Session-Id
+        const server = await createSessionServer(mcpSessionId);
+
+        const transport = new SSEServerTransport("/messages", res);
+        transports[mcpSessionId] = transport; // Key by our Mcp-Session-Id
+        servers[mcpSessionId] = server;       // Key by our Mcp-Session-Id
+
+        res.on("close", async () => {
+          delete transports[mcpSessionId];
+          delete servers[mcpSessionId];
+          // Note: SessionManager's TTL will handle cleanup of mcpSessionId unless explicit deletion is added.
+          await server.close(); // Close the specific server instance for this session
+          logger.info('SSE connection closed', { sessionId: mcpSessionId });
+        });
+
+        await server.connect(transport);
       });
 
-      await server.connect(transport);
-    });
+      // MCP Message Handler for SSE
+      app.post("/messages", express.json({ limit: '10mb' }), async (req, res) => {
+        const mcpSessionId = req.headers['mcp-session-id'];
+        if (!mcpSessionId) {
+          logger.warning('/messages: Mcp-Session-Id header missing');
+          return res.status(400).send("Mcp-Session-Id header missing");
+        }
 
-    // MCP Message Handler for SSE
-    app.post("/messages", async (req, res) => {
-      const mcpSessionId = req.headers['mcp-session-id'];
-      if (!mcpSessionId) {
-        console.error('[MCP Server] /messages: Mcp-Session-Id header missing');
-        return res.status(400).send("Mcp-Session-Id header missing");
-      }
+        const appSession = await sessionManager.getSession(mcpSessionId);
+        if (!appSession) {
+          logger.warning('/messages: Session not found in SessionManager', { sessionId: mcpSessionId });
+          return res.status(404).send("Session not found or expired");
+        }
 
-      const appSession = await sessionManager.getSession(mcpSessionId);
-      if (!appSession) {
-        console.error(`[MCP Server] /messages: Session not found in SessionManager for Mcp-Session-Id: ${mcpSessionId}`);
-        return res.status(404).send("Session not found or expired");
-      }
+        // The workspace named in initialize needs an API key, as the one of the /sse request does
+        const initializeWorkspaceId = isInitializeRequest(req.body) && getCapabilityWorkspaceId(req.body.params.capabilities);
+        if (initializeWorkspaceId && !getWorkspaceApiKey(initializeWorkspaceId)) {
+          logger.warning(`/messages: Refusing initialize for unknown workspace ${initializeWorkspaceId}`, { sessionId: mcpSessionId });
+          return res.status(400).send(unknownWorkspaceMessage(initializeWorkspaceId));
+        }
 
-      const transport = transports[mcpSessionId];
-      const server = servers[mcpSessionId];
+        const transport = transports[mcpSessionId];
+        const server = servers[mcpSessionId];
 
-      if (transport && server) {
-        console.error(`[MCP Server] /messages: Handling POST for Mcp-Session-Id: ${mcpSessionId}`);
-        await transport.handlePostMessage(req, res);
-      } else {
-        // This case should ideally not be hit if sessionManager found a session
-        // and our Mcp-Session-Id is the key for transports/servers map.
-        // Could indicate an inconsistency if Mcp-Session-Id exists in sessionManager but not in transports/servers map.
-        console.error(`[MCP Server] /messages: No transport/server found for Mcp-Session-Id: ${mcpSessionId}, though session exists in SessionManager.`);
-        res.status(500).send("Internal server error: transport/server mismatch");
-      }
-    });
+        if (transport && server) {
+          logger.debug('/messages: Handling POST', { sessionId: mcpSessionId });
+          // Records logged while handling the message, e.g. by DustClient, belong to the session
+          await withLogContext({ sessionId: mcpSessionId }, () => transport.handlePostMessage(req, res, req.body));
+        } else {
+          // This case should ideally not be hit if sessionManager found a session
+          // and our Mcp-Session-Id is the key for transports/servers map.
+          // Could indicate an inconsistency if Mcp-Session-Id exists in sessionManager but not in transports/servers map.
+          logger.error('/messages: No transport/server found, though session exists in SessionManager', { sessionId: mcpSessionId });
+          res.status(500).send("Internal server error: transport/server mismatch");
+        }
+      });
 
-    // MCP Client-Initiated Session Termination for SSE
-    app.delete("/sse", async (req, res) => {
-      const mcpSessionId = req.headers['mcp-session-id'];
-      if (!mcpSessionId) {
-        console.error('[MCP Server] DELETE /sse: Mcp-Session-Id header missing');
-        return res.status(400).send("Mcp-Session-Id header missing");
+      app.delete("/sse", handleSessionDelete("/sse"));
+    }
+
+    if (isStreamableHttp) {
+      // Reply with a JSON-RPC error, as Streamable HTTP clients expect on every /mcp response
+      function sendJsonRpcError(res, status, message) {
+        res.status(status).json({
+          jsonrpc: "2.0",
+          error: { code: ErrorCode.InvalidRequest, message },
+          id: null,
+        });
       }
 
-      try {
-        const sessionExists = await sessionManager.getSession(mcpSessionId);
-        if (!sessionExists) {
-          console.error(`[MCP Server] DELETE /sse: Session not found for Mcp-Session-Id: ${mcpSessionId}`);
-          return res.status(404).send("Session not found or already terminated");
+      // Resolve the transport for an established Streamable HTTP session
+      async function getStreamableTransport(req, res) {
+        const mcpSessionId = req.headers['mcp-session-id'];
+        if (!mcpSessionId) {
+          logger.warning(`${req.method} /mcp: Mcp-Session-Id header missing`);
+          sendJsonRpcError(res, 400, "Mcp-Session-Id header missing");
+          return null;
         }
 
-        await sessionManager.deleteSession(mcpSessionId);
-        // Also clean up transport and server instances associated with this session
+        const appSession = await sessionManager.getSession(mcpSessionId);
         const transport = transports[mcpSessionId];
-        if (transport) {
-          // SSEServerTransport doesn't have an explicit close/destroy method for the client-facing connection itself,
-          // but we should ensure its resources are freed.
-          // The actual SSE connection would be closed by the client or network, or res.end() if we send a response.
-          delete transports[mcpSessionId];
+        if (!appSession || !(transport instanceof StreamableHTTPServerTransport)) {
+          logger.warning(`${req.method} /mcp: Session not found`, { sessionId: mcpSessionId });
+          sendJsonRpcError(res, 404, "Session not found or expired");
+          return null;
         }
-        const serverInstance = servers[mcpSessionId];
-        if (serverInstance) {
-          await serverInstance.close(); // Close the MCP Server instance
-          delete servers[mcpSessionId];
-        }
-        console.error(`[MCP Server] DELETE /sse: Session terminated successfully for Mcp-Session-Id: ${mcpSessionId}`);
-        res.status(200).send("Session terminated");
-      } catch (error) {
-        console.error(`[MCP Server] DELETE /sse: Error terminating session ${mcpSessionId}:`, error);
-        res.status(500).send("Error terminating session");
+        return transport;
       }
-    });
+
+      // Client-to-server messages; an initialize request without a session starts a new one
+      app.post("/mcp", express.json({ limit: '10mb' }), async (req, res) => {
+        try {
+          if (!req.headers['mcp-session-id'] && isInitializeRequest(req.body)) {
+            const requestError = checkSessionRequest(req);
+            if (requestError) {
+              sendJsonRpcError(res, 400, requestError);
+              return;
+            }
+
+            const newSession = await createTransportSession(req);
+            const mcpSessionId = newSession.id;
+            const server = await createSessionServer(mcpSessionId);
+
+            const transport = new StreamableHTTPServerTransport({
+              sessionIdGenerator: () => mcpSessionId,
+              onsessioninitialized: () => {
+                transports[mcpSessionId] = transport; // Key by our Mcp-Session-Id
+                servers[mcpSessionId] = server;       // Key by our Mcp-Session-Id
+                logger.info('Streamable HTTP session created', { sessionId: mcpSessionId });
+              },
+            });
+
+            transport.onclose = () => {
+              delete transports[mcpSessionId];
+              delete servers[mcpSessionId];
+              logger.info('Streamable HTTP transport closed', { sessionId: mcpSessionId });
+            };
+
+            await server.connect(transport);
+            await withLogContext({ sessionId: mcpSessionId }, () => transport.handleRequest(req, res, req.body));
+            return;
+          }
+
+          // Records logged while handling the request, e.g. by DustClient, belong to the session
+          const transport = await getStreamableTransport(req, res);
+          if (transport) {
+            await withLogContext({ sessionId: req.headers['mcp-session-id'] }, () => transport.handleRequest(req, res, req.body));
+          }
+        } catch (error) {
+          logger.error('POST /mcp: Error handling request', { error });
+          if (!res.headersSent) {
+            sendJsonRpcError(res, 500, "Internal server error");
+          }
+        }
+      });
+
+      // Optional server-to-client stream for notifications
+      app.get("/mcp", async (req, res) => {
+        const transport = await getStreamableTransport(req, res);
+        if (transport) {
+          await transport.handleRequest(req, res);
+        }
+      });
+
+      app.delete("/mcp", handleSessionDelete("/mcp"));
+    }
 
     const port = process.env.PORT || 3001;
     app.listen(port, () => {
-      console.error(`[SSE Server] running on port ${port}`);
+      logger.info(`${isStreamableHttp ? 'Streamable HTTP' : 'SSE'} server running on port ${port}`);
     });
   } else {
-    const tools = await discoverTools();
-    const transformedTools = await transformTools(tools);
-
     // Create Express app for HTTP endpoints
     const app = express();
     
@@ -326,9 +841,7 @@ async function run() {
     const server = new Server(
       { name: SERVER_NAME, version: "1.0.0" },
       {
-        capabilities: {
-          tools: {},
-        },
+        capabilities: SERVER_CAPABILITIES,
       },
     );
     
@@ -339,46 +852,46 @@ async function run() {
     if (process.env.NODE_ENV !== 'test') {
       const PORT = process.env.PORT || 3001;
       httpServer = app.listen(PORT, '0.0.0.0', () => {
-        console.error(`[${SERVER_NAME}] HTTP server running on port ${PORT}`);
-        console.error(`[${SERVER_NAME}] File upload endpoint: http://localhost:${PORT}/api/sessions/:sessionId/files`);
+        logger.info(`HTTP server running on port ${PORT}`);
+        logger.info(`File upload endpoint: http://localhost:${PORT}/api/sessions/:sessionId/files`);
       });
     }
 
-    server.onerror = (error) => console.error("[Error]", error);
-    await setupServerHandlers(server, tools);
+    server.onerror = (error) => logger.error('Server error', { error });
+    await setupServerHandlers(server, toolRegistry);
 
     process.on("SIGINT", async () => {
       await server.close();
       process.exit(0);
     });
 
-    console.error('[MCP Server] Starting in stdio mode...');
+    logger.info('Starting in stdio mode...');
     const transport = new StdioServerTransport();
     
     // Handle process signals for clean shutdown
     process.on('SIGINT', async () => {
-      console.error('[MCP Server] Shutting down...');
+      logger.info('Shutting down...');
       await server.close();
       process.exit(0);
     });
     
     // Handle uncaught exceptions
     process.on('uncaughtException', (error) => {
-      console.error('[MCP Server] Uncaught exception:', error);
+      logger.critical('Uncaught exception', { error });
       process.exit(1);
     });
     
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (reason, promise) => {
-      console.error('[MCP Server] Unhandled rejection at:', promise, 'reason:', reason);
+      logger.critical('Unhandled rejection', { reason });
       process.exit(1);
     });
     
-    console.error('[MCP Server] Connecting server to transport...');
+    logger.debug('Connecting server to transport...');
     try {
       await server.connect(transport);
-      console.error('[MCP Server] Server connected and ready');
-      console.error('[MCP Server] Send a JSON-RPC message to interact with the server');
+      logger.info('Server connected and ready');
+      logger.info('Send a JSON-RPC message to interact with the server');
       
       // Keep the process alive by preventing Node.js from exiting
       // This is important for STDIO transport to maintain the connection
@@ -397,22 +910,22 @@ async function run() {
       // Log when the server is about to close
       if (typeof server.on === 'function') {
         server.on('close', () => {
-          console.error('[MCP Server] Server is shutting down...');
+          logger.info('Server is shutting down...');
           clearInterval(keepAlive);
         });
       } else {
         // If server doesn't support 'on' method, use process exit handler
         process.on('beforeExit', () => {
-          console.error('[MCP Server] Server is shutting down...');
+          logger.info('Server is shutting down...');
           clearInterval(keepAlive);
         });
       }
       
     } catch (error) {
-      console.error('[MCP Server] Failed to connect to transport:', error);
+      logger.error('Failed to connect to transport', { error });
       process.exit(1);
     }
   }
 }
 
-run().catch(console.error);
+run().catch((error) => logger.error('Server failed', { error }));
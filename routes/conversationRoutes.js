@@ -3,6 +3,7 @@ const { v4: uuidv4 } = require('uuid');
 const fetch = require('node-fetch');
 const path = require('path');
 const fs = require('fs').promises;
+const { getDustApiBaseUrl } = require('../lib/config.js');
 // __filename and __dirname are globally available in CommonJS modules.
 
 const router = express.Router();
@@ -15,40 +16,25 @@ const handleApiError = (res, error) => {
   });
 };
 
-// Helper to create form data for file uploads
-const createFormData = (data, files = []) => {
-  const formData = new FormData();
-  
-  // Add regular fields
-  Object.entries(data).forEach(([key, value]) => {
-    if (value !== undefined && value !== null) {
-      formData.append(key, value);
-    }
-  });
-  
-  // Add files
-  files.forEach(file => {
-    if (file && file.path) {
-      formData.append('files', {
-        uri: file.path,
-        name: file.filename,
-        type: file.mimetype
-      });
-    }
-  });
-  
-  return formData;
-};
+// Helper to post JSON to the Dust API
+const postJson = (url, dustApiKey, body) => fetch(url, {
+  method: 'POST',
+  headers: {
+    'Authorization': `Bearer ${dustApiKey}`,
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify(body)
+});
 
 /**
  * Creates and returns conversation routes
  * @param {Object} options - Options for the routes
  * @param {SessionManager} options.sessionManager - The session manager instance
  * @param {string} options.dustApiKey - API key for Dust API
- * @param {string} options.dustApiBaseUrl - Base URL for Dust API
+ * @param {string} [options.dustApiBaseUrl] - Base URL for Dust API, DUST_API_BASE_URL when not given
  * @returns {express.Router} Configured router
  */
-function createConversationRoutes({ sessionManager, dustApiKey, dustApiBaseUrl = 'https://dust.tt/api' }) {
+function createConversationRoutes({ sessionManager, dustApiKey, dustApiBaseUrl = getDustApiBaseUrl() }) {
   // Create a new conversation or continue an existing one
   router.post('/conversations', async (req, res) => {
     try {
@@ -84,20 +70,15 @@ function createConversationRoutes({ sessionManager, dustApiKey, dustApiBaseUrl =
         agentId
       });
 
-      // Get files if any are referenced
-      const files = [];
-      if (fileIds && fileIds.length > 0) {
-        for (const fileId of fileIds) {
-          const file = session.files.find(f => f.id === fileId);
-          if (file) {
-            files.push({
-              path: file.path,
-              filename: file.filename,
-              mimetype: file.mimetype
-            });
-          }
-        }
+      // Referenced files go to Dust as content fragments of their Dust file, uploaded now if they were not yet
+      const unknownFileIds = fileIds.filter((fileId) => !(session.files || []).some((file) => file.id === fileId));
+      if (unknownFileIds.length > 0) {
+        return res.status(400).json({ error: `Unknown session files: ${unknownFileIds.join(', ')}` });
       }
+      const files = fileIds.length > 0
+        ? await sessionManager.uploadSessionFilesToDust(session.id, fileIds)
+        : [];
+      const contentFragments = files.map((file) => ({ title: file.originalName, fileId: file.dustFileId }));
 
       // Determine conversation ID to use
       const targetConversationId = conversationId || session.conversationId;
@@ -107,20 +88,11 @@ function createConversationRoutes({ sessionManager, dustApiKey, dustApiBaseUrl =
         
         if (!targetConversationId) {
           // Create new conversation
-          const url = `${dustApiBaseUrl}/workspaces/${workspaceId}/conversations`;
-          const formData = createFormData({
+          const url = `${dustApiBaseUrl}/api/v1/w/${workspaceId}/assistant/conversations`;
+          const apiResponse = await postJson(url, dustApiKey, {
             agentId,
             message,
-            fileIds: files.length > 0 ? fileIds : undefined
-          }, files);
-          
-          const apiResponse = await fetch(url, {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${dustApiKey}`,
-              ...formData.getHeaders()
-            },
-            body: formData
+            contentFragments: contentFragments.length > 0 ? contentFragments : undefined
           });
           
           if (!apiResponse.ok) {
@@ -145,20 +117,17 @@ function createConversationRoutes({ sessionManager, dustApiKey, dustApiBaseUrl =
           };
         } else {
           // Continue existing conversation
-          const url = `${dustApiBaseUrl}/workspaces/${workspaceId}/conversations/${targetConversationId}/messages`;
-          const formData = createFormData({
-            message,
-            fileIds: files.length > 0 ? fileIds : undefined
-          }, files);
-          
-          const apiResponse = await fetch(url, {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${dustApiKey}`,
-              ...formData.getHeaders()
-            },
-            body: formData
-          });
+          const conversationUrl = `${dustApiBaseUrl}/api/v1/w/${workspaceId}/assistant/conversations/${targetConversationId}`;
+          // Files are attached before the message so that the agent sees them
+          for (const contentFragment of contentFragments) {
+            const fragmentResponse = await postJson(`${conversationUrl}/content_fragments`, dustApiKey, contentFragment);
+            if (!fragmentResponse.ok) {
+              const error = await fragmentResponse.json();
+              throw new Error(error.error || `Failed to attach ${contentFragment.title}`);
+            }
+          }
+
+          const apiResponse = await postJson(`${conversationUrl}/messages`, dustApiKey, { message });
           
           if (!apiResponse.ok) {
             const error = await apiResponse.json();
@@ -205,7 +174,7 @@ function createConversationRoutes({ sessionManager, dustApiKey, dustApiBaseUrl =
         });
       }
 
-      const url = `${dustApiBaseUrl}/workspaces/${workspaceId}/conversations/${conversationId}`;
+      const url = `${dustApiBaseUrl}/api/v1/w/${workspaceId}/assistant/conversations/${conversationId}`;
       const apiResponse = await fetch(url, {
         headers: {
           'Authorization': `Bearer ${dustApiKey}`,
@@ -2,10 +2,9 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { SessionManager } = require('../lib/sessionManager');
+const { getLogger } = require('../lib/logging/logger.js');
 
-const __filename = module.filename;
-const __dirname = path.dirname(__filename);
+const logger = getLogger('FileRoutes');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -181,7 +180,7 @@ function createFileRoutes({ sessionManager }) {
       });
     } else if (err) {
       // An unknown error occurred
-      console.error('File upload error:', err);
+      logger.error('File upload error', { sessionId: req.params.sessionId, error: err });
       return res.status(500).json({
         success: false,
         error: 'An error occurred while processing your request'
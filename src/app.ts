@@ -83,9 +83,11 @@ class App {
         res.status(400).json({ error: 'Agent ID is required' });
         return;
       }
+      const forceRefresh = req.query.forceRefresh === 'true';
       const agent = await this.agentDiscovery.getAgent(
         req.workspaceConfig,
-        agentId
+        agentId,
+        forceRefresh
       );
 
       if (!agent) {
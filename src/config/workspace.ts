@@ -30,3 +30,15 @@ export function getWorkspaceConfig(workspaceId: string): WorkspaceConfig {
 export function getDefaultWorkspaceId(): string {
   return process.env.DEFAULT_WORKSPACE_ID || 'default';
 }
+
+/**
+ * Base URL of the Dust instance, from DUST_API_BASE_URL as in lib/config.js:
+ * trailing slashes and a trailing /api or /api/v1 are removed
+ */
+export function getDustApiBaseUrl(): string {
+  const value = process.env.DUST_API_BASE_URL?.trim();
+  if (!value) {
+    return 'https://dust.tt';
+  }
+  return value.replace(/\/+$/, '').replace(/\/api(\/v1)?$/, '');
+}
@@ -1,5 +1,5 @@
-import { WorkspaceConfig } from '../config/workspace';
-import { AgentConfiguration } from '../types/agent';
+import { WorkspaceConfig, getDustApiBaseUrl } from '../config/workspace';
+import { AgentConfiguration, DustAgentConfiguration } from '../types/agent';
 import NodeCache from 'node-cache';
 
 // Cache TTL in seconds (5 minutes)
@@ -23,6 +23,61 @@ export class AgentDiscoveryService {
     return `agents:${workspaceId}`;
   }
 
+  private getAgentCacheKey(workspaceId: string, agentId: string): string {
+    return `agent:${workspaceId}:${agentId}`;
+  }
+
+  /**
+   * GET a path of the agent configurations API of a workspace
+   * @returns The parsed JSON response, or undefined on a 404
+   */
+  private async fetchAgentApi<T>(
+    workspaceConfig: WorkspaceConfig,
+    path: string
+  ): Promise<T | undefined> {
+    const url = `${getDustApiBaseUrl()}/api/v1/w/${encodeURIComponent(workspaceConfig.id)}/assistant/agent_configurations${path}`;
+    const response = await fetch(url, {
+      headers: {
+        Accept: 'application/json',
+        Authorization: `Bearer ${workspaceConfig.apiKey}`,
+      },
+    });
+
+    if (response.status === 404) {
+      return undefined;
+    }
+    if (!response.ok) {
+      const body = (await response.json().catch(() => null)) as { error?: { message?: string } } | null;
+      throw new Error(body?.error?.message || `GET ${path || '/'} failed with HTTP ${response.status}`);
+    }
+    return (await response.json()) as T;
+  }
+
+  private toAgentConfiguration(
+    workspaceConfig: WorkspaceConfig,
+    agent: DustAgentConfiguration
+  ): AgentConfiguration {
+    // Dust only dates versions: the current version is the last update
+    const versionCreatedAt = agent.versionCreatedAt ?? new Date(0).toISOString();
+    return {
+      id: agent.sId,
+      name: agent.name,
+      description: agent.description,
+      workspaceId: workspaceConfig.id,
+      isActive: agent.status === 'active',
+      createdAt: versionCreatedAt,
+      updatedAt: versionCreatedAt,
+      metadata: {
+        version: agent.version,
+        status: agent.status,
+        scope: agent.scope,
+        pictureUrl: agent.pictureUrl,
+        model: agent.model,
+        ...(agent.actions && { actions: agent.actions }),
+      },
+    };
+  }
+
   public async getAgentConfigurations(
     workspaceConfig: WorkspaceConfig,
     forceRefresh = false
@@ -38,40 +93,65 @@ export class AgentDiscoveryService {
     }
 
     try {
-      // In a real implementation, this would fetch from the Dust API
-      // For now, we'll return a mock response
-      const agents: AgentConfiguration[] = [
-        {
-          id: 'default',
-          name: 'Default Agent',
-          description: 'Default agent for handling conversations',
-          workspaceId: workspaceConfig.id,
-          isActive: true,
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-        },
-      ];
+      const data = await this.fetchAgentApi<{ agentConfigurations: DustAgentConfiguration[] }>(
+        workspaceConfig,
+        ''
+      );
+      const agents = (data?.agentConfigurations ?? []).map((agent) =>
+        this.toAgentConfiguration(workspaceConfig, agent)
+      );
 
       // Cache the result
       this.cache.set(cacheKey, agents);
       return agents;
     } catch (error) {
       console.error('Error fetching agent configurations:', error);
-      throw new Error('Failed to fetch agent configurations');
+      throw new Error(`Failed to fetch agent configurations: ${(error as Error).message}`);
     }
   }
 
+  /**
+   * Get one agent, with its actions
+   * @returns The agent, or undefined if the workspace has no such agent
+   */
   public async getAgent(
     workspaceConfig: WorkspaceConfig,
-    agentId: string
+    agentId: string,
+    forceRefresh = false
   ): Promise<AgentConfiguration | undefined> {
-    const agents = await this.getAgentConfigurations(workspaceConfig);
-    return agents.find((agent) => agent.id === agentId);
+    const cacheKey = this.getAgentCacheKey(workspaceConfig.id, agentId);
+    if (!forceRefresh) {
+      const cachedAgent = this.cache.get<AgentConfiguration>(cacheKey);
+      if (cachedAgent) {
+        return cachedAgent;
+      }
+    }
+
+    try {
+      const data = await this.fetchAgentApi<{ agentConfiguration: DustAgentConfiguration }>(
+        workspaceConfig,
+        `/${encodeURIComponent(agentId)}`
+      );
+      if (!data) {
+        return undefined;
+      }
+
+      const agent = this.toAgentConfiguration(workspaceConfig, data.agentConfiguration);
+      this.cache.set(cacheKey, agent);
+      return agent;
+    } catch (error) {
+      console.error(`Error fetching agent configuration ${agentId}:`, error);
+      throw new Error(`Failed to fetch agent configuration ${agentId}: ${(error as Error).message}`);
+    }
   }
 
   public clearCache(workspaceId?: string): void {
     if (workspaceId) {
-      this.cache.del(this.getCacheKey(workspaceId));
+      const agentKeyPrefix = this.getAgentCacheKey(workspaceId, '');
+      this.cache.del([
+        this.getCacheKey(workspaceId),
+        ...this.cache.keys().filter((key) => key.startsWith(agentKeyPrefix)),
+      ]);
     } else {
       this.cache.flushAll();
     }
@@ -87,3 +87,28 @@ export interface AgentDiscoveryOptions {
    */
   metadataFilter?: Record<string, unknown>;
 }
+
+/**
+ * Agent configuration as returned by the Dust API
+ * (GET /api/v1/w/{wId}/assistant/agent_configurations)
+ */
+export interface DustAgentConfiguration {
+  sId: string;
+  version: number;
+  versionCreatedAt: string | null;
+  name: string;
+  description: string;
+  instructions?: string | null;
+  pictureUrl?: string;
+  status: 'active' | 'archived' | 'draft' | string;
+  scope: string;
+  model?: {
+    providerId: string;
+    modelId: string;
+    temperature?: number;
+  };
+  /**
+   * Tools of the agent, only returned for a single agent
+   */
+  actions?: Record<string, unknown>[];
+}
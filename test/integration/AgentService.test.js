@@ -118,7 +118,7 @@ describe('AgentService Integration', () => {
       expect(fetch).toHaveBeenCalledTimes(1);
       const [url, options] = fetch.mock.calls[0];
       
-      expect(url).toContain(`/api/workspaces/${TEST_SESSION.workspaceId}/conversations`);
+      expect(url).toContain(`/api/v1/w/${TEST_SESSION.workspaceId}/assistant/conversations`);
       expect(options.method).toBe('POST');
       expect(JSON.parse(options.body)).toEqual({
         message: 'Hello, world!',
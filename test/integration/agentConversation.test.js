@@ -184,7 +184,7 @@ describe('Agent Conversation API', () => {
     app.use('/api', createConversationRoutes({ 
       sessionManager,
       dustApiKey: testApiKey,
-      dustApiBaseUrl: 'https://dust.tt/api'
+      dustApiBaseUrl: 'https://dust.tt'
     }));
   });
 
@@ -217,7 +217,7 @@ describe('Agent Conversation API', () => {
       expect(response.body).toHaveProperty('messages');
       expect(Array.isArray(response.body.messages)).toBe(true);
       expect(fetch).toHaveBeenCalledWith(
-        `https://dust.tt/api/workspaces/${testWorkspaceId}/conversations`,
+        `https://dust.tt/api/v1/w/${testWorkspaceId}/assistant/conversations`,
         expect.objectContaining({
           method: 'POST',
           headers: expect.objectContaining({
@@ -241,7 +241,7 @@ describe('Agent Conversation API', () => {
       expect(response.body.conversationId).toBe(testConversationId);
       expect(response.body.messages).toHaveLength(2);
       expect(fetch).toHaveBeenCalledWith(
-        `https://dust.tt/api/workspaces/${testWorkspaceId}/conversations/${testConversationId}/messages`,
+        `https://dust.tt/api/v1/w/${testWorkspaceId}/assistant/conversations/${testConversationId}/messages`,
         expect.objectContaining({
           method: 'POST',
           headers: expect.objectContaining({
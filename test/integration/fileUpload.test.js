@@ -12,7 +12,10 @@ describe('File Upload API', () => {
   let testSessionId;
   const testUploadDir = path.join(__dirname, '../../test-uploads');
 
-  beforeAll(() => {
+  beforeAll(async () => {
+    // supertest and multer run on real timers
+    jest.useRealTimers();
+
     // Create test upload directory
     if (!fs.existsSync(testUploadDir)) {
       fs.mkdirSync(testUploadDir, { recursive: true });
@@ -21,11 +24,12 @@ describe('File Upload API', () => {
     // Initialize session manager with test upload directory
     sessionManager = new SessionManager({
       uploadDir: testUploadDir,
-      maxFileSize: 10 * 1024 * 1024 // 10MB
+      maxFileSize: 10 * 1024 * 1024, // 10MB
+      storagePath: path.join(testUploadDir, 'sessions')
     });
 
     // Create test session
-    const session = sessionManager.createSession('test-workspace', 'test-agent');
+    const session = await sessionManager.createSession('test-workspace', 'test-agent', { validate: false });
     testSessionId = session.id;
 
     // Create Express app
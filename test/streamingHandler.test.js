@@ -105,6 +105,7 @@ describe('StreamingHandler', () => {
 
     const testSession = {
       id: sessionId,
+      workspaceId: 'test-workspace',
       agentId: 'test-agent',
       conversationId: null,
       listeners: new Set()
@@ -133,7 +134,7 @@ describe('StreamingHandler', () => {
       ]);
 
       expect(mockFetch).toHaveBeenCalledWith(
-        'https://dust.test/api/conversations',
+        'https://dust.test/api/v1/w/test-workspace/assistant/conversations',
         expect.any(Object)
       );
     });
@@ -202,6 +202,23 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Creates a fetch Response-like object with a JSON body, for global.fetch mocks
+ * @param {number} status - HTTP status
+ * @param {*} body - Body, returned as is by json() and as JSON by text() unless it is a string
+ * @param {Object} [headers] - Response headers, keyed by lower-case name
+ * @returns {Object} A mock fetch response
+ */
+function jsonResponse(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+  };
+}
+
 module.exports = {
   createMockSession,
   createMockSessionManager,
@@ -209,4 +226,5 @@ module.exports = {
   createMockResponse,
   waitFor,
   delay,
+  jsonResponse,
 };
@@ -0,0 +1,104 @@
+const NodeCache = require('node-cache');
+const { IdCompletions } = require('../../../lib/completion/IdCompletions.js');
+const { ToolProfiles } = require('../../../lib/policy/ToolProfiles.js');
+
+// Build an apiTool-shaped object around a mock function
+function mockTool(name, fn) {
+  return { function: jest.fn(fn), definition: { type: 'function', function: { name } } };
+}
+
+describe('IdCompletions', () => {
+  let tools;
+  let completions;
+
+  beforeEach(() => {
+    tools = {
+      vaults: mockTool('list_workspace_vaults', async () => ({
+        vaults: [{ sId: 'vlt_global', name: 'Company Data' }, { sId: 'vlt_eng', name: 'Engineering' }]
+      })),
+      dataSources: mockTool('get_data_sources', async ({ vId }) => ({
+        data_sources: vId === 'vlt_eng'
+          ? [{ sId: 'dts_wiki', name: 'Wiki' }]
+          : [{ sId: 'dts_drive', name: 'Drive' }, { name: 'notion' }]
+      })),
+      views: mockTool('list_data_source_views', async () => ({
+        data_source_views: [{ sId: 'dsv_1', dataSource: { name: 'Wiki' } }]
+      })),
+      assistants: mockTool('list_assistants', async () => ({
+        agentConfigurations: [{ sId: 'helper', name: 'Helper' }, { sId: 'dust', name: 'Dust' }]
+      })),
+      conversations: mockTool('list_conversations', async () => ({
+        conversations: [{ sId: 'conv_1', title: 'Quarterly report' }, { sId: 'conv_2', title: null }]
+      }))
+    };
+
+    completions = new IdCompletions({
+      tools: Object.values(tools),
+      workspaceId: 'w1',
+      cache: new NodeCache({ stdTTL: 60, checkperiod: 0, useClones: false })
+    });
+  });
+
+  it('should complete vault IDs by ID or name prefix', async () => {
+    await expect(completions.complete('vId', 'vlt_')).resolves.toEqual({
+      values: ['vlt_global', 'vlt_eng'],
+      total: 2,
+      hasMore: false
+    });
+    await expect(completions.complete('vId', 'eng')).resolves.toMatchObject({ values: ['vlt_eng'] });
+  });
+
+  it('should complete data sources of the vault given in the context', async () => {
+    const result = await completions.complete('dsId', '', { vId: 'vlt_eng' });
+
+    expect(result.values).toEqual(['dts_wiki']);
+    expect(tools.dataSources.function).toHaveBeenCalledTimes(1);
+    expect(tools.vaults.function).not.toHaveBeenCalled();
+  });
+
+  it('should look through every vault without a vId', async () => {
+    const result = await completions.complete('dsId', 'd');
+
+    expect(result.values).toEqual(['dts_drive', 'dts_wiki']);
+    // Data sources without an sId are addressed by name
+    await expect(completions.complete('dsId', 'NOT')).resolves.toMatchObject({ values: ['notion'] });
+  });
+
+  it('should cache list results', async () => {
+    await completions.complete('configurationId', 'h');
+    const result = await completions.complete('agentId', '');
+
+    expect(result.values).toEqual(['helper', 'dust']);
+    expect(tools.assistants.function).toHaveBeenCalledTimes(1);
+  });
+
+  it('should complete data source views and conversations', async () => {
+    await expect(completions.complete('dsvId', 'wi', { vId: 'vlt_eng' })).resolves.toMatchObject({ values: ['dsv_1'] });
+    await expect(completions.complete('cId', 'conv')).resolves.toMatchObject({ values: ['conv_1', 'conv_2'] });
+    await expect(completions.complete('cId', 'quarter')).resolves.toEqual({ values: ['conv_1'], total: 1, hasMore: false });
+    expect(tools.conversations.function).toHaveBeenCalledWith({}, { workspaceId: 'w1' });
+  });
+
+  it('should not complete from tools outside the tool profile of the session, even when cached', async () => {
+    await expect(completions.complete('vId', '')).resolves.toMatchObject({ total: 2 });
+
+    const toolProfiles = new ToolProfiles({ profiles: { agents: { allow: ['list_assistants'] } } });
+    const restricted = new IdCompletions({
+      tools: Object.values(tools),
+      workspaceId: 'w1',
+      cache: completions.cache,
+      authorize: (tool) => toolProfiles.authorize(tool, 'agents')
+    });
+
+    await expect(restricted.complete('vId', '')).resolves.toEqual({ values: [], total: 0, hasMore: false });
+    await expect(restricted.complete('agentId', 'h')).resolves.toMatchObject({ values: ['helper'] });
+    expect(tools.vaults.function).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return no values for unknown arguments and failing tools', async () => {
+    tools.vaults.function.mockResolvedValueOnce({ error: 'An error occurred while listing vaults.' });
+
+    await expect(completions.complete('topic', 'a')).resolves.toEqual({ values: [], total: 0, hasMore: false });
+    await expect(completions.complete('vId', '')).resolves.toEqual({ values: [], total: 0, hasMore: false });
+  });
+});
@@ -0,0 +1,87 @@
+const { getDustApiBaseUrl, getWorkspaceApiKey, isWriteToken } = require('../../../lib/config.js');
+const { DustClient } = require('../../../lib/dust/DustClient.js');
+const { WorkspaceValidator } = require('../../../lib/validation/workspaceValidator.js');
+
+describe('getDustApiBaseUrl', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should default to https://dust.tt', () => {
+    delete process.env.DUST_API_BASE_URL;
+    expect(getDustApiBaseUrl()).toBe('https://dust.tt');
+  });
+
+  it.each([
+    ['https://eu.dust.tt', 'https://eu.dust.tt'],
+    ['https://eu.dust.tt/', 'https://eu.dust.tt'],
+    ['http://localhost:4010/api/v1', 'http://localhost:4010'],
+    ['https://intranet.example/dust/api/', 'https://intranet.example/dust']
+  ])('should normalize %s to %s', (value, expected) => {
+    process.env.DUST_API_BASE_URL = value;
+    expect(getDustApiBaseUrl()).toBe(expected);
+  });
+
+  it('should reject values that are not http(s) URLs', () => {
+    process.env.DUST_API_BASE_URL = 'eu.dust.tt';
+    expect(() => getDustApiBaseUrl()).toThrow('DUST_API_BASE_URL must be an http(s) URL, got "eu.dust.tt"');
+  });
+
+  it('should be the default of the Dust API clients', () => {
+    process.env.DUST_API_BASE_URL = 'http://localhost:4010/';
+
+    expect(new DustClient({ workspaceId: 'w1' }).buildUrl('/vaults')).toBe('http://localhost:4010/api/v1/w/w1/vaults');
+    expect(new WorkspaceValidator({ apiKey: 'sk-test' }).apiUrl).toBe('http://localhost:4010/api/v1');
+  });
+});
+
+describe('getWorkspaceApiKey', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.DUST_WORKSPACE_ID = 'w1';
+    process.env.DUST_API_KEY = 'sk-default';
+    process.env.WORKSPACE_ABC123_API_KEY = 'sk-abc';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should read WORKSPACE_<ID>_API_KEY', () => {
+    expect(getWorkspaceApiKey('abc123')).toBe('sk-abc');
+  });
+
+  it('should fall back to DUST_API_KEY for the DUST_WORKSPACE_ID workspace only', () => {
+    expect(getWorkspaceApiKey('w1')).toBe('sk-default');
+    expect(getWorkspaceApiKey('w2')).toBeUndefined();
+    expect(getWorkspaceApiKey(undefined)).toBeUndefined();
+  });
+});
+
+describe('isWriteToken', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should accept the tokens of DUST_WRITE_TOKENS only', () => {
+    process.env.DUST_WRITE_TOKENS = 'tok-ci, tok-admin';
+
+    expect(isWriteToken('tok-ci')).toBe(true);
+    expect(isWriteToken('tok-admin')).toBe(true);
+    expect(isWriteToken('true')).toBe(false);
+    expect(isWriteToken('tok')).toBe(false);
+    expect(isWriteToken(undefined)).toBe(false);
+  });
+
+  it('should grant nothing without DUST_WRITE_TOKENS', () => {
+    delete process.env.DUST_WRITE_TOKENS;
+
+    expect(isWriteToken('true')).toBe(false);
+    expect(isWriteToken('')).toBe(false);
+  });
+});
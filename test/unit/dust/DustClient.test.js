@@ -0,0 +1,231 @@
+const { DustClient, DustApiError, DustError, DustTimeoutError, getDustClient } = require('../../../lib/dust/DustClient.js');
+const { apiTool: getDocuments } = require('../../../tools/dust/dust-api-documentation/get-documents.js');
+const { apiTool: createMessage } = require('../../../tools/dust/dust-api-documentation/create-a-message.js');
+const { apiTool: upsertDocument } = require('../../../tools/dust/dust-api-documentation/upsert-a-document-in-a-data-source.js');
+const { jsonResponse } = require('../../testUtils.js');
+
+describe('DustClient', () => {
+  let fetch;
+  let client;
+
+  beforeEach(() => {
+    // Retries wait on real timers, kept short by the retry configuration
+    jest.useRealTimers();
+    fetch = jest.fn();
+    client = new DustClient({
+      baseUrl: 'https://eu.dust.example/',
+      apiKey: 'sk-test',
+      workspaceId: 'w 1',
+      retry: { initialDelay: 1, maxDelay: 5, timeout: 200 },
+      fetch
+    });
+  });
+
+  it('should send authenticated requests below the workspace API', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, { vaults: [] }));
+
+    await expect(client.get('/vaults', { query: { limit: 5, cursor: undefined, tags: ['a', 'b'] } }))
+      .resolves.toEqual({ vaults: [] });
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://eu.dust.example/api/v1/w/w%201/vaults?limit=5&tags=a&tags=b');
+    expect(request.method).toBe('GET');
+    expect(request.headers).toEqual({ Accept: 'application/json', Authorization: 'Bearer sk-test' });
+  });
+
+  it('should keep paths starting with /api/ and send JSON bodies', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+    await client.post('/api/workspaces/w1/agents', { name: 'helper' });
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('https://eu.dust.example/api/workspaces/w1/agents');
+    expect(request.headers['Content-Type']).toBe('application/json');
+    expect(request.body).toBe('{"name":"helper"}');
+  });
+
+  it('should raise a typed error carrying the HTTP status and Dust error code', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(404, {
+      error: { type: 'data_source_not_found', message: 'The data source you requested was not found.' }
+    }));
+
+    const error = await client.get('/vaults/v1/data_sources/ds1').catch((e) => e);
+
+    expect(error).toBeInstanceOf(DustApiError);
+    expect(error.toJSON()).toEqual({
+      error: {
+        type: 'data_source_not_found',
+        message: 'The data source you requested was not found.',
+        status: 404,
+        request: 'GET /vaults/v1/data_sources/ds1',
+        details: { error: { type: 'data_source_not_found', message: 'The data source you requested was not found.' } }
+      }
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry idempotent requests on retryable statuses', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(503, 'Service Unavailable'))
+      .mockResolvedValueOnce(jsonResponse(502, 'Bad Gateway'))
+      .mockResolvedValueOnce(jsonResponse(200, { vaults: [] }));
+
+    await expect(client.get('/vaults')).resolves.toEqual({ vaults: [] });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should only retry POST requests the API did not process', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(503, 'Service Unavailable'));
+    await expect(client.post('/assistant/conversations', {})).rejects.toMatchObject({ status: 503 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    fetch.mockClear();
+    fetch
+      .mockResolvedValueOnce(jsonResponse(429, { error: { type: 'rate_limit_error', message: 'Slow down' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { conversation: { sId: 'c1' } }));
+    await expect(client.post('/assistant/conversations', {})).resolves.toEqual({ conversation: { sId: 'c1' } });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should time out each attempt and give up after the last retry', async () => {
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    client.retryConfig.timeout = 10;
+    client.retryConfig.maxRetries = 1;
+
+    const error = await client.get('/vaults').catch((e) => e);
+
+    expect(error).toBeInstanceOf(DustTimeoutError);
+    expect(error.message).toBe('GET /vaults timed out after 10ms');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report network failures with their error code', async () => {
+    fetch.mockRejectedValue(Object.assign(new TypeError('fetch failed'), {
+      cause: Object.assign(new Error('getaddrinfo ENOTFOUND eu.dust.example'), { code: 'ENOTFOUND' })
+    }));
+    client.retryConfig.maxRetries = 0;
+
+    await expect(client.get('/vaults')).rejects.toMatchObject({
+      name: 'DustError',
+      code: 'ENOTFOUND',
+      message: 'GET /vaults failed: getaddrinfo ENOTFOUND eu.dust.example'
+    });
+  });
+
+  it('should not retry cancelled calls', async () => {
+    const controller = new AbortController();
+    fetch.mockImplementation(() => {
+      controller.abort();
+      return Promise.reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+    });
+
+    await expect(client.get('/vaults', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should render the request instead of sending it in a dry run', async () => {
+    const rendered = await client.post('/assistant/conversations', { title: "Bob's notes" }, { dryRun: true });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(rendered.request).toEqual({
+      method: 'POST',
+      url: 'https://eu.dust.example/api/v1/w/w%201/assistant/conversations',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json', 'Authorization': 'Bearer ***' },
+      body: { title: "Bob's notes" }
+    });
+    expect(rendered.curl).toBe([
+      "curl -X POST 'https://eu.dust.example/api/v1/w/w%201/assistant/conversations'",
+      "-H 'Accept: application/json'",
+      "-H 'Content-Type: application/json'",
+      "-H 'Authorization: Bearer ***'",
+      `--data '{"title":"Bob'\\''s notes"}'`
+    ].join(' \\\n  '));
+  });
+
+  it('should send the content of an uploaded file to its whole upload URL', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(200, { file: { sId: 'fil_1', uploadUrl: 'https://upload.dust.example/files/fil_1?token=abc' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { file: { sId: 'fil_1', status: 'ready' } }));
+
+    await expect(client.uploadFile({ fileName: 'notes.txt', contentType: 'text/plain', data: Buffer.from('Hi') }))
+      .resolves.toEqual({ sId: 'fil_1', status: 'ready' });
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://eu.dust.example/api/v1/w/w%201/files',
+      'https://upload.dust.example/files/fil_1?token=abc'
+    ]);
+    expect(fetch.mock.calls[1][1].body).toBeInstanceOf(FormData);
+  });
+
+  describe('Dust tools', () => {
+    const originalEnv = { ...process.env };
+
+    beforeEach(() => {
+      process.env.DUST_API_KEY = 'sk-env';
+      process.env.DUST_WORKSPACE_ID = 'w1';
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should call the API through the shared client', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(200, { documents: [], total: 0 }));
+
+      await expect(getDocuments.function({ vId: 'v1', dsId: 'ds1', limit: 5 })).resolves.toEqual({ documents: [], total: 0 });
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://dust.tt/api/v1/w/w1/vaults/v1/data_sources/ds1/documents?limit=5&offset=0');
+      expect(request.headers.Authorization).toBe('Bearer sk-env');
+    });
+
+    it('should call the workspace of the MCP session with its own API key', async () => {
+      process.env.WORKSPACE_W2_API_KEY = 'sk-w2';
+      global.fetch.mockResolvedValueOnce(jsonResponse(200, { documents: [], total: 0 }));
+
+      await getDocuments.function({ vId: 'v1', dsId: 'ds1' }, { workspaceId: 'w2' });
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://dust.tt/api/v1/w/w2/vaults/v1/data_sources/ds1/documents?limit=10&offset=0');
+      expect(request.headers.Authorization).toBe('Bearer sk-w2');
+    });
+
+    it('should refuse workspaces without an API key', () => {
+      expect(() => getDustClient('w3')).toThrow(expect.objectContaining({
+        code: 'workspace_not_configured',
+        message: 'No API key configured for Dust workspace w3, set WORKSPACE_W3_API_KEY'
+      }));
+      expect(getDustClient('w1')).toBe(getDustClient());
+    });
+
+    it('should preview destructive tools without calling the API', async () => {
+      const rendered = await upsertDocument.function(
+        { vId: 'v1', dsId: 'ds1', documentId: 'doc 1', text: 'Hello' },
+        { dryRun: true }
+      );
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(upsertDocument.supportsDryRun).toBe(true);
+      expect(rendered.request).toMatchObject({
+        method: 'POST',
+        url: 'https://dust.tt/api/v1/w/w1/vaults/v1/data_sources/ds1/documents/doc%201',
+        headers: { Authorization: 'Bearer ***' },
+        body: { text: 'Hello' }
+      });
+      expect(rendered.curl).not.toContain('sk-env');
+    });
+
+    it('should let API errors reach the caller instead of swallowing them', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(400, {
+        error: { type: 'invalid_request_error', message: 'The message content is required.' }
+      }));
+
+      const error = await createMessage.function({ cId: 'c1', content: '', context: {} }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(DustError);
+      expect(error).toMatchObject({ status: 400, code: 'invalid_request_error', message: 'The message content is required.' });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { apiTool: getAgentConfiguration } = require('../../../tools/dust/agents/get-agent-configuration.js');
+const { apiTool: exportAgentConfiguration } = require('../../../tools/dust/agents/export-agent-configuration.js');
+const { apiTool: compareAgentVersions } = require('../../../tools/dust/agents/compare-agent-versions.js');
+const { jsonResponse } = require('../../testUtils.js');
+
+// Agent configuration as the Dust API returns it
+function agentConfiguration(overrides = {}) {
+  return {
+    id: 12,
+    sId: 'agt_1',
+    version: 3,
+    versionCreatedAt: '2026-10-01T10:00:00.000Z',
+    versionAuthorId: 7,
+    name: 'support',
+    description: 'Answers support tickets',
+    instructions: 'Be brief.\nCite the docs.',
+    pictureUrl: 'https://dust.tt/pic.png',
+    status: 'active',
+    scope: 'workspace',
+    userFavorite: true,
+    model: { providerId: 'openai', modelId: 'gpt-4o', temperature: 0.2 },
+    actions: [{
+      id: 40,
+      sId: 'act_1',
+      type: 'retrieval_configuration',
+      name: 'search_docs',
+      description: 'Search the docs',
+      dataSources: [{ workspaceId: 'w1', dataSourceViewId: 'dsv_1', filter: { parents: null } }]
+    }],
+    maxStepsPerRun: 4,
+    visualizationEnabled: false,
+    tags: [{ sId: 'tag_1', name: 'support', kind: 'standard' }],
+    ...overrides
+  };
+}
+
+describe('agent configuration tools', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.DUST_API_KEY = 'sk-env';
+    process.env.DUST_WORKSPACE_ID = 'w1';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should get an agent configuration with the data sources of its actions', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, { agentConfiguration: agentConfiguration() }));
+
+    const result = await getAgentConfiguration.function({ sId: 'agt 1' });
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://dust.tt/api/v1/w/w1/assistant/agent_configurations/agt%201');
+    expect(result.agentConfiguration.actions).toHaveLength(1);
+    expect(result.dataSources).toEqual([
+      { action: 'search_docs', workspaceId: 'w1', dataSourceViewId: 'dsv_1', filter: { parents: null } }
+    ]);
+  });
+
+  it('should export an agent without its workspace IDs and user state', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, { agentConfiguration: agentConfiguration() }));
+
+    const definition = await exportAgentConfiguration.function({ sId: 'agt_1' });
+
+    expect(definition).toEqual({
+      format: 'dust-agent-definition',
+      formatVersion: 1,
+      source: { workspaceId: 'w1', sId: 'agt_1', version: 3, versionCreatedAt: '2026-10-01T10:00:00.000Z' },
+      agent: {
+        name: 'support',
+        description: 'Answers support tickets',
+        instructions: 'Be brief.\nCite the docs.',
+        pictureUrl: 'https://dust.tt/pic.png',
+        scope: 'workspace',
+        model: { providerId: 'openai', modelId: 'gpt-4o', temperature: 0.2 },
+        maxStepsPerRun: 4,
+        visualizationEnabled: false,
+        tags: ['support'],
+        actions: [{
+          type: 'retrieval_configuration',
+          name: 'search_docs',
+          description: 'Search the docs',
+          dataSources: [{ workspaceId: 'w1', dataSourceViewId: 'dsv_1', filter: { parents: null } }]
+        }]
+      },
+      dataSources: [{ action: 'search_docs', workspaceId: 'w1', dataSourceViewId: 'dsv_1', filter: { parents: null } }]
+    });
+  });
+
+  it('should compare an exported version with the current one', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, { agentConfiguration: agentConfiguration() }));
+    const exported = await exportAgentConfiguration.function({ sId: 'agt_1' });
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, {
+      agentConfiguration: agentConfiguration({
+        id: 13,
+        version: 4,
+        versionCreatedAt: '2026-10-02T10:00:00.000Z',
+        instructions: 'Be brief.\nCite the docs with links.',
+        model: { providerId: 'openai', modelId: 'gpt-4.1', temperature: 0.2 },
+        actions: [
+          { id: 41, sId: 'act_2', type: 'websearch_configuration', name: 'web', description: 'Search the web' },
+          { ...agentConfiguration().actions[0], id: 42, sId: 'act_3' }
+        ]
+      })
+    }));
+
+    const result = await compareAgentVersions.function({ from: { definition: exported }, to: { sId: 'agt_1' } });
+
+    expect(result.from).toEqual({ workspaceId: 'w1', sId: 'agt_1', version: 3, versionCreatedAt: '2026-10-01T10:00:00.000Z', name: 'support' });
+    expect(result.to.version).toBe(4);
+    expect(result.identical).toBe(false);
+    // The reordered search action is not a change
+    expect(result.changes).toEqual([
+      { path: 'instructions', from: 'Be brief.\nCite the docs.', to: 'Be brief.\nCite the docs with links.' },
+      { path: 'model.modelId', from: 'gpt-4o', to: 'gpt-4.1' },
+      { path: 'actions["web"].type', from: undefined, to: 'websearch_configuration' },
+      { path: 'actions["web"].name', from: undefined, to: 'web' },
+      { path: 'actions["web"].description', from: undefined, to: 'Search the web' }
+    ]);
+    expect(result.instructionsDiff).toContain('@@ -1,2 +1,2 @@\n Be brief.\n-Cite the docs.\n+Cite the docs with links.\n');
+    expect(result.instructionsDiff).not.toContain('No newline');
+  });
+
+  it('should find no changes between two exports of the same version', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, { agentConfiguration: agentConfiguration() }));
+    const exported = await exportAgentConfiguration.function({ sId: 'agt_1' });
+
+    await expect(compareAgentVersions.function({ from: { definition: exported }, to: { definition: exported } }))
+      .resolves.toMatchObject({ identical: true, changes: [] });
+  });
+
+  it('should refuse sides that are not one agent version', async () => {
+    await expect(compareAgentVersions.function({ from: {}, to: { sId: 'agt_1' } }))
+      .resolves.toEqual({ error: 'from needs either sId or definition' });
+    await expect(compareAgentVersions.function({ from: { sId: 'agt_1' }, to: { definition: { name: 'support' } } }))
+      .resolves.toEqual({ error: 'to: Not an agent definition: expected format "dust-agent-definition", as exported by export_agent_configuration' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
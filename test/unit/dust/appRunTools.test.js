@@ -0,0 +1,140 @@
+const { readServerSentEvents } = require('../../../lib/http/sse.js');
+const { apiTool: createAppRun } = require('../../../tools/dust/dust-api-documentation/create-an-app-run.js');
+const { apiTool: waitForAppRun } = require('../../../tools/dust/dust-api-documentation/wait-for-an-app-run.js');
+const { jsonResponse } = require('../../testUtils.js');
+
+// Build a server-sent events response, its body cut in chunks that split lines
+function eventStreamResponse(events) {
+  const text = events.map((event) => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+  const bytes = new TextEncoder().encode(text);
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: () => 'text/event-stream' },
+    body: (async function* chunks() {
+      for (let start = 0; start < bytes.length; start += 7) {
+        yield bytes.slice(start, start + 7);
+      }
+    })()
+  };
+}
+
+// Collect the events of a text body
+async function readAll(...chunks) {
+  const events = [];
+  for await (const event of readServerSentEvents(chunks)) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe('app run tools', () => {
+  const originalEnv = { ...process.env };
+  const runs = 'https://dust.tt/api/v1/w/w1/vaults/v1/apps/app1/runs';
+
+  beforeEach(() => {
+    // Polls wait on real timers, kept short by pollIntervalMs
+    jest.useRealTimers();
+    process.env.DUST_API_KEY = 'sk-env';
+    process.env.DUST_WORKSPACE_ID = 'w1';
+    process.env.DUST_AGENT_ID = 'app1';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should read server-sent events', async () => {
+    await expect(readAll(': keep-alive\n\ndata: {"a":', '1}\r\n\r\nevent: x\ndata: first\ndata: second\n\ndata: last')).resolves.toEqual([
+      '{"a":1}',
+      'first\nsecond',
+      'last'
+    ]);
+  });
+
+  it('should stream a run, reporting its status and block traces', async () => {
+    global.fetch.mockResolvedValueOnce(eventStreamResponse([
+      { type: 'run_status', content: { status: 'running', run_id: 'run_1' } },
+      { type: 'block_status', content: { block_type: 'input', name: 'INPUT', status: 'running', success_count: 0, error_count: 0 } },
+      { type: 'block_status', content: { block_type: 'input', name: 'INPUT', status: 'succeeded', success_count: 1, error_count: 0 } },
+      { type: 'block_execution', content: { block_type: 'input', block_name: 'INPUT', execution: [[{ value: { q: 'hi' }, error: null }]] } },
+      { type: 'block_status', content: { block_type: 'llm', name: 'ANSWER', status: 'errored', success_count: 0, error_count: 1 } },
+      { type: 'block_execution', content: { block_type: 'llm', block_name: 'ANSWER', execution: [[{ value: null, error: 'Rate limited' }]] } },
+      { type: 'final', content: null },
+      'done'
+    ]));
+    const reportProgress = jest.fn();
+
+    const result = await createAppRun.function(
+      { vId: 'v1', specification_hash: 'h1', inputs: [{ q: 'hi' }], stream: true, blocking: false },
+      { reportProgress }
+    );
+
+    expect(result).toEqual({
+      run: {
+        run_id: 'run_1',
+        status: {
+          run: 'errored',
+          blocks: [
+            { block_type: 'input', name: 'INPUT', status: 'succeeded', success_count: 1, error_count: 0 },
+            { block_type: 'llm', name: 'ANSWER', status: 'errored', success_count: 0, error_count: 1 }
+          ]
+        },
+        traces: [
+          [['input', 'INPUT'], [[{ value: { q: 'hi' }, error: null }]]],
+          [['llm', 'ANSWER'], [[{ value: null, error: 'Rate limited' }]]]
+        ]
+      }
+    });
+    expect(reportProgress.mock.calls.map(([message]) => message)).toEqual([
+      'Run run_1 running',
+      'Block INPUT (input) running: 0 succeeded, 0 errored',
+      'Block INPUT (input) succeeded: 1 succeeded, 0 errored',
+      'Block INPUT (input) traced 1 outputs',
+      'Block ANSWER (llm) errored: 0 succeeded, 1 errored',
+      'Block ANSWER (llm) traced 1 outputs, 1 with errors'
+    ]);
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe(runs);
+    expect(request.headers.Accept).toBe('text/event-stream');
+    expect(JSON.parse(request.body)).toEqual({ specification_hash: 'h1', inputs: [{ q: 'hi' }], stream: true, blocking: false });
+  });
+
+  it('should turn a stream error event into an error result', async () => {
+    global.fetch.mockResolvedValueOnce(eventStreamResponse([
+      { type: 'run_status', content: { status: 'running', run_id: 'run_1' } },
+      { type: 'error', content: { code: 'run_error', message: 'Invalid specification' } }
+    ]));
+
+    await expect(createAppRun.function({ vId: 'v1', stream: true })).resolves.toEqual({
+      error: 'App run run_1 failed: Invalid specification'
+    });
+  });
+
+  it('should poll a run with backoff until it ends', async () => {
+    const running = { run: { run_id: 'run_1', status: { run: 'running', blocks: [] } } };
+    const succeeded = { run: { run_id: 'run_1', status: { run: 'succeeded', blocks: [] }, results: [[{ value: 42 }]] } };
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(200, running))
+      .mockResolvedValueOnce(jsonResponse(200, running))
+      .mockResolvedValueOnce(jsonResponse(200, succeeded));
+    const reportProgress = jest.fn();
+
+    await expect(waitForAppRun.function({ vId: 'v1', runId: 'run_1', pollIntervalMs: 20 }, { reportProgress })).resolves.toEqual(succeeded);
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([`${runs}/run_1`, `${runs}/run_1`, `${runs}/run_1`]);
+    expect(reportProgress).toHaveBeenCalledTimes(2);
+    expect(reportProgress.mock.calls[0][0]).toMatch(/^Run run_1 running after \ds$/);
+  });
+
+  it('should give up on a run still running at the deadline', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(200, { run: { run_id: 'run_1', status: { run: 'running', blocks: [] } } }));
+
+    const started = Date.now();
+    await expect(waitForAppRun.function({ vId: 'v1', runId: 'run_1', timeoutMs: 100, pollIntervalMs: 20 })).resolves.toEqual({
+      error: 'Run run_1 is still running after 100ms: call wait_for_app_run again to keep waiting'
+    });
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(global.fetch.mock.calls.length).toBeGreaterThan(1);
+  });
+});
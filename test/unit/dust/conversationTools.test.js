@@ -0,0 +1,146 @@
+const http = require('http');
+const nodeFetch = require('node-fetch');
+const { DustError } = require('../../../lib/dust/DustClient.js');
+const { validateArguments, validateSchema } = require('../../../lib/validation/schemaValidator.js');
+const { apiTool: listConversations } = require('../../../tools/dust/dust-api-documentation/list-conversations.js');
+const { apiTool: cancelMessage } = require('../../../tools/dust/dust-api-documentation/cancel-a-message.js');
+const { apiTool: editMessage } = require('../../../tools/dust/dust-api-documentation/edit-a-message.js');
+const { apiTool: retryMessage } = require('../../../tools/dust/dust-api-documentation/retry-a-message.js');
+const { apiTool: createFeedback } = require('../../../tools/dust/dust-api-documentation/create-feedback-for-a-message.js');
+
+/**
+ * Local stand-in for the Dust conversation API, recording the requests it receives
+ */
+function startMockDust() {
+  const requests = [];
+  const routes = {
+    'GET /api/v1/w/w1/assistant/conversations': () => [200, {
+      conversations: [{ sId: 'c1', title: 'Weekly report', created: 1700000000000, updated: 1700000500000 }]
+    }],
+    'POST /api/v1/w/w1/assistant/conversations/c1/cancel': () => [200, { success: true }],
+    'POST /api/v1/w/w1/assistant/conversations/c1/messages/m1/edit': ({ content }) => [200, {
+      message: { sId: 'm1-v2', content },
+      agentMessages: [{ sId: 'a2', status: 'created' }]
+    }],
+    'POST /api/v1/w/w1/assistant/conversations/c1/messages/a1/retry': () => [200, { message: { sId: 'a1-v2', status: 'created' } }],
+    'POST /api/v1/w/w1/assistant/conversations/c1/messages/a1/feedbacks': () => [200, { success: true }]
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : undefined;
+      requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+      const route = routes[`${req.method} ${req.url}`];
+      const [status, payload] = route
+        ? route(body || {})
+        : [404, { error: { type: 'message_not_found', message: 'The message was not found.' } }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('conversation tools', () => {
+  const originalEnv = { ...process.env };
+  let mock;
+
+  beforeAll(async () => {
+    jest.useRealTimers();
+    mock = await startMockDust();
+    process.env.DUST_API_BASE_URL = mock.url;
+    process.env.DUST_API_KEY = 'sk-env';
+    process.env.DUST_WORKSPACE_ID = 'w1';
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+    global.fetch.mockImplementation((url, options) => nodeFetch(url, options));
+  });
+
+  afterAll(async () => {
+    process.env = { ...originalEnv };
+    await new Promise((resolve) => mock.server.close(resolve));
+  });
+
+  // Call a tool the way the server does: arguments checked against its schema, result against its outputSchema
+  async function callTool(tool, args) {
+    const { valid, errors, value } = validateArguments(tool.definition.function.parameters, args);
+    expect(errors).toEqual([]);
+    expect(valid).toBe(true);
+    const result = await tool.function(value);
+    expect(validateSchema(tool.definition.function.outputSchema, result).errors).toEqual([]);
+    return result;
+  }
+
+  it('should list the conversations of the workspace', async () => {
+    const result = await callTool(listConversations, {});
+
+    expect(result.conversations).toEqual([expect.objectContaining({ sId: 'c1', title: 'Weekly report' })]);
+    expect(mock.requests).toEqual([
+      { method: 'GET', url: '/api/v1/w/w1/assistant/conversations', authorization: 'Bearer sk-env', body: undefined }
+    ]);
+  });
+
+  it('should cancel running agent messages', async () => {
+    await expect(callTool(cancelMessage, { cId: 'c1', messageIds: ['a1', 'a2'] })).resolves.toEqual({ success: true });
+
+    expect(mock.requests[0]).toMatchObject({
+      method: 'POST',
+      url: '/api/v1/w/w1/assistant/conversations/c1/cancel',
+      body: { messageIds: ['a1', 'a2'] }
+    });
+    expect(validateArguments(cancelMessage.definition.function.parameters, { cId: 'c1', messageIds: [] }).valid).toBe(false);
+  });
+
+  it('should edit a user message', async () => {
+    const result = await callTool(editMessage, {
+      cId: 'c1',
+      mId: 'm1',
+      content: 'Summarize last week instead',
+      mentions: [{ configurationId: 'helper' }]
+    });
+
+    expect(result.message).toEqual({ sId: 'm1-v2', content: 'Summarize last week instead' });
+    expect(mock.requests[0]).toMatchObject({
+      url: '/api/v1/w/w1/assistant/conversations/c1/messages/m1/edit',
+      body: { content: 'Summarize last week instead', mentions: [{ configurationId: 'helper' }] }
+    });
+    expect(editMessage.definition.function.annotations.destructiveHint).toBe(true);
+  });
+
+  it('should retry an agent message', async () => {
+    const result = await callTool(retryMessage, { cId: 'c1', mId: 'a1' });
+
+    expect(result).toEqual({ message: { sId: 'a1-v2', status: 'created' } });
+    expect(mock.requests[0]).toMatchObject({
+      method: 'POST',
+      url: '/api/v1/w/w1/assistant/conversations/c1/messages/a1/retry',
+      body: undefined
+    });
+  });
+
+  it('should leave feedback on an agent message', async () => {
+    await expect(callTool(createFeedback, { cId: 'c1', mId: 'a1', thumbDirection: 'down', feedbackContent: 'Outdated figures' }))
+      .resolves.toEqual({ success: true });
+
+    expect(mock.requests[0]).toMatchObject({
+      url: '/api/v1/w/w1/assistant/conversations/c1/messages/a1/feedbacks',
+      body: { thumbDirection: 'down', feedbackContent: 'Outdated figures' }
+    });
+    expect(validateArguments(createFeedback.definition.function.parameters, { cId: 'c1', mId: 'a1', thumbDirection: 'sideways' }).valid)
+      .toBe(false);
+  });
+
+  it('should report Dust errors with their code', async () => {
+    const error = await retryMessage.function({ cId: 'c1', mId: 'missing' }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(DustError);
+    expect(error).toMatchObject({ status: 404, code: 'message_not_found', message: 'The message was not found.' });
+  });
+});
@@ -0,0 +1,30 @@
+const { parseCsv, parseCsvLines, toCellValue } = require('../../../lib/dust/csv.js');
+
+describe('csv', () => {
+  it('should parse quoted fields with delimiters, quotes and line breaks', () => {
+    const text = '\uFEFFid,name,notes\r\n1,"Smith, Jane","said ""hi""\nthen left"\r\n\r\n2,Bob,\n';
+
+    expect(parseCsvLines(text)).toEqual([
+      ['id', 'name', 'notes'],
+      ['1', 'Smith, Jane', 'said "hi"\nthen left'],
+      ['2', 'Bob', '']
+    ]);
+    expect(parseCsvLines('a;b\n1;2', { delimiter: ';' })).toEqual([['a', 'b'], ['1', '2']]);
+    expect(() => parseCsvLines('a,b\n"1,2')).toThrow('Unclosed quoted field at line 2');
+  });
+
+  it('should map the records to the header columns', () => {
+    expect(parseCsv('id, city\n1,Paris\n2')).toEqual({
+      columns: ['id', 'city'],
+      records: [{ id: '1', city: 'Paris' }, { id: '2', city: '' }]
+    });
+    expect(() => parseCsv('')).toThrow('The CSV is empty');
+    expect(() => parseCsv('id,id\n1,2')).toThrow('Duplicate CSV column "id"');
+    expect(() => parseCsv('id\n1,2')).toThrow('CSV row 1 has 2 fields, the header has 1');
+  });
+
+  it('should type cells', () => {
+    expect(['', '42', '-3.5', '1e3', 'TRUE', 'false', '007', 'Paris'].map(toCellValue))
+      .toEqual([null, 42, -3.5, 1000, true, false, '007', 'Paris']);
+  });
+});
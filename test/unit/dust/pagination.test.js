@@ -0,0 +1,85 @@
+const { fetchAllPages, supportsPagination, wantsPages } = require('../../../lib/dust/pagination.js');
+const { loadTools } = require('../../../lib/tools.js');
+const { apiTool: getDocuments } = require('../../../tools/dust/dust-api-documentation/get-documents.js');
+const { apiTool: searchDataSource } = require('../../../tools/dust/dust-api-documentation/search-the-data-source.js');
+
+describe('pagination', () => {
+  const documents = Array.from({ length: 7 }, (_, index) => ({ document_id: `doc-${index}` }));
+
+  // get_documents answering from a data source of 7 documents
+  function documentsTool() {
+    return {
+      ...getDocuments,
+      function: jest.fn(async ({ limit, offset }) => ({ documents: documents.slice(offset, offset + limit), total: documents.length }))
+    };
+  }
+
+  it('should only paginate the tools that declare it', () => {
+    expect(supportsPagination(getDocuments)).toBe(true);
+    expect(supportsPagination(searchDataSource)).toBe(false);
+    expect(wantsPages({ all: true })).toBe(true);
+    expect(wantsPages({ maxPages: 2 })).toBe(true);
+    expect(wantsPages({ all: false })).toBe(false);
+  });
+
+  it('should declare pagination on every tool taking page arguments, and only on those', () => {
+    const { tools } = loadTools();
+    const takesPages = (tool) => {
+      const properties = tool.definition.function.parameters?.properties || {};
+      return 'limit' in properties && ('offset' in properties || 'cursor' in properties);
+    };
+
+    const names = (list) => list.map((tool) => tool.definition.function.name).sort();
+
+    expect(tools.filter((tool) => supportsPagination(tool) !== takesPages(tool))).toEqual([]);
+    expect(names(tools.filter(supportsPagination))).toEqual(['get_documents', 'get_table_rows']);
+    // The Dust API answers these lists whole, so they take no page arguments
+    const unpaginated = ['get_data_sources', 'list_assistants', 'list_conversations', 'list_data_source_views', 'list_tables', 'list_workspace_vaults'];
+    expect(names(tools.filter((tool) => unpaginated.includes(tool.definition.function.name) && !supportsPagination(tool)))).toEqual(unpaginated);
+  });
+
+  it('should follow limit and offset until the last page and merge the items', async () => {
+    const tool = documentsTool();
+    const onPage = jest.fn();
+    const context = { workspaceId: 'w1' };
+
+    const result = await fetchAllPages(tool, { vId: 'v1', dsId: 'ds1', limit: 3, offset: 0 }, context, { onPage });
+
+    expect(result).toEqual({ documents, total: 7 });
+    expect(tool.function.mock.calls.map(([args]) => args.offset)).toEqual([0, 3, 6]);
+    expect(tool.function).toHaveBeenCalledWith(expect.objectContaining({ vId: 'v1', dsId: 'ds1', limit: 3 }), context);
+    expect(onPage).toHaveBeenLastCalledWith({ page: 3, count: 1, fetched: 7, total: 7, totalPages: 3 });
+  });
+
+  it('should stop after maxPages, leaving the total to show what is missing', async () => {
+    const tool = documentsTool();
+
+    const result = await fetchAllPages(tool, { vId: 'v1', dsId: 'ds1', limit: 2, offset: 1 }, {}, { maxPages: 2 });
+
+    expect(result).toEqual({ documents: documents.slice(1, 5), total: 7 });
+    expect(tool.function).toHaveBeenCalledTimes(2);
+  });
+
+  it('should follow cursors until there is no next cursor', async () => {
+    const pages = {
+      start: { tables: [{ table_id: 't1' }, { table_id: 't2' }], nextPageCursor: 'c2' },
+      c2: { tables: [{ table_id: 't3' }], nextPageCursor: null }
+    };
+    const tool = {
+      pagination: { items: 'tables', limit: 'limit', cursor: 'cursor', nextCursor: 'nextPageCursor' },
+      function: jest.fn(async ({ cursor }) => pages[cursor || 'start'])
+    };
+
+    const result = await fetchAllPages(tool, { limit: 2 });
+
+    expect(result).toEqual({ tables: [{ table_id: 't1' }, { table_id: 't2' }, { table_id: 't3' }], nextPageCursor: null });
+    expect(tool.function.mock.calls.map(([args]) => args.cursor)).toEqual([undefined, 'c2']);
+  });
+
+  it('should return errors of the tool as they are', async () => {
+    const tool = { ...getDocuments, function: jest.fn(async () => ({ error: 'Data source not found' })) };
+
+    await expect(fetchAllPages(tool, { vId: 'v1', dsId: 'ds1', limit: 3, offset: 0 })).resolves.toEqual({ error: 'Data source not found' });
+    expect(tool.function).toHaveBeenCalledTimes(1);
+  });
+});
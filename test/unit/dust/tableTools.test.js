@@ -0,0 +1,131 @@
+const { validateArguments } = require('../../../lib/validation/schemaValidator.js');
+const { apiTool: deleteDocument } = require('../../../tools/dust/dust-api-documentation/delete-a-document.js');
+const { apiTool: listTables } = require('../../../tools/dust/dust-api-documentation/get-tables.js');
+const { apiTool: upsertTable } = require('../../../tools/dust/dust-api-documentation/upsert-a-table.js');
+const { apiTool: deleteTable } = require('../../../tools/dust/dust-api-documentation/delete-a-table.js');
+const { apiTool: upsertRows } = require('../../../tools/dust/dust-api-documentation/upsert-rows.js');
+const { apiTool: getRows } = require('../../../tools/dust/dust-api-documentation/get-rows.js');
+const { apiTool: upsertTableCsv } = require('../../../tools/dust/dust-api-documentation/upsert-a-table-from-csv.js');
+const { jsonResponse } = require('../../testUtils.js');
+
+describe('data source table tools', () => {
+  const originalEnv = { ...process.env };
+  const base = 'https://dust.tt/api/v1/w/w1/vaults/v1/data_sources/ds1';
+
+  beforeEach(() => {
+    process.env.DUST_API_KEY = 'sk-env';
+    process.env.DUST_WORKSPACE_ID = 'w1';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  // Method, URL and parsed body of each request sent
+  function sentRequests() {
+    return global.fetch.mock.calls.map(([url, request]) => ({
+      method: request.method,
+      url,
+      ...(request.body && { body: JSON.parse(request.body) })
+    }));
+  }
+
+  it('should delete documents and tables', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(200, { document: { document_id: 'doc 1' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { success: true }));
+
+    await deleteDocument.function({ vId: 'v1', dsId: 'ds1', documentId: 'doc 1' });
+    await deleteTable.function({ vId: 'v1', dsId: 'ds1', tId: 'sales' });
+
+    expect(sentRequests()).toEqual([
+      { method: 'DELETE', url: `${base}/documents/doc%201` },
+      { method: 'DELETE', url: `${base}/tables/sales` }
+    ]);
+    expect([deleteDocument, deleteTable].map((tool) => tool.definition.function.annotations.destructiveHint)).toEqual([true, true]);
+  });
+
+  it('should list and upsert tables', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(200, { tables: [{ table_id: 'sales', name: 'sales' }] }))
+      .mockResolvedValueOnce(jsonResponse(200, { table: { table_id: 'sales', name: 'sales' } }));
+
+    await expect(listTables.function({ vId: 'v1', dsId: 'ds1' })).resolves.toEqual({ tables: [{ table_id: 'sales', name: 'sales' }] });
+    await upsertTable.function({ vId: 'v1', dsId: 'ds1', name: 'sales', description: 'Monthly sales', table_id: 'sales' });
+
+    expect(sentRequests()).toEqual([
+      { method: 'GET', url: `${base}/tables` },
+      { method: 'POST', url: `${base}/tables`, body: { name: 'sales', description: 'Monthly sales', table_id: 'sales' } }
+    ]);
+  });
+
+  it('should upsert and fetch rows', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(200, { success: true }))
+      .mockResolvedValueOnce(jsonResponse(200, { rows: [{ row_id: 'r1', value: { amount: 10 } }], total: 1 }));
+
+    const rows = [{ row_id: 'r1', value: { amount: 10, region: null } }];
+    const { valid, value } = validateArguments(upsertRows.definition.function.parameters, { vId: 'v1', dsId: 'ds1', tId: 'sales', rows });
+    expect(valid).toBe(true);
+    await upsertRows.function(value);
+    await getRows.function({ vId: 'v1', dsId: 'ds1', tId: 'sales', limit: 50 });
+
+    expect(sentRequests()).toEqual([
+      { method: 'POST', url: `${base}/tables/sales/rows`, body: { rows, truncate: false } },
+      { method: 'GET', url: `${base}/tables/sales/rows?limit=50&offset=0` }
+    ]);
+    expect(getRows.pagination).toEqual({ items: 'rows', limit: 'limit', offset: 'offset', total: 'total' });
+    expect(validateArguments(upsertRows.definition.function.parameters, {
+      vId: 'v1', dsId: 'ds1', tId: 'sales', rows: [{ row_id: 'r1', value: { amount: { nested: true } } }]
+    }).valid).toBe(false);
+  });
+
+  it('should upsert a CSV as a table and its rows in batches', async () => {
+    const lines = Array.from({ length: 501 }, (_, index) => `A-${index},${index % 2 === 0 ? 'EU' : ''},${index * 1.5}`);
+    const csv = ['sku,region,amount', ...lines].join('\n');
+    const reportProgress = jest.fn();
+    global.fetch.mockResolvedValue(jsonResponse(200, { table: { table_id: 'sales', name: 'sales' } }));
+
+    const result = await upsertTableCsv.function(
+      { vId: 'v1', dsId: 'ds1', tId: 'sales', name: 'sales', description: 'Monthly sales', csv, rowIdColumn: 'sku', truncate: true },
+      { reportProgress }
+    );
+
+    expect(result).toEqual({ table: { table_id: 'sales', name: 'sales' }, columns: ['sku', 'region', 'amount'], rows: 501, batches: 2 });
+    const [table, firstBatch, secondBatch] = sentRequests();
+    expect(table).toEqual({ method: 'POST', url: `${base}/tables`, body: { name: 'sales', description: 'Monthly sales', table_id: 'sales' } });
+    expect(firstBatch.url).toBe(`${base}/tables/sales/rows`);
+    expect(firstBatch.body.truncate).toBe(true);
+    expect(firstBatch.body.rows).toHaveLength(500);
+    expect(firstBatch.body.rows.slice(0, 2)).toEqual([
+      { row_id: 'A-0', value: { sku: 'A-0', region: 'EU', amount: 0 } },
+      { row_id: 'A-1', value: { sku: 'A-1', region: null, amount: 1.5 } }
+    ]);
+    expect(secondBatch.body).toEqual({ rows: [{ row_id: 'A-500', value: { sku: 'A-500', region: 'EU', amount: 750 } }], truncate: false });
+    expect(reportProgress).toHaveBeenLastCalledWith('Upserted 501 of 501 rows', 2);
+  });
+
+  it('should empty the table for a CSV without rows when truncating', async () => {
+    const args = { vId: 'v1', dsId: 'ds1', tId: 'sales', name: 'sales', description: 'Monthly sales', csv: 'sku,amount\n' };
+    global.fetch.mockResolvedValue(jsonResponse(200, { table: { table_id: 'sales', name: 'sales' } }));
+
+    await expect(upsertTableCsv.function(args)).resolves.toMatchObject({ rows: 0, batches: 1 });
+    expect(sentRequests()[1]).toEqual({ method: 'POST', url: `${base}/tables/sales/rows`, body: { rows: [], truncate: true } });
+
+    global.fetch.mockClear();
+    await expect(upsertTableCsv.function({ ...args, truncate: false })).resolves.toMatchObject({ rows: 0, batches: 0 });
+    expect(sentRequests()).toHaveLength(1);
+  });
+
+  it('should refuse invalid CSVs before calling the API', async () => {
+    const args = { vId: 'v1', dsId: 'ds1', tId: 'sales', name: 'sales', description: 'Monthly sales' };
+
+    await expect(upsertTableCsv.function({ ...args, csv: 'sku,amount\n"A-1,3' }))
+      .resolves.toEqual({ error: 'Invalid CSV: Unclosed quoted field at line 2' });
+    await expect(upsertTableCsv.function({ ...args, csv: 'sku,amount\nA-1,3', rowIdColumn: 'id' }))
+      .resolves.toEqual({ error: 'Invalid CSV: rowIdColumn "id" is not one of its columns: sku, amount' });
+    await expect(upsertTableCsv.function({ ...args, csv: 'sku,amount\nA-1,3\nA-1,4', rowIdColumn: 'sku' }))
+      .resolves.toEqual({ error: 'Invalid CSV: duplicate row ID "A-1" in column "sku"' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
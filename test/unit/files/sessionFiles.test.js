@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const FileUploadHandler = require('../../../lib/fileUploadHandler.js');
+const { SessionManager } = require('../../../lib/sessionManager.js');
+const { apiTool: attachFiles } = require('../../../tools/dust/session/attach-files.js');
+const { createFileRoutes } = require('../../../routes/fileRoutes.js');
+const { jsonResponse } = require('../../testUtils.js');
+
+// Answers of the Dust file API for one upload
+function mockDustUpload(sId) {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse(200, { file: { sId, uploadUrl: `https://dust.tt/api/v1/w/w1/files/${sId}` } }))
+    .mockResolvedValueOnce(jsonResponse(200, { file: { sId, status: 'ready' } }));
+}
+
+describe('session files', () => {
+  const originalEnv = { ...process.env };
+  const upload = { buffer: Buffer.from('region,amount\nEU,10\n'), originalname: 'sales.csv', mimetype: 'text/csv', size: 20 };
+  let uploadDir;
+  let handler;
+
+  beforeEach(() => {
+    process.env.DUST_API_KEY = 'sk-env';
+    process.env.DUST_WORKSPACE_ID = 'w1';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-uploads-'));
+    handler = new FileUploadHandler({ uploadDir, uploadToDust: true });
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  // Session manager holding one session, using the real uploadSessionFilesToDust
+  function sessionManagerWith(session) {
+    const sessionManager = {
+      fileUploadHandler: handler,
+      getSession: (sessionId) => (sessionId === session.id ? session : null),
+      _persistSession: jest.fn()
+    };
+    sessionManager.uploadSessionFilesToDust = SessionManager.prototype.uploadSessionFilesToDust.bind(sessionManager);
+    return sessionManager;
+  }
+
+  it('should save uploads locally and upload them to the Dust file API', async () => {
+    mockDustUpload('fil_1');
+
+    const file = await handler.handleUpload(upload, 's1', { workspaceId: 'w1' });
+
+    expect(fs.readFileSync(file.filepath, 'utf8')).toBe('region,amount\nEU,10\n');
+    expect(file).toMatchObject({ originalName: 'sales.csv', dustFileId: 'fil_1', dustWorkspaceId: 'w1' });
+
+    const [[createUrl, create], [uploadUrl, send]] = global.fetch.mock.calls;
+    expect(createUrl).toBe('https://dust.tt/api/v1/w/w1/files');
+    expect(JSON.parse(create.body)).toEqual({ contentType: 'text/csv', fileName: 'sales.csv', fileSize: 20, useCase: 'conversation' });
+    expect(uploadUrl).toBe('https://dust.tt/api/v1/w/w1/files/fil_1');
+    expect(send.body).toBeInstanceOf(FormData);
+    expect(send.body.get('file').name).toBe('sales.csv');
+    expect(send.headers['Content-Type']).toBeUndefined();
+    expect(send.headers.Authorization).toBe('Bearer sk-env');
+  });
+
+  it('should keep the file when the Dust upload fails, and upload it again later', async () => {
+    global.fetch.mockResolvedValueOnce(jsonResponse(403, { error: { type: 'workspace_auth_error', message: 'Invalid API key' } }));
+    const file = await handler.handleUpload(upload, 's1', { workspaceId: 'w1' });
+    expect(file).toMatchObject({ dustFileId: null, dustUploadError: 'Invalid API key' });
+
+    const sessionManager = sessionManagerWith({ id: 's1', workspaceId: 'w1', files: [file] });
+    mockDustUpload('fil_2');
+    const [uploaded] = await sessionManager.uploadSessionFilesToDust('s1', [file.id]);
+
+    expect(uploaded.dustFileId).toBe('fil_2');
+    expect(uploaded.dustUploadError).toBeUndefined();
+    expect(sessionManager._persistSession).toHaveBeenCalledWith('s1');
+    await expect(sessionManager.uploadSessionFilesToDust('s1', ['missing'])).rejects.toThrow('Unknown file missing in session s1');
+  });
+
+  it('should attach session files to the current conversation as content fragments', async () => {
+    mockDustUpload('fil_1');
+    const file = await handler.handleUpload(upload, 's1', { workspaceId: 'w1' });
+    const sessionManager = sessionManagerWith({ id: 's1', workspaceId: 'w1', conversationId: 'c1', files: [file] });
+    global.fetch.mockClear();
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, { contentFragment: { sId: 'cf_1', title: 'sales.csv' } }));
+
+    const result = await attachFiles.function({}, { workspaceId: 'w1', sessionId: 's1', sessionManager });
+
+    expect(result).toEqual({
+      conversationId: 'c1',
+      contentFragments: [{ fileId: file.id, dustFileId: 'fil_1', contentFragment: { sId: 'cf_1', title: 'sales.csv' } }]
+    });
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://dust.tt/api/v1/w/w1/assistant/conversations/c1/content_fragments');
+    expect(JSON.parse(request.body)).toEqual({ title: 'sales.csv', fileId: 'fil_1' });
+  });
+
+  it('should attach files uploaded to a transport session through the file routes', async () => {
+    // supertest and multer run on real timers
+    jest.useRealTimers();
+    const sessionManager = new SessionManager({ uploadDir, storagePath: path.join(uploadDir, 'sessions'), apiKey: null });
+    const session = await sessionManager.createSession('w1', 'agent1', { validate: false });
+    const app = express();
+    app.use('/api', createFileRoutes({ sessionManager }));
+    mockDustUpload('fil_1');
+
+    const response = await request(app)
+      .post(`/api/sessions/${session.id}/files`)
+      .attach('files', upload.buffer, { filename: 'sales.csv', contentType: 'text/csv' });
+
+    expect(response.status).toBe(200);
+    const [file] = response.body.files;
+    expect(file).toMatchObject({ originalName: 'sales.csv', dustFileId: 'fil_1' });
+
+    global.fetch.mockClear();
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, { contentFragment: { sId: 'cf_1', title: 'sales.csv' } }));
+    const result = await attachFiles.function({ cId: 'c1' }, { workspaceId: 'w1', sessionId: session.id, sessionManager });
+
+    expect(result.contentFragments).toEqual([{ fileId: file.id, dustFileId: 'fil_1', contentFragment: { sId: 'cf_1', title: 'sales.csv' } }]);
+    expect(global.fetch.mock.calls[0][0]).toBe('https://dust.tt/api/v1/w/w1/assistant/conversations/c1/content_fragments');
+    await sessionManager.destroy();
+  });
+
+  it('should explain why files cannot be attached', async () => {
+    const sessionManager = sessionManagerWith({ id: 's1', workspaceId: 'w1', files: [] });
+
+    await expect(attachFiles.function({ cId: 'c1' })).resolves.toEqual({
+      error: 'attach_files needs an MCP session over HTTP, with files uploaded to /api/sessions/{sessionId}/files'
+    });
+    await expect(attachFiles.function({}, { sessionId: 's1', sessionManager })).resolves.toEqual({
+      error: 'The session has no current conversation: pass cId'
+    });
+    await expect(attachFiles.function({ cId: 'c1', fileIds: ['f9'] }, { sessionId: 's1', sessionManager })).resolves.toEqual({
+      error: 'Unknown session files: f9'
+    });
+    await expect(attachFiles.function({ cId: 'c1' }, { sessionId: 's1', sessionManager })).resolves.toEqual({
+      error: 'The session has no files: upload them to /api/sessions/s1/files first'
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
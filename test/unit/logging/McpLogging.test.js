@@ -0,0 +1,113 @@
+const { SetLevelRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const { attachMcpLogging } = require('../../../lib/logging/McpLogging.js');
+const { getLogger, isLevelEnabled, withLogContext } = require('../../../lib/logging/logger.js');
+const { DustClient } = require('../../../lib/dust/DustClient.js');
+const { jsonResponse } = require('../../testUtils.js');
+
+// Minimal stand-in for the MCP Server
+function createServer() {
+  const handlers = new Map();
+  return {
+    handlers,
+    setRequestHandler: jest.fn((schema, handler) => handlers.set(schema, handler)),
+    sendLoggingMessage: jest.fn().mockResolvedValue(undefined)
+  };
+}
+
+describe('attachMcpLogging', () => {
+  const logger = getLogger('TestComponent', { sessionId: 'session-1' });
+  let server;
+
+  beforeEach(() => {
+    server = createServer();
+    attachMcpLogging(server, { sessionId: 'session-1' });
+  });
+
+  afterEach(() => {
+    server.onclose();
+  });
+
+  it('should wait for the client to be initialized', () => {
+    logger.info('Too early');
+    expect(server.sendLoggingMessage).not.toHaveBeenCalled();
+
+    server.oninitialized();
+    logger.info('Ready', { tool: 'list_assistants' });
+
+    expect(server.sendLoggingMessage).toHaveBeenCalledWith({
+      level: 'info',
+      logger: 'TestComponent',
+      data: expect.objectContaining({ message: 'Ready', tool: 'list_assistants' })
+    });
+  });
+
+  it('should only forward records of its own session and of server-wide components', () => {
+    server.oninitialized();
+
+    getLogger('TestComponent', { sessionId: 'session-2' }).info('Other session');
+    logger.info('Own session');
+    getLogger('TestComponent').info('Untagged');
+    getLogger('ToolRegistry').info('Reloaded 3 tools');
+    getLogger('ToolRegistry', { sessionId: 'session-2' }).info('Other session tools');
+
+    const messages = server.sendLoggingMessage.mock.calls.map(([params]) => params.data.message);
+    expect(messages).toEqual(['Own session', 'Reloaded 3 tools']);
+    expect(server.sendLoggingMessage.mock.calls[0][0].data.sessionId).toBe('session-1');
+  });
+
+  it('should tag the records logged while handling a session request, such as DustClient retries', async () => {
+    jest.useRealTimers();
+    server.oninitialized();
+    const unavailable = jsonResponse(503, '');
+    const ok = jsonResponse(200, { vaults: [] });
+    const fetch = jest.fn()
+      .mockResolvedValueOnce(unavailable)
+      .mockResolvedValueOnce(ok)
+      .mockResolvedValueOnce(unavailable)
+      .mockResolvedValueOnce(ok);
+    const client = new DustClient({ apiKey: 'sk-test', workspaceId: 'w1', fetch, retry: { initialDelay: 1, maxDelay: 1 } });
+
+    await withLogContext({ sessionId: 'session-2' }, () => client.get('/vaults'));
+    expect(server.sendLoggingMessage).not.toHaveBeenCalled();
+
+    await withLogContext({ sessionId: 'session-1' }, () => client.get('/vaults'));
+    expect(server.sendLoggingMessage).toHaveBeenCalledTimes(1);
+    expect(server.sendLoggingMessage.mock.calls[0][0]).toMatchObject({
+      level: 'warning',
+      logger: 'DustClient',
+      data: { sessionId: 'session-1', message: expect.stringContaining('Retrying GET /vaults') }
+    });
+  });
+
+  it('should honour logging/setLevel', async () => {
+    server.oninitialized();
+    const setLevel = server.handlers.get(SetLevelRequestSchema);
+
+    await expect(setLevel({ method: 'logging/setLevel', params: { level: 'error' } })).resolves.toEqual({});
+    logger.warning('Ignored');
+    logger.crit('Kept');
+
+    expect(server.sendLoggingMessage).toHaveBeenCalledTimes(1);
+    expect(server.sendLoggingMessage.mock.calls[0][0]).toMatchObject({ level: 'critical' });
+
+    await setLevel({ method: 'logging/setLevel', params: { level: 'debug' } });
+    logger.debug('Details');
+    expect(server.sendLoggingMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should stop forwarding once the server is closed', () => {
+    server.oninitialized();
+    server.onclose();
+
+    logger.error('After close');
+    expect(server.sendLoggingMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('isLevelEnabled', () => {
+  it('should compare MCP levels by severity', () => {
+    expect(isLevelEnabled('error', 'warning')).toBe(true);
+    expect(isLevelEnabled('info', 'warning')).toBe(false);
+    expect(isLevelEnabled('emergency', 'debug')).toBe(true);
+  });
+});
@@ -0,0 +1,92 @@
+const MessageRouter = require('../../../lib/message/MessageRouter.js');
+
+describe('MessageRouter.cancelMessage', () => {
+  let messageRouter;
+  let resolveProcessing;
+
+  beforeEach(() => {
+    // Queue processing is driven by setImmediate
+    jest.useRealTimers();
+
+    const session = { id: 'test-session', listeners: new Set() };
+    messageRouter = new MessageRouter({
+      sessionManager: { getSession: (id) => (id === session.id ? session : null) },
+      maxConcurrent: 1
+    });
+
+    messageRouter._processMessage = jest.fn(() => new Promise((resolve) => {
+      resolveProcessing = resolve;
+    }));
+  });
+
+  afterEach(() => {
+    messageRouter.destroy();
+  });
+
+  // Wait until the router has picked up queued work
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  it('should drop a queued message', async () => {
+    const first = messageRouter.queueMessage('test-session', { id: 'm1' });
+    const second = messageRouter.queueMessage('test-session', { id: 'm2' });
+    await flush();
+
+    expect(messageRouter.cancelMessage('test-session', 'm2')).toBe(true);
+    await expect(second).rejects.toThrow('Message cancelled');
+    expect(messageRouter.getQueueStatus('test-session').queued).toBe(0);
+
+    resolveProcessing({ status: 'processed' });
+    await expect(first).resolves.toEqual({ status: 'processed' });
+  });
+
+  it('should release the slot of an active message', async () => {
+    const cancelled = jest.fn();
+    messageRouter.on('message:cancelled', cancelled);
+
+    const first = messageRouter.queueMessage('test-session', { id: 'm1' });
+    const second = messageRouter.queueMessage('test-session', { id: 'm2' });
+    await flush();
+    expect(messageRouter.getQueueStatus('test-session').active).toBe(1);
+
+    expect(messageRouter.cancelMessage('test-session', 'm1')).toBe(true);
+    await expect(first).rejects.toThrow('Message cancelled');
+    expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'test-session' }));
+
+    // The next message takes over the released slot
+    await flush();
+    expect(messageRouter._processMessage).toHaveBeenCalledTimes(2);
+    expect(messageRouter.getQueueStatus('test-session')).toMatchObject({ active: 1, queued: 0 });
+
+    resolveProcessing({ status: 'processed' });
+    await expect(second).resolves.toEqual({ status: 'processed' });
+    await flush();
+    expect(messageRouter.getQueueStatus('test-session').active).toBe(0);
+  });
+
+  it('should abort the signal of the cancelled message only', async () => {
+    const signals = new Map();
+    messageRouter.destroy();
+    messageRouter = new MessageRouter({
+      sessionManager: { getSession: () => ({ id: 'test-session' }) },
+      processMessage: jest.fn((session, message, { signal }) => {
+        signals.set(message.id, signal);
+        return new Promise(() => {});
+      })
+    });
+
+    const first = messageRouter.queueMessage('test-session', { id: 'm1' });
+    messageRouter.queueMessage('test-session', { id: 'm2' });
+    await flush();
+    await flush();
+
+    expect(messageRouter.processMessage).toHaveBeenCalledTimes(2);
+    expect(messageRouter.cancelMessage('test-session', 'm1')).toBe(true);
+    await expect(first).rejects.toThrow('Message cancelled');
+    expect(signals.get('m1').aborted).toBe(true);
+    expect(signals.get('m2').aborted).toBe(false);
+  });
+
+  it('should return false for unknown messages', () => {
+    expect(messageRouter.cancelMessage('test-session', 'missing')).toBe(false);
+  });
+});
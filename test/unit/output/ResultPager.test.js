@@ -0,0 +1,113 @@
+const NodeCache = require('node-cache');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { ResultPager } = require('../../../lib/output/ResultPager.js');
+const { findItemsPath, parseFieldPath, projectFields, WILDCARD } = require('../../../lib/output/projection.js');
+const { apiTool: getDocuments } = require('../../../tools/dust/dust-api-documentation/get-documents.js');
+
+describe('projection', () => {
+  const result = {
+    total: 3,
+    documents: [
+      { document_id: 'a', title: 'A', text: 'long text', tags: ['x'] },
+      { document_id: 'b', title: 'B', text: 'long text', tags: [] },
+      { document_id: 'c', text: 'long text', tags: ['y', 'z'] }
+    ]
+  };
+
+  it('should parse dot paths and JSONPath', () => {
+    expect(parseFieldPath('documents.title')).toEqual(['documents', 'title']);
+    expect(parseFieldPath("$.documents[*]['title']")).toEqual(['documents', WILDCARD, 'title']);
+    expect(parseFieldPath('documents[0].tags')).toEqual(['documents', 0, 'tags']);
+    expect(() => parseFieldPath('documents[')).toThrow('Invalid field path "documents["');
+  });
+
+  it('should keep only the requested fields', () => {
+    expect(projectFields(result, ['total', 'documents.document_id', '$.documents[*].title'])).toEqual({
+      total: 3,
+      documents: [
+        { document_id: 'a', title: 'A' },
+        { document_id: 'b', title: 'B' },
+        { document_id: 'c' }
+      ]
+    });
+    expect(projectFields(result, ['documents[2].tags'])).toEqual({ documents: [{ tags: ['y', 'z'] }] });
+  });
+
+  it('should find the longest list of a result', () => {
+    expect(findItemsPath(result)).toEqual(['documents']);
+    expect(findItemsPath({ conversation: { sId: 'c1', content: [[1], [2]] } })).toEqual(['conversation', 'content']);
+    expect(findItemsPath([1, 2])).toEqual([]);
+    expect(findItemsPath({ sId: 'c1' })).toBeNull();
+  });
+});
+
+describe('ResultPager', () => {
+  const owner = 'session-1';
+  const toolName = 'get_documents';
+  const documents = Array.from({ length: 5 }, (_, index) => ({ document_id: `doc-${index}`, text: 'x'.repeat(50) }));
+  let pager;
+
+  beforeEach(() => {
+    pager = new ResultPager({ cache: new NodeCache({ stdTTL: 60, checkperiod: 0, useClones: false }) });
+  });
+
+  it('should split the output arguments from the tool arguments', () => {
+    expect(ResultPager.splitArguments(getDocuments, { vId: 'v1', dsId: 'ds1', fields: ['documents.title'], maxItems: 5 }))
+      .toEqual({ toolArgs: { vId: 'v1', dsId: 'ds1' }, outputArgs: { fields: ['documents.title'], maxItems: 5 } });
+    expect(Object.keys(ResultPager.inputSchema(getDocuments.definition.function.parameters).properties))
+      .toEqual(expect.arrayContaining(['vId', 'fields', 'maxItems', 'maxChars', 'continuationToken']));
+  });
+
+  it('should return maxItems items and the next ones for the continuation token', () => {
+    const first = pager.first({ documents, total: 5 }, { maxItems: 2, owner, toolName });
+
+    expect(JSON.parse(first.text)).toEqual({ documents: documents.slice(0, 2), total: 5 });
+    expect(first.continuation).toEqual({
+      truncated: true,
+      continuationToken: expect.any(String),
+      items: { path: 'documents', offset: 0, count: 2, total: 5 },
+      textCut: false
+    });
+
+    const second = pager.next(first.continuation.continuationToken, { owner, toolName });
+    expect(JSON.parse(second.text).documents).toEqual(documents.slice(2, 4));
+    const last = pager.next(second.continuation.continuationToken, { owner, toolName });
+    expect(JSON.parse(last.text).documents).toEqual(documents.slice(4));
+    expect(last.continuation).toBeNull();
+  });
+
+  it('should fit as many items as possible in maxChars', () => {
+    const { text, continuation } = pager.first({ documents }, { maxChars: 250, owner, toolName });
+
+    expect(text.length).toBeLessThanOrEqual(250);
+    expect(JSON.parse(text).documents).toEqual(documents.slice(0, 2));
+    expect(continuation.items).toEqual({ path: 'documents', offset: 0, count: 2, total: 5 });
+  });
+
+  it('should cut results without a list into chunks of maxChars characters', () => {
+    const result = { document: { document_id: 'doc-1', text: 'y'.repeat(120) } };
+    const chunks = [];
+    let page = pager.first(result, { maxChars: 50, owner, toolName });
+    chunks.push(page.text);
+    while (page.continuation) {
+      expect(page.continuation.textCut).toBe(true);
+      page = pager.next(page.continuation.continuationToken, { owner, toolName });
+      chunks.push(page.text);
+    }
+
+    expect(chunks.every((chunk) => chunk.length <= 50)).toBe(true);
+    expect(JSON.parse(chunks.join(''))).toEqual(result);
+  });
+
+  it('should only serve a continuation token once, to the session and tool it was issued for', () => {
+    const { continuation } = pager.first({ documents }, { maxItems: 1, owner, toolName });
+    const { continuationToken } = continuation;
+
+    expect(() => pager.next(continuationToken, { owner: 'session-2', toolName })).toThrow(
+      expect.objectContaining({ code: ErrorCode.InvalidParams })
+    );
+    expect(() => pager.next(continuationToken, { owner, toolName: 'search_data_source' })).toThrow('Unknown or expired continuationToken');
+    pager.next(continuationToken, { owner, toolName });
+    expect(() => pager.next(continuationToken, { owner, toolName })).toThrow('Unknown or expired continuationToken');
+  });
+});
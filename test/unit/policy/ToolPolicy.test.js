@@ -0,0 +1,54 @@
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { ToolPolicy, isDestructive } = require('../../../lib/policy/ToolPolicy.js');
+const { apiTool: upsertDocument } = require('../../../tools/dust/dust-api-documentation/upsert-a-document-in-a-data-source.js');
+const { apiTool: createMessage } = require('../../../tools/dust/dust-api-documentation/create-a-message.js');
+const { apiTool: getDocuments } = require('../../../tools/dust/dust-api-documentation/get-documents.js');
+
+describe('ToolPolicy', () => {
+  const upsertArgs = { vId: 'v1', dsId: 'ds1', documentId: 'doc-1', text: 'Hello' };
+
+  it('should classify tools from their annotations', () => {
+    expect(isDestructive(upsertDocument)).toBe(true);
+    expect(isDestructive(createMessage)).toBe(false);
+    expect(isDestructive(getDocuments)).toBe(false);
+    // Without annotations, MCP assumes a tool may be destructive
+    expect(isDestructive({ definition: { function: { name: 'legacy' } } })).toBe(true);
+  });
+
+  it('should let everything run by default', () => {
+    const policy = ToolPolicy.fromEnv({});
+
+    expect(policy.authorize(upsertDocument, upsertArgs)).toEqual(upsertArgs);
+    expect(policy.inputSchema(upsertDocument)).toBe(upsertDocument.definition.function.parameters);
+  });
+
+  it('should require confirm: true in confirm mode', () => {
+    const policy = new ToolPolicy({ mode: 'confirm' });
+
+    expect(() => policy.authorize(upsertDocument, upsertArgs)).toThrow(
+      expect.objectContaining({ code: ErrorCode.InvalidParams })
+    );
+    expect(policy.authorize(upsertDocument, { ...upsertArgs, confirm: true })).toEqual(upsertArgs);
+    expect(policy.authorize(upsertDocument, upsertArgs, { writeEnabled: true })).toEqual(upsertArgs);
+    expect(policy.authorize(createMessage, { cId: 'c1' })).toEqual({ cId: 'c1' });
+
+    expect(policy.inputSchema(upsertDocument).properties.confirm).toEqual(
+      expect.objectContaining({ type: 'boolean' })
+    );
+    expect(policy.inputSchema(getDocuments).properties.confirm).toBeUndefined();
+  });
+
+  it('should refuse destructive tools outside write-enabled sessions in deny mode', () => {
+    const policy = new ToolPolicy({ mode: 'deny' });
+
+    expect(() => policy.authorize(upsertDocument, { ...upsertArgs, confirm: true })).toThrow(
+      'upsert_document is destructive and this session is not write-enabled'
+    );
+    expect(policy.authorize(upsertDocument, upsertArgs, { writeEnabled: true })).toEqual(upsertArgs);
+    expect(policy.authorize(getDocuments, { vId: 'v1', dsId: 'ds1' })).toEqual({ vId: 'v1', dsId: 'ds1' });
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => ToolPolicy.fromEnv({ DUST_DESTRUCTIVE_TOOLS: 'ask' })).toThrow('Invalid destructive tool policy "ask"');
+  });
+});
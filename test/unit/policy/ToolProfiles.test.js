@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { ToolProfiles } = require('../../../lib/policy/ToolProfiles.js');
+const { apiTool: upsertDocument } = require('../../../tools/dust/dust-api-documentation/upsert-a-document-in-a-data-source.js');
+const { apiTool: createAppRun } = require('../../../tools/dust/dust-api-documentation/create-an-app-run.js');
+const { apiTool: getDocuments } = require('../../../tools/dust/dust-api-documentation/get-documents.js');
+const { apiTool: searchDataSource } = require('../../../tools/dust/dust-api-documentation/search-the-data-source.js');
+
+describe('ToolProfiles', () => {
+  const tools = [upsertDocument, createAppRun, getDocuments, searchDataSource];
+  const names = (list) => list.map((tool) => tool.definition.function.name);
+  const profiles = {
+    analyst: { readOnly: true },
+    search: { allow: ['search_*'] },
+    writer: { deny: ['create_app_run'] }
+  };
+
+  it('should show every tool when no profile is selected', () => {
+    const toolProfiles = ToolProfiles.fromEnv({});
+
+    expect(toolProfiles.filter(tools)).toEqual(tools);
+    expect(() => toolProfiles.authorize(createAppRun)).not.toThrow();
+  });
+
+  it('should filter tools by read-only annotation, allow and deny patterns', () => {
+    const toolProfiles = new ToolProfiles({ profiles });
+
+    expect(names(toolProfiles.filter(tools, 'analyst'))).toEqual(['get_documents', 'search_data_source']);
+    expect(names(toolProfiles.filter(tools, 'search'))).toEqual(['search_data_source']);
+    expect(names(toolProfiles.filter(tools, 'writer'))).toEqual(['upsert_document', 'get_documents', 'search_data_source']);
+  });
+
+  it('should refuse calls outside the profile with a clear error', () => {
+    const toolProfiles = new ToolProfiles({ profiles, defaultProfile: 'analyst' });
+
+    expect(() => toolProfiles.authorize(upsertDocument)).toThrow(expect.objectContaining({
+      code: ErrorCode.InvalidRequest,
+      message: expect.stringContaining('upsert_document is not available in the "analyst" tool profile of this session')
+    }));
+    expect(() => toolProfiles.authorize(upsertDocument, 'writer')).not.toThrow();
+    expect(() => toolProfiles.authorize(getDocuments, 'admin')).toThrow('the session uses the unknown tool profile "admin"');
+    expect(toolProfiles.filter(tools, 'admin')).toEqual([]);
+  });
+
+  it('should load profiles from a file or the environment', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-profiles-'));
+    const file = path.join(dir, 'profiles.json');
+    fs.writeFileSync(file, JSON.stringify(profiles));
+    try {
+      expect(ToolProfiles.fromEnv({ DUST_TOOL_PROFILES_FILE: file, DUST_TOOL_PROFILE: 'search' }).defaultProfile).toBe('search');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(ToolProfiles.fromEnv({ DUST_TOOL_PROFILES: '{"analyst":{"readOnly":true}}' }).has('analyst')).toBe(true);
+    expect(() => ToolProfiles.fromEnv({ DUST_TOOL_PROFILES: '{"analyst":' })).toThrow('Invalid tool profiles in DUST_TOOL_PROFILES');
+    expect(() => new ToolProfiles({ profiles: { bad: { allow: 'get_*' } } })).toThrow('allow must be a list of tool names');
+    expect(() => new ToolProfiles({ profiles, defaultProfile: 'admin' })).toThrow('Unknown default tool profile "admin"');
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importCollection, planImport, writeImport } = require('../../../lib/postman/postmanImporter.js');
+const { jsonResponse } = require('../../testUtils.js');
+
+const V21 = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Generate the modules of a collection in a temporary tools directory and return their apiTool
+function loadGenerated(collection, options) {
+  const toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-generated-'));
+  try {
+    const { files } = importCollection(collection, { ...options, toolsDir });
+    writeImport(planImport(files, toolsDir), toolsDir);
+    return files.map((file) => require(path.join(toolsDir, file.path)).apiTool);
+  } finally {
+    fs.rmSync(toolsDir, { recursive: true, force: true });
+  }
+}
+
+describe('postmanImporter', () => {
+  const collection = {
+    info: { name: 'Dust API Documentation', schema: V21 },
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{apiKey}}' }] },
+    variable: [{ key: 'baseUrl', value: 'https://dust.example' }],
+    item: [
+      {
+        name: 'Data sources',
+        item: [
+          {
+            name: 'Get documents',
+            request: {
+              method: 'GET',
+              description: 'Get documents from a data source.\n\nPaginated with limit and offset.',
+              url: {
+                raw: '{{baseUrl}}/api/v1/w/:wId/vaults/:vId/data_sources/:dsId/documents?limit=10',
+                query: [
+                  { key: 'limit', value: '10', description: 'Limit the number of documents returned.' },
+                  { key: 'debug', value: 'true', disabled: true }
+                ],
+                variable: [{ key: 'vId', description: 'The ID of the vault.' }]
+              }
+            }
+          },
+          {
+            name: 'Upsert a document',
+            request: {
+              method: 'POST',
+              url: '{{baseUrl}}/api/v1/w/:wId/vaults/:vId/data_sources/:dsId/documents/{{documentId}}',
+              body: {
+                mode: 'raw',
+                raw: '{ "title": "Doc", "text": {{text}}, "tags": ["a"], "async": false }',
+                options: { raw: { language: 'json' } }
+              }
+            }
+          }
+        ]
+      },
+      { name: 'Upload', request: { method: 'POST', url: '{{baseUrl}}/api/v1/w/:wId/files', body: { mode: 'formdata' } } },
+      { name: 'Elsewhere', request: { method: 'GET', url: '{{otherHost}}/ping' } },
+      { name: 'Health', request: { method: 'GET', url: '{{baseUrl}}/health' } }
+    ]
+  };
+  const options = { envParams: { dsId: 'TEST_DATA_SOURCE_ID' } };
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should generate one module per request below the collection and folder directories', () => {
+    const { files, warnings } = importCollection(collection, options);
+
+    expect(files.map(({ path: filePath, name }) => [filePath, name])).toEqual([
+      ['dust/dust-api-documentation/data-sources/get-documents.js', 'get_documents'],
+      ['dust/dust-api-documentation/data-sources/upsert-a-document.js', 'upsert_a_document'],
+      ['dust/dust-api-documentation/upload.js', 'upload']
+    ]);
+    expect(warnings).toEqual([
+      'Upload: body mode "formdata" is not supported, the tool sends no body',
+      'Elsewhere: skipped, the host uses {{otherHost}}, which no environment or collection variable defines',
+      'Health: skipped, /health is not a path of the Dust API, which starts with /api/'
+    ]);
+  });
+
+  it('should map path variables and query parameters to the schema', () => {
+    const [{ definition }] = loadGenerated(collection, options);
+
+    expect(definition.function).toEqual({
+      name: 'get_documents',
+      description: 'Get documents from a data source.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: { type: 'string', description: 'The ID of the vault.' },
+          limit: { type: 'integer', description: 'Limit the number of documents returned.' }
+        },
+        required: ['vId']
+      }
+    });
+  });
+
+  it('should map JSON body fields to the schema and send them with the Dust client of the session workspace', async () => {
+    const apiTool = loadGenerated(collection, options)[1];
+    const { properties, required } = apiTool.definition.function.parameters;
+
+    expect(properties).toMatchObject({
+      documentId: { type: 'string' },
+      title: { type: 'string' },
+      text: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      async: { type: 'boolean' }
+    });
+    expect(required).toEqual(['vId', 'documentId']);
+    expect(apiTool.supportsDryRun).toBe(true);
+
+    process.env.DUST_WORKSPACE_ID = 'w1';
+    process.env.DUST_API_KEY = 'key';
+    process.env.WORKSPACE_W2_API_KEY = 'key2';
+    process.env.TEST_DATA_SOURCE_ID = 'ds 1';
+    global.fetch.mockResolvedValueOnce(jsonResponse(200, { document: {} }));
+
+    await apiTool.function({ vId: 'v1', documentId: 'doc', title: 'Hi', async: true }, { workspaceId: 'w2' });
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://dust.tt/api/v1/w/w2/vaults/v1/data_sources/ds%201/documents/doc');
+    expect(request.method).toBe('POST');
+    expect(request.headers.Authorization).toBe('Bearer key2');
+    expect(JSON.parse(request.body)).toEqual({ title: 'Hi', async: true });
+  });
+
+  it('should render a dry run and let Dust errors propagate', async () => {
+    const [getDocuments] = loadGenerated(collection, options);
+    process.env.DUST_WORKSPACE_ID = 'w1';
+    process.env.DUST_API_KEY = 'key';
+    process.env.TEST_DATA_SOURCE_ID = 'ds1';
+
+    const dryRun = await getDocuments.function({ vId: 'v1', limit: 5 }, { dryRun: true });
+    expect(dryRun).toMatchObject({ dryRun: true, request: { method: 'GET', url: 'https://dust.tt/api/v1/w/w1/vaults/v1/data_sources/ds1/documents?limit=5' } });
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    global.fetch.mockResolvedValueOnce(jsonResponse(404, { error: { type: 'data_source_not_found', message: 'Data source not found' } }));
+    await expect(getDocuments.function({ vId: 'v1' })).rejects.toMatchObject({
+      name: 'DustApiError',
+      status: 404,
+      code: 'data_source_not_found'
+    });
+  });
+
+  it('should resolve variables from the environment', () => {
+    const environment = { name: 'EU', values: [{ key: 'documentId', value: 'readme', enabled: true }] };
+    const { files } = importCollection(collection, { ...options, environment });
+
+    expect(files[1].source).toContain('/documents/readme`');
+    expect(files[1].source).not.toContain('documentId');
+  });
+
+  it('should reject collections that are not v2.1', () => {
+    expect(() => importCollection({ info: { name: 'Old', schema: 'https://schema.getpostman.com/json/collection/v2.0.0/collection.json' }, item: [] }))
+      .toThrow('export the collection as v2.1');
+  });
+
+  describe('re-import', () => {
+    let toolsDir;
+
+    beforeEach(() => {
+      toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-postman-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(toolsDir, { recursive: true, force: true });
+    });
+
+    it('should show a diff instead of overwriting changed modules', () => {
+      const { files } = importCollection(collection, options);
+      expect(writeImport(planImport(files, toolsDir), toolsDir)).toHaveLength(3);
+
+      const renamed = JSON.parse(JSON.stringify(collection));
+      renamed.item[0].item[0].request.description = 'List the documents of a data source.';
+      const plan = planImport(importCollection(renamed, options).files, toolsDir);
+
+      expect(plan.map((file) => file.status)).toEqual(['changed', 'unchanged', 'unchanged']);
+      expect(plan[0].diff).toContain("-      description: 'Get documents from a data source.',");
+      expect(plan[0].diff).toContain("+      description: 'List the documents of a data source.',");
+
+      const target = path.join(toolsDir, plan[0].path);
+      expect(writeImport(plan, toolsDir)).toEqual([]);
+      expect(fs.readFileSync(target, 'utf8')).toContain('Get documents from a data source.');
+
+      expect(writeImport(plan, toolsDir, { overwrite: true })).toEqual([plan[0].path]);
+      expect(fs.readFileSync(target, 'utf8')).toContain('List the documents of a data source.');
+    });
+  });
+});
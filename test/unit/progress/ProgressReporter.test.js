@@ -0,0 +1,59 @@
+const { ProgressReporter } = require('../../../lib/progress/ProgressReporter.js');
+
+describe('ProgressReporter', () => {
+  let sendNotification;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sendNotification = jest.fn().mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should do nothing without a progressToken', async () => {
+    const reporter = ProgressReporter.fromRequest({ _meta: {}, sendNotification });
+
+    await reporter.report('Received 1 chunks (generation_tokens)');
+    reporter.startHeartbeat('create_app_run');
+    jest.advanceTimersByTime(60000);
+
+    expect(reporter.enabled).toBe(false);
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+
+  it('should send increasing progress for each step', async () => {
+    const reporter = ProgressReporter.fromRequest({ _meta: { progressToken: 'tok-1' }, sendNotification });
+
+    await reporter.report('Received 1 chunks (generation_tokens)');
+    await reporter.report('Received 2 chunks (agent_message_success)', 2);
+
+    expect(sendNotification).toHaveBeenNthCalledWith(1, {
+      method: 'notifications/progress',
+      params: { progressToken: 'tok-1', progress: 1, message: 'Received 1 chunks (generation_tokens)' }
+    });
+    expect(sendNotification).toHaveBeenNthCalledWith(2, {
+      method: 'notifications/progress',
+      params: { progressToken: 'tok-1', progress: 2, total: 2, message: 'Received 2 chunks (agent_message_success)' }
+    });
+  });
+
+  it('should send heartbeats until real progress is reported', async () => {
+    const reporter = new ProgressReporter({ progressToken: 7, sendNotification, heartbeatInterval: 1000 });
+
+    reporter.startHeartbeat('create_app_run');
+    jest.advanceTimersByTime(2000);
+    expect(sendNotification).toHaveBeenCalledTimes(2);
+    expect(sendNotification.mock.calls[1][0].params).toMatchObject({
+      progress: 2,
+      message: 'create_app_run running for 2s'
+    });
+
+    await reporter.report('Received 1 chunks (generation_tokens)');
+    jest.advanceTimersByTime(5000);
+
+    expect(sendNotification).toHaveBeenCalledTimes(3);
+    expect(sendNotification.mock.calls[2][0].params.progress).toBe(3);
+  });
+});
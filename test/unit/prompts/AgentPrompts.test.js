@@ -0,0 +1,115 @@
+const { ErrorCode, McpError } = require('@modelcontextprotocol/sdk/types.js');
+const { AgentPrompts, toPromptName } = require('../../../lib/prompts/AgentPrompts.js');
+
+describe('AgentPrompts', () => {
+  let getLocalAgents;
+  let fetchAgentConfigurations;
+  let prompts;
+
+  beforeEach(() => {
+    getLocalAgents = jest.fn().mockResolvedValue([
+      { id: 'default-chat-agent', name: 'Default Chat Agent', description: 'A general-purpose conversational agent.' }
+    ]);
+    fetchAgentConfigurations = jest.fn().mockResolvedValue({
+      agentConfigurations: [
+        { sId: 'agt_research', name: 'Research', description: 'Answers from the wiki.' }
+      ]
+    });
+    prompts = new AgentPrompts({ getLocalAgents, fetchAgentConfigurations });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should derive prompt names from agent names', () => {
+    expect(toPromptName('Default Chat Agent')).toBe('ask_default_chat_agent');
+    expect(toPromptName('  Sales/Ops v2 ')).toBe('ask_sales_ops_v2');
+  });
+
+  describe('list', () => {
+    it('should publish one prompt per local and live agent', async () => {
+      const { prompts: list } = await prompts.list();
+
+      expect(list.map((p) => p.name)).toEqual(['ask_default_chat_agent', 'ask_research']);
+      expect(list[0].arguments).toEqual([
+        expect.objectContaining({ name: 'topic', required: true }),
+        expect.objectContaining({ name: 'dsId', required: false })
+      ]);
+    });
+
+    it('should fall back to agents.json when live configurations fail', async () => {
+      fetchAgentConfigurations.mockRejectedValueOnce(new Error('DUST_WORKSPACE_ID environment variable not set'));
+
+      const { prompts: list } = await prompts.list();
+
+      expect(list.map((p) => p.name)).toEqual(['ask_default_chat_agent']);
+    });
+
+    it('should append the agent ID to the names of agents sharing a name', async () => {
+      fetchAgentConfigurations.mockResolvedValue({
+        agentConfigurations: [
+          { sId: 'agt_research', name: 'Research' },
+          { sId: 'agt_Research2', name: 'research' }
+        ]
+      });
+
+      const { prompts: list } = await prompts.list();
+
+      expect(list.map((p) => p.name)).toEqual([
+        'ask_default_chat_agent',
+        'ask_research_agt_research',
+        'ask_research_agt_research2'
+      ]);
+      const result = await prompts.get('ask_research_agt_research2', { topic: 'Q3 revenue' });
+      expect(result.messages[0].content.text).toContain('agentId "agt_Research2"');
+    });
+
+    it('should list no prompts when the session may not call the tools they drive', async () => {
+      const authorizeTool = jest.fn((toolName) => {
+        if (toolName === 'send_message') {
+          throw new McpError(ErrorCode.InvalidRequest, 'send_message is not available in the "analyst" tool profile of this session');
+        }
+      });
+      prompts = new AgentPrompts({ getLocalAgents, fetchAgentConfigurations, authorizeTool });
+
+      await expect(prompts.list()).resolves.toEqual({ prompts: [] });
+      await expect(prompts.get('ask_research', { topic: 'Q3 revenue' })).rejects.toMatchObject({
+        code: ErrorCode.InvalidRequest,
+        message: expect.stringContaining('send_message is not available')
+      });
+      expect(authorizeTool).toHaveBeenCalledWith('create_conversation');
+      expect(fetchAgentConfigurations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('get', () => {
+    it('should expand into messages that invoke send_message against the agent', async () => {
+      const result = await prompts.get('ask_research', { topic: 'Q3 revenue', dsId: 'ds_finance' });
+      const { text } = result.messages[0].content;
+
+      expect(result.messages[0].role).toBe('user');
+      expect(text).toContain('Please ask Research about Q3 revenue using data source ds_finance.');
+      expect(text).toContain('agentId "agt_research"');
+      expect(text).toContain('`send_message`');
+    });
+
+    it('should omit the data source when none is given', async () => {
+      const result = await prompts.get('ask_research', { topic: 'Q3 revenue' });
+
+      expect(result.messages[0].content.text).not.toContain('data source');
+    });
+
+    it('should reject unknown prompts', async () => {
+      await expect(prompts.get('ask_nobody', { topic: 'x' })).rejects.toMatchObject({
+        code: ErrorCode.InvalidParams
+      });
+    });
+
+    it('should require a topic', async () => {
+      await expect(prompts.get('ask_research', {})).rejects.toMatchObject({
+        code: ErrorCode.InvalidParams
+      });
+    });
+  });
+});
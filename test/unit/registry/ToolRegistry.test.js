@@ -0,0 +1,106 @@
+const mockLogger = { debug: jest.fn(), info: jest.fn(), warning: jest.fn(), error: jest.fn() };
+jest.mock('../../../lib/logging/logger.js', () => ({ getLogger: () => mockLogger }));
+
+const { ToolRegistry } = require('../../../lib/registry/ToolRegistry.js');
+
+// Build a discovered tool whose function returns the given version
+function mockTool(name, version, toolPath = `dust/${name}.js`) {
+  return {
+    function: async () => ({ version }),
+    definition: { type: 'function', function: { name } },
+    path: toolPath
+  };
+}
+
+describe('ToolRegistry', () => {
+  let load;
+  let registry;
+
+  beforeEach(() => {
+    load = jest.fn(() => ({ tools: [mockTool('get_documents', 1), mockTool('list_assistants', 1)], errors: [] }));
+    registry = new ToolRegistry({ toolsDir: '/tools', load, debounceMs: 100 });
+  });
+
+  afterEach(() => {
+    registry.close();
+  });
+
+  it('should load the tools directory', () => {
+    const tools = registry.reload();
+
+    expect(load).toHaveBeenCalledWith({ toolsDir: '/tools' });
+    expect(registry.tools).toBe(tools);
+    expect(tools.map((tool) => tool.definition.function.name)).toEqual(['get_documents', 'list_assistants']);
+  });
+
+  it('should let a running call finish with the tool it started with', async () => {
+    registry.reload();
+    const runningTool = registry.tools[0];
+
+    load.mockReturnValueOnce({ tools: [mockTool('get_documents', 2)], errors: [] });
+    registry.reload();
+
+    await expect(runningTool.function()).resolves.toEqual({ version: 1 });
+    await expect(registry.tools[0].function()).resolves.toEqual({ version: 2 });
+  });
+
+  it('should keep the previous version of a module that fails to load', () => {
+    registry.reload();
+
+    load.mockReturnValueOnce({
+      tools: [mockTool('get_documents', 2)],
+      errors: [{ path: 'dust/list_assistants.js', error: 'Failed to load: Unexpected token' }]
+    });
+    const tools = registry.reload();
+
+    expect(tools.map((tool) => tool.definition.function.name)).toEqual(['get_documents', 'list_assistants']);
+    expect(mockLogger.warning).toHaveBeenCalledWith(expect.stringContaining('dust/list_assistants.js'));
+  });
+
+  it('should reload once after a burst of changes and notify listeners', () => {
+    const listener = jest.fn();
+    const removeListener = registry.onChange(listener);
+
+    registry.scheduleReload();
+    jest.advanceTimersByTime(50);
+    registry.scheduleReload();
+    jest.advanceTimersByTime(100);
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(registry.tools);
+
+    removeListener();
+    registry.scheduleReload();
+    jest.advanceTimersByTime(100);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep running without watching where recursive watching is unavailable', () => {
+    const error = Object.assign(new Error('The feature watch recursively is unavailable on the current platform'), {
+      code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM'
+    });
+    const watch = jest.spyOn(require('fs'), 'watch').mockImplementation(() => { throw error; });
+
+    try {
+      expect(registry.watch()).toBe(registry);
+      expect(registry.watcher).toBeNull();
+      expect(mockLogger.warning).toHaveBeenCalledWith(expect.stringContaining('tool changes need a restart'));
+    } finally {
+      watch.mockRestore();
+    }
+  });
+
+  it('should not notify listeners when the reload throws', () => {
+    const listener = jest.fn();
+    registry.onChange(listener);
+    load.mockImplementationOnce(() => {
+      throw new Error('EACCES');
+    });
+
+    registry.scheduleReload();
+    jest.advanceTimersByTime(100);
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(mockLogger.error).toHaveBeenCalledWith('Failed to reload tools', expect.anything());
+  });
+});
@@ -0,0 +1,147 @@
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { DustResources } = require('../../../lib/resources/DustResources.js');
+const { ToolProfiles } = require('../../../lib/policy/ToolProfiles.js');
+
+// Build an apiTool-shaped object around a mock function
+function mockTool(name, fn) {
+  return {
+    function: jest.fn(fn),
+    definition: { type: 'function', function: { name } }
+  };
+}
+
+describe('DustResources', () => {
+  let tools;
+  let resources;
+
+  beforeEach(() => {
+    tools = {
+      vaults: mockTool('list_workspace_vaults', async () => ({
+        vaults: [
+          { sId: 'vlt_1', name: 'Company Data' },
+          { sId: 'vlt_2', name: 'Team' }
+        ]
+      })),
+      dataSources: mockTool('get_data_sources', async ({ vId }) => ({
+        data_sources: [{ sId: `ds_${vId}`, name: 'Notion', description: 'Wiki pages' }]
+      })),
+      conversation: mockTool('get_conversation', async ({ cId }) => ({ conversation: { sId: cId } })),
+      documents: mockTool('get_documents', async () => ({ documents: [], total: 0 })),
+      document: mockTool('retrieve_document', async ({ documentId }) => ({ document: { document_id: documentId } }))
+    };
+    resources = new DustResources({ tools: Object.values(tools), workspaceId: 'w1' });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should require tools', () => {
+    expect(() => new DustResources()).toThrow('Tools are required');
+  });
+
+  describe('listTemplates', () => {
+    it('should advertise conversation and document templates', () => {
+      const { resourceTemplates } = resources.listTemplates();
+      const uriTemplates = resourceTemplates.map((t) => t.uriTemplate);
+
+      expect(uriTemplates).toContain('dust://conversations/{cId}');
+      expect(uriTemplates).toContain('dust://vaults/{vId}/data_sources/{dsId}/documents/{documentId}');
+    });
+  });
+
+  describe('list', () => {
+    it('should list the data sources of the first vault with a cursor to the next', async () => {
+      const page = await resources.list();
+
+      expect(tools.dataSources.function).toHaveBeenCalledWith({ vId: 'vlt_1' }, { workspaceId: 'w1' });
+      expect(page.resources).toEqual([{
+        uri: 'dust://vaults/vlt_1/data_sources/ds_vlt_1',
+        name: 'Company Data / Notion',
+        description: 'Wiki pages',
+        mimeType: 'application/json'
+      }]);
+      expect(page.nextCursor).toBe('1');
+    });
+
+    it('should stop paging after the last vault', async () => {
+      const page = await resources.list('1');
+
+      expect(page.resources[0].uri).toBe('dust://vaults/vlt_2/data_sources/ds_vlt_2');
+      expect(page.nextCursor).toBeUndefined();
+    });
+
+    it('should encode the URI segments that read decodes', async () => {
+      tools.dataSources.function.mockResolvedValueOnce({ data_sources: [{ name: 'Sales / 2024' }] });
+
+      const [resource] = (await resources.list()).resources;
+      expect(resource.uri).toBe('dust://vaults/vlt_1/data_sources/Sales%20%2F%202024');
+
+      await resources.read(resource.uri);
+      expect(tools.documents.function).toHaveBeenCalledWith({ vId: 'vlt_1', dsId: 'Sales / 2024' }, { workspaceId: 'w1' });
+    });
+
+    it('should reject an invalid cursor', async () => {
+      await expect(resources.list('abc')).rejects.toMatchObject({ code: ErrorCode.InvalidParams });
+    });
+  });
+
+  describe('read', () => {
+    it('should read a conversation through get_conversation', async () => {
+      const result = await resources.read('dust://conversations/conv_1');
+
+      expect(tools.conversation.function).toHaveBeenCalledWith({ cId: 'conv_1' }, { workspaceId: 'w1' });
+      expect(result.contents[0]).toEqual({
+        uri: 'dust://conversations/conv_1',
+        mimeType: 'application/json',
+        text: JSON.stringify({ conversation: { sId: 'conv_1' } }, null, 2)
+      });
+    });
+
+    it('should read a document through retrieve_document', async () => {
+      await resources.read('dust://vaults/vlt_1/data_sources/ds_1/documents/doc%201');
+
+      expect(tools.document.function).toHaveBeenCalledWith({
+        vId: 'vlt_1',
+        dsId: 'ds_1',
+        documentId: 'doc 1'
+      }, { workspaceId: 'w1' });
+    });
+
+    it('should read a data source through get_documents', async () => {
+      await resources.read('dust://vaults/vlt_1/data_sources/ds_1');
+
+      expect(tools.documents.function).toHaveBeenCalledWith({ vId: 'vlt_1', dsId: 'ds_1' }, { workspaceId: 'w1' });
+    });
+
+    it('should surface tool errors', async () => {
+      tools.conversation.function.mockResolvedValueOnce({ error: 'An error occurred while retrieving the conversation.' });
+
+      await expect(resources.read('dust://conversations/conv_1')).rejects.toMatchObject({
+        code: ErrorCode.InternalError
+      });
+    });
+
+    it('should reject unknown URIs', async () => {
+      await expect(resources.read('dust://agents/a1')).rejects.toMatchObject({ code: ErrorCode.InvalidParams });
+    });
+
+    it('should refuse tools outside the tool profile of the session', async () => {
+      const toolProfiles = new ToolProfiles({ profiles: { conversations: { allow: ['get_conversation'] } } });
+      resources = new DustResources({
+        tools: Object.values(tools),
+        workspaceId: 'w1',
+        authorize: (tool) => toolProfiles.authorize(tool, 'conversations')
+      });
+
+      await expect(resources.read('dust://conversations/conv_1')).resolves.toHaveProperty('contents');
+      await expect(resources.read('dust://vaults/vlt_1/data_sources/ds_1/documents/doc_1')).rejects.toMatchObject({
+        code: ErrorCode.InvalidRequest,
+        message: expect.stringContaining('retrieve_document is not available in the "conversations" tool profile')
+      });
+      await expect(resources.list()).rejects.toMatchObject({ code: ErrorCode.InvalidRequest });
+      expect(tools.document.function).not.toHaveBeenCalled();
+      expect(tools.vaults.function).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { StreamAggregator, aggregateStream } = require('../../../lib/streaming/StreamAggregator.js');
+
+// Turn an array into an async generator, like StreamingHandler.streamResponse
+async function* streamOf(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+describe('StreamAggregator', () => {
+  it('should join generated tokens into the answer', () => {
+    const aggregator = new StreamAggregator();
+
+    expect(aggregator.add({ type: 'generation_tokens', classification: 'tokens', text: 'Hello' })).toBe('Hello');
+    expect(aggregator.add({ type: 'generation_tokens', classification: 'chain_of_thought', text: 'hmm' })).toBeNull();
+    expect(aggregator.add({ content: ' World', conversationId: 'conv_1' })).toBe(' World');
+
+    expect(aggregator.toResult()).toEqual({
+      conversationId: 'conv_1',
+      messageId: null,
+      answer: 'Hello World',
+      citations: [],
+      chunks: 3
+    });
+  });
+
+  it('should prefer the final agent message and collect citations', () => {
+    const aggregator = new StreamAggregator();
+
+    aggregator.add({ type: 'generation_tokens', text: 'Partial' });
+    aggregator.add({
+      type: 'agent_action_success',
+      action: { documents: [{ reference: 'a1', documentId: 'doc-1', sourceUrl: 'https://wiki/doc-1' }] }
+    });
+    aggregator.add({
+      type: 'agent_message_success',
+      message: {
+        sId: 'msg_1',
+        content: 'Full answer',
+        citations: [{ reference: 'a1' }, { reference: 'b2', title: 'Roadmap', href: 'https://wiki/roadmap' }]
+      }
+    });
+
+    expect(aggregator.toResult()).toMatchObject({
+      messageId: 'msg_1',
+      answer: 'Full answer',
+      citations: [
+        { reference: 'a1', title: 'doc-1', sourceUrl: 'https://wiki/doc-1' },
+        { reference: 'b2', title: 'Roadmap', sourceUrl: 'https://wiki/roadmap' }
+      ]
+    });
+  });
+});
+
+describe('aggregateStream', () => {
+  it('should forward tokens and return the aggregated result', async () => {
+    const onToken = jest.fn();
+
+    const result = await aggregateStream(streamOf([
+      { type: 'generation_tokens', text: 'Hello', conversationId: 'conv_1' },
+      { type: 'generation_tokens', text: '!' }
+    ]), { onToken });
+
+    expect(onToken.mock.calls).toEqual([['Hello'], ['!']]);
+    expect(result).toMatchObject({ conversationId: 'conv_1', answer: 'Hello!', chunks: 2 });
+  });
+
+  it('should fail on agent errors', async () => {
+    await expect(aggregateStream(streamOf([
+      { type: 'agent_error', error: { code: 'model_error', message: 'Model overloaded' } }
+    ]))).rejects.toThrow('Model overloaded');
+  });
+
+  it('should stop when the signal is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(aggregateStream(streamOf([{ text: 'late' }]), { signal: controller.signal }))
+      .rejects.toThrow('Request cancelled');
+  });
+});
@@ -0,0 +1,102 @@
+const http = require('http');
+const { StreamingHandler } = require('../../../lib/streamingHandler.js');
+
+describe('StreamingHandler.streamResponse', () => {
+  const originalEnv = { ...process.env };
+  let server;
+  let requests;
+  let respond;
+  let handler;
+  let session;
+
+  beforeEach(async () => {
+    // node-fetch and the local server need real timers
+    jest.useRealTimers();
+    process.env.DUST_API_KEY = 'sk-env';
+    process.env.DUST_WORKSPACE_ID = 'w1';
+
+    requests = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+        respond(req, res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    session = { id: 's1', workspaceId: 'w1', agentId: 'helper', conversationId: null, listeners: new Set() };
+    const sessionManager = { getSession: () => session, updateConversationId: jest.fn().mockResolvedValue(true) };
+    handler = new StreamingHandler(sessionManager, { baseUrl: `http://127.0.0.1:${server.address().port}` });
+  });
+
+  afterEach(async () => {
+    handler.destroy();
+    await new Promise((resolve) => server.close(resolve));
+    process.env = { ...originalEnv };
+  });
+
+  async function collect(iterable) {
+    const chunks = [];
+    for await (const chunk of iterable) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  it('should read the events of the node-fetch body, skipping those that are not JSON', async () => {
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"type":"agent_message_new","conversationId":"c1"}\n\n: keep-alive\n\n');
+      // An event split across writes
+      res.write('data: {"type":"generation_tokens",');
+      setTimeout(() => res.end('"text":"Hi"}\n\ndata: done\n\n'), 10);
+    };
+    const listener = jest.fn();
+    session.listeners.add(listener);
+
+    const chunks = await collect(handler.streamResponse('s1', 'Hello', { requestId: 'm1' }));
+
+    expect(chunks).toEqual([
+      { type: 'agent_message_new', conversationId: 'c1' },
+      { type: 'generation_tokens', text: 'Hi' }
+    ]);
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(handler.sessionManager.updateConversationId).toHaveBeenCalledWith('s1', 'c1');
+    expect(requests).toEqual([{
+      method: 'POST',
+      url: '/api/v1/w/w1/assistant/conversations',
+      authorization: 'Bearer sk-env',
+      body: { message: 'Hello', agentId: 'helper', stream: true }
+    }]);
+    expect(handler.activeRequests.size).toBe(0);
+  });
+
+  it('should stop waiting to retry when the request is cancelled', async () => {
+    respond = (req, res) => {
+      res.writeHead(503);
+      res.end();
+    };
+    handler.retryConfig = { ...handler.retryConfig, initialDelay: 10000, maxDelay: 10000 };
+    const controller = new AbortController();
+    handler.on('retry', () => setTimeout(() => controller.abort(), 10));
+
+    const started = Date.now();
+    await expect(collect(handler.streamResponse('s1', 'Hello', { signal: controller.signal, requestId: 'm1' })))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(Date.now() - started).toBeLessThan(5000);
+    expect(requests).toHaveLength(1);
+    expect(handler.activeRequests.size).toBe(0);
+  });
+
+  it('should reject without an error listener when the request fails', async () => {
+    respond = (req, res) => {
+      res.writeHead(404);
+      res.end();
+    };
+
+    await expect(collect(handler.streamResponse('s1', 'Hello'))).rejects.toThrow('Streaming failed: HTTP error! status: 404');
+    expect(handler.activeRequests.size).toBe(0);
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+describe('agent tools', () => {
+  const originalEnv = { ...process.env };
+  let server;
+  let requests;
+  let agentTools;
+  let sessionsDir;
+
+  const callTool = (name, args, context) =>
+    agentTools.find((tool) => tool.definition.function.name === name).function(args, context);
+
+  beforeEach(async () => {
+    // node-fetch, the local server and the message queue need real timers
+    jest.useRealTimers();
+
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url} ${req.headers.authorization}`);
+      if (req.method === 'GET') {
+        // Workspace and agent validation
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"type":"user_message_new","conversationId":"c1"}\n\n');
+      res.write('data: {"type":"generation_tokens","text":"Hel"}\n\n');
+      res.end('data: {"type":"agent_message_success"}\n\n');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.DUST_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.DUST_API_KEY = 'sk-env';
+    process.env.DUST_WORKSPACE_ID = 'w1';
+    // The module-level session manager and streaming handler read the environment when loaded,
+    // and the sessions are stored under the working directory
+    sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-agent-tools-'));
+    const cwd = jest.spyOn(process, 'cwd').mockReturnValue(sessionsDir);
+    jest.isolateModules(() => {
+      ({ agentTools } = require('../../../tools/agent/agentTools.js'));
+    });
+    cwd.mockRestore();
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(sessionsDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+  });
+
+  it('should stream the answer of a new conversation, reporting each chunk', async () => {
+    const reportProgress = jest.fn();
+
+    const result = await callTool('create_conversation', { agentId: 'helper', message: 'Hello' }, { workspaceId: 'w1', reportProgress });
+
+    expect(result).toMatchObject({ conversationId: 'c1', status: 'completed' });
+    expect(result.chunks.map((chunk) => chunk.type)).toEqual(['user_message_new', 'generation_tokens', 'agent_message_success']);
+    expect(reportProgress.mock.calls.map(([message]) => message)).toEqual([
+      'Received 1 chunks (user_message_new)',
+      'Received 2 chunks (generation_tokens)',
+      'Received 3 chunks (agent_message_success)'
+    ]);
+    expect(requests).toContain('POST /api/v1/w/w1/assistant/conversations Bearer sk-env');
+  });
+
+  it('should validate and call another workspace with its own API key', async () => {
+    process.env.WORKSPACE_W2_API_KEY = 'sk-w2';
+
+    await expect(callTool('create_conversation', { agentId: 'helper', message: 'Hello' }, { workspaceId: 'w2' }))
+      .resolves.toMatchObject({ conversationId: 'c1' });
+
+    expect(requests).toEqual([
+      'GET /api/v1/w/w2 Bearer sk-w2',
+      'GET /api/v1/w/w2/assistant/agent_configurations/helper Bearer sk-w2',
+      'POST /api/v1/w/w2/assistant/conversations Bearer sk-w2'
+    ]);
+  });
+
+  it('should send the next messages to the conversation of the session, streamed or not', async () => {
+    const { sessionId } = await callTool('create_conversation', { agentId: 'helper', message: 'Hello' }, { workspaceId: 'w1' });
+
+    const collected = await callTool('send_message', { sessionId, message: 'Again' }, { workspaceId: 'w1' });
+    expect(collected).toMatchObject({ sessionId, conversationId: 'c1', status: 'completed' });
+    expect(collected.chunks).toHaveLength(3);
+
+    const { generator } = await callTool('send_message', { sessionId, message: 'Stream it', stream: true }, { workspaceId: 'w1' });
+    const streamed = [];
+    for await (const chunk of generator) {
+      streamed.push(chunk.type);
+    }
+    expect(streamed).toEqual(['user_message_new', 'generation_tokens', 'agent_message_success']);
+    expect(requests.filter((request) => request.startsWith('POST /api/v1/w/w1/assistant/conversations/c1/messages'))).toHaveLength(2);
+  });
+});
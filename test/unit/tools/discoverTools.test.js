@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { discoverTools, loadTools, groupToolsByNamespace, getNamespace } = require('../../../lib/tools.js');
+
+// Source of a tool module exporting an apiTool with the given name
+const toolSource = (name) => `
+module.exports = {
+  apiTool: {
+    function: async () => ({ ok: true }),
+    definition: { type: 'function', function: { name: '${name}', parameters: { type: 'object', properties: {} } } }
+  }
+};
+`;
+
+describe('tool discovery', () => {
+  let toolsDir;
+
+  const writeModule = (relativePath, source) => {
+    const filePath = path.join(toolsDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, source);
+  };
+
+  beforeEach(() => {
+    toolsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dust-tools-'));
+    writeModule('acme/billing/list-invoices.js', toolSource('list_invoices'));
+    writeModule('acme/billing/v2/get-invoice.js', toolSource('get_invoice'));
+    writeModule('acme/crm/list-invoices-copy.js', toolSource('list_invoices'));
+    writeModule('acme/crm/broken.js', 'const apiTool = ; module.exports = { apiTool };');
+    writeModule('acme/crm/helpers.js', 'throw new Error("helpers must not be required");');
+    writeModule('standalone.js', toolSource('standalone'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(toolsDir, { recursive: true, force: true });
+  });
+
+  it('should load every module exporting apiTool, tagged with its namespace', () => {
+    const { tools } = loadTools({ toolsDir });
+
+    expect(tools.map(({ definition, path: toolPath, workspace, collection }) => ({
+      name: definition.function.name, path: toolPath, workspace, collection
+    }))).toEqual([
+      { name: 'list_invoices', path: 'acme/billing/list-invoices.js', workspace: 'acme', collection: 'billing' },
+      { name: 'get_invoice', path: 'acme/billing/v2/get-invoice.js', workspace: 'acme', collection: 'billing/v2' },
+      { name: 'standalone', path: 'standalone.js', workspace: 'default', collection: 'default' }
+    ]);
+  });
+
+  it('should report broken modules and duplicate names without aborting', () => {
+    const { errors } = loadTools({ toolsDir });
+
+    expect(errors).toEqual([
+      { path: 'acme/crm/broken.js', error: expect.stringContaining('Failed to load') },
+      {
+        path: 'acme/crm/list-invoices-copy.js',
+        error: 'Duplicate tool name "list_invoices", already defined in acme/billing/list-invoices.js'
+      }
+    ]);
+    expect(discoverTools({ toolsDir })).toHaveLength(3);
+  });
+
+  it('should group tools by workspace and collection', () => {
+    const groups = groupToolsByNamespace(discoverTools({ toolsDir }));
+
+    expect(Object.keys(groups)).toEqual(['acme', 'default']);
+    expect(Object.keys(groups.acme)).toEqual(['billing', 'billing/v2']);
+  });
+
+  it('should find the Dust tools in the repository', () => {
+    const tools = discoverTools();
+
+    expect(tools.length).toBeGreaterThan(0);
+    expect(getNamespace('dust/dust-api-documentation/get-documents.js')).toEqual({
+      workspace: 'dust',
+      collection: 'dust-api-documentation'
+    });
+    expect(tools.every((tool) => tool.workspace === 'dust')).toBe(true);
+  });
+});
@@ -0,0 +1,105 @@
+const { validateSchema, validateArguments, formatSchemaErrors } = require('../../../lib/validation/schemaValidator.js');
+const { apiTool: getDocuments } = require('../../../tools/dust/dust-api-documentation/get-documents.js');
+const { apiTool: createMessage } = require('../../../tools/dust/dust-api-documentation/create-a-message.js');
+const { apiTool: createConversation } = require('../../../tools/dust/dust-api-documentation/create-a-new-conversation.js');
+const { apiTool: listAssistants } = require('../../../tools/dust/dust-api-documentation/list-assistants.js');
+
+describe('validateSchema', () => {
+  const outputSchema = getDocuments.definition.function.outputSchema;
+
+  it('should accept results matching the schema', () => {
+    const result = {
+      documents: [{ document_id: 'doc-1', title: null, text: 'Hello', tags: ['a'] }],
+      total: 1
+    };
+
+    expect(validateSchema(outputSchema, result)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should report the path of each mismatching field', () => {
+    const { valid, errors } = validateSchema(outputSchema, {
+      documents: [{ document_id: 'doc-1' }, { title: 'Untitled' }],
+      total: '2'
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      { path: 'documents[1].document_id', message: "should have required property 'document_id'" },
+      { path: 'total', message: 'should be integer' }
+    ]));
+  });
+
+  it('should report missing top-level fields', () => {
+    const { errors } = validateSchema(listAssistants.definition.function.outputSchema, { error: 'boom' });
+
+    expect(formatSchemaErrors(errors)).toBe(
+      "agentConfigurations: should have required property 'agentConfigurations'"
+    );
+  });
+
+  it('should report non-object results at the root', () => {
+    const { errors } = validateSchema(outputSchema, null);
+
+    expect(errors).toEqual([{ path: '(root)', message: 'should be object' }]);
+  });
+});
+
+describe('validateArguments', () => {
+  const messageSchema = createMessage.definition.function.parameters;
+  const context = {
+    username: 'jane',
+    timezone: 'Europe/Paris',
+    fullName: 'Jane Doe',
+    email: 'jane@example.com',
+    profilePictureUrl: 'https://example.com/jane.png'
+  };
+
+  it('should accept valid arguments and apply schema defaults', () => {
+    const args = { vId: 'v1', dsId: 'ds1' };
+    const result = validateArguments(getDocuments.definition.function.parameters, args);
+
+    expect(result).toEqual({ valid: true, errors: [], value: { vId: 'v1', dsId: 'ds1', limit: 10, offset: 0 } });
+    // The caller's arguments are left untouched
+    expect(args).toEqual({ vId: 'v1', dsId: 'ds1' });
+  });
+
+  it('should name the path of malformed nested fields', () => {
+    const { valid, errors } = validateArguments(messageSchema, {
+      cId: 'c1',
+      content: 'Hello',
+      mentions: [{ configurationId: 42 }, {}],
+      context: { ...context, email: undefined, timezone: 3 }
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      { path: 'mentions[0].configurationId', message: 'should be string' },
+      { path: 'mentions[1].configurationId', message: "should have required property 'configurationId'" },
+      { path: 'context.email', message: "should have required property 'email'" },
+      { path: 'context.timezone', message: 'should be string' }
+    ]));
+  });
+
+  it('should reject unknown keys and bad enum values', () => {
+    const { errors } = validateArguments(createConversation.definition.function.parameters, {
+      content: 'Hello',
+      mentions: [],
+      context,
+      title: 'Test',
+      blocking: false,
+      visibility: 'public',
+      agent: 'helper'
+    });
+
+    expect(errors).toEqual([
+      { path: 'agent', message: 'should NOT have additional properties' },
+      { path: 'visibility', message: 'should be equal to one of the allowed values' }
+    ]);
+  });
+
+  it('should treat missing arguments as an empty object', () => {
+    const { errors } = validateArguments(messageSchema, undefined);
+
+    expect(errors.map((error) => error.path)).toEqual(['cId', 'content', 'context']);
+  });
+});
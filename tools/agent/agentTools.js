@@ -1,39 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
 const { SessionManager } = require('../../lib/sessionManager.js');
 const { StreamingHandler } = require('../../lib/streamingHandler.js');
+const MessageRouter = require('../../lib/message/MessageRouter.js');
+const { getDustClient } = require('../../lib/dust/DustClient.js');
 
-// Initialize session manager and streaming handler
+// Initialize session manager, streaming handler and message router
 const sessionManager = new SessionManager();
 const streamingHandler = new StreamingHandler(sessionManager);
 
-// Cache for agent configurations
+/**
+ * Stream the agent's answer for a routed message, reporting each chunk as progress.
+ * The request is keyed by the message ID, so cancelling it leaves the other messages of the session running.
+ * @param {Object} session - The session
+ * @param {Object} message - The routed message
+ * @param {Object} context - Processing context
+ * @param {AbortSignal} context.signal - Aborted when the message is cancelled
+ * @returns {Promise<Array<Object>>} The response chunks
+ */
+async function streamAgentResponse(session, message, { signal }) {
+  const chunks = [];
+  for await (const chunk of streamingHandler.streamResponse(session.id, message.content, { signal, requestId: message.id })) {
+    chunks.push(chunk);
+    if (message.reportProgress) {
+      await message.reportProgress(`Received ${chunks.length} chunks (${chunk.type || 'chunk'})`);
+    }
+  }
+  return chunks;
+}
+
+const messageRouter = new MessageRouter({ sessionManager, processMessage: streamAgentResponse });
+
+/**
+ * Queue a message for an agent session and collect the response chunks.
+ * Aborting the signal drops the message from the queue, or cancels its Dust request and releases its slot.
+ * @param {string} sessionId - The session ID
+ * @param {string} content - The message to send
+ * @param {Object} [context] - Tool call context
+ * @param {AbortSignal} [context.signal] - Signal aborted when the MCP request is cancelled
+ * @param {Function} [context.reportProgress] - Reports a progress step
+ * @returns {Promise<Array<Object>>} The response chunks
+ */
+async function collectAgentResponse(sessionId, content, { signal, reportProgress } = {}) {
+  if (signal?.aborted) {
+    throw new Error('Request cancelled');
+  }
+
+  const message = { id: uuidv4(), content, reportProgress };
+  const onAbort = () => messageRouter.cancelMessage(sessionId, message.id);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    return await messageRouter.queueMessage(sessionId, message);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Get an agent session, refusing sessions of another workspace than the caller's
+ * @param {string} sessionId - The session ID
+ * @param {string} workspaceId - Workspace of the MCP session
+ * @returns {Object|null} The session, or null if not found or expired
+ * @throws {Error} If the session belongs to another workspace
+ */
+function getWorkspaceSession(sessionId, workspaceId) {
+  const session = sessionManager.getSession(sessionId);
+  if (session && session.workspaceId !== workspaceId) {
+    throw new Error(`Session ${sessionId} belongs to another workspace`);
+  }
+  return session;
+}
+
+// Cache for agent configurations, one entry per workspace
 const agentConfigCache = {
-  data: null,
-  lastUpdated: 0,
+  entries: new Map(),
   ttl: 5 * 60 * 1000, // 5 minutes TTL
 
   /**
    * Check if the cache is still valid
+   * @param {string} workspaceId - Workspace of the configurations
    * @returns {boolean} True if cache is valid, false otherwise
    */
-  isValid() {
-    return this.data && (Date.now() - this.lastUpdated) < this.ttl;
+  isValid(workspaceId) {
+    const entry = this.entries.get(workspaceId);
+    return !!entry && (Date.now() - entry.lastUpdated) < this.ttl;
   },
 
   /**
    * Update the cache with new data
+   * @param {string} workspaceId - Workspace of the configurations
    * @param {Object} data - The data to cache
    */
-  update(data) {
-    this.data = data;
-    this.lastUpdated = Date.now();
+  update(workspaceId, data) {
+    this.entries.set(workspaceId, { data, lastUpdated: Date.now() });
   },
 
   /**
    * Get the cached data
+   * @param {string} workspaceId - Workspace of the configurations
    * @returns {Object|null} The cached data or null if invalid/expired
    */
-  get() {
-    return this.isValid() ? this.data : null;
+  get(workspaceId) {
+    return this.isValid(workspaceId) ? this.entries.get(workspaceId).data : null;
+  },
+
+  /**
+   * Get the cached data even when expired
+   * @param {string} workspaceId - Workspace of the configurations
+   * @returns {Object|null} The cached data or null if never fetched
+   */
+  getStale(workspaceId) {
+    return this.entries.get(workspaceId)?.data || null;
   }
 };
 
@@ -43,18 +120,18 @@ const agentConfigCache = {
 /**
  * Fetches agent configurations from the API with caching
  * @param {boolean} [forceRefresh=false] - If true, bypasses the cache
+ * @param {string} [workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given
  * @returns {Promise<Object>} Agent configurations
  * @throws {Error} If the request fails or workspace is not configured
  */
-async function fetchAgentConfigurations(forceRefresh = false) {
-  const workspaceId = process.env.DUST_WORKSPACE_ID;
+async function fetchAgentConfigurations(forceRefresh = false, workspaceId = process.env.DUST_WORKSPACE_ID) {
   if (!workspaceId) {
     throw new Error('DUST_WORKSPACE_ID environment variable not set');
   }
 
   // Return cached data if valid and not forcing refresh
   if (!forceRefresh) {
-    const cachedData = agentConfigCache.get();
+    const cachedData = agentConfigCache.get(workspaceId);
     if (cachedData) {
       console.error('[fetchAgentConfigurations] Using cached agent configurations');
       return cachedData;
@@ -63,31 +140,16 @@ async function fetchAgentConfigurations(forceRefresh = false) {
 
   try {
     console.error(`[fetchAgentConfigurations] Fetching fresh agent configurations for workspace ${workspaceId}`);
-    const response = await fetch(
-      `https://dust.tt/api/v1/w/${workspaceId}/assistant/agent_configurations`,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.DUST_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw new Error(error.message || `HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await getDustClient(workspaceId).get('/assistant/agent_configurations');
     
     // Update cache with fresh data
-    agentConfigCache.update(data);
+    agentConfigCache.update(workspaceId, data);
     
     return data;
   } catch (error) {
     console.error('[fetchAgentConfigurations] Error:', error);
     // If we have stale cache and there's an error, return the stale data
-    const staleData = agentConfigCache.data;
+    const staleData = agentConfigCache.getStale(workspaceId);
     if (staleData) {
       console.error('[fetchAgentConfigurations] Using stale cache due to error');
       return staleData;
@@ -100,11 +162,13 @@ async function fetchAgentConfigurations(forceRefresh = false) {
  * Lists all available agents in the workspace
  * @param {Object} [options] - Options
  * @param {boolean} [options.forceRefresh=false] - If true, bypasses the cache
+ * @param {Object} [context] - Tool call context
+ * @param {string} [context.workspaceId] - Workspace of the MCP session
  * @returns {Promise<Object>} Object containing the list of agents
  */
-async function listAgents({ forceRefresh = false } = {}) {
+async function listAgents({ forceRefresh = false } = {}, { workspaceId } = {}) {
   try {
-    const data = await fetchAgentConfigurations(forceRefresh);
+    const data = await fetchAgentConfigurations(forceRefresh, workspaceId);
     
     return {
       agents: data.agentConfigurations.map(agent => ({
@@ -126,20 +190,20 @@ async function listAgents({ forceRefresh = false } = {}) {
 /**
  * Create a new conversation with an agent
  */
-async function createConversation({ agentId, message, sessionId }) {
+async function createConversation({ agentId, message, sessionId }, context = {}) {
   try {
     if (!agentId) {
       throw new Error('agentId is required');
     }
 
     // Create or get existing session
-    let session = sessionId ? sessionManager.getSession(sessionId) : null;
+    const workspaceId = context.workspaceId || process.env.DUST_WORKSPACE_ID;
+    let session = sessionId ? getWorkspaceSession(sessionId, workspaceId) : null;
     if (!session) {
-      const workspaceId = process.env.DUST_WORKSPACE_ID;
       if (!workspaceId) {
         throw new Error('DUST_WORKSPACE_ID environment variable not set');
       }
-      session = sessionManager.createSession(workspaceId, agentId);
+      session = await sessionManager.createSession(workspaceId, agentId);
       sessionId = session.id;
     }
 
@@ -153,11 +217,10 @@ async function createConversation({ agentId, message, sessionId }) {
     }
 
     // If we have a message, start streaming the response
-    const responseChunks = [];
+    const responseChunks = await collectAgentResponse(session.id, message, context);
     let conversationId = session.conversationId;
     
-    for await (const chunk of streamingHandler.streamResponse(session.id, message)) {
-      responseChunks.push(chunk);
+    for (const chunk of responseChunks) {
       if (chunk.conversationId && !conversationId) {
         conversationId = chunk.conversationId;
       }
@@ -182,7 +245,7 @@ async function createConversation({ agentId, message, sessionId }) {
 /**
  * Send a message in an existing conversation
  */
-async function sendMessage({ sessionId, message, stream = false }) {
+async function sendMessage({ sessionId, message, stream = false }, context = {}) {
   try {
     if (!sessionId) {
       throw new Error('sessionId is required');
@@ -191,24 +254,21 @@ async function sendMessage({ sessionId, message, stream = false }) {
       throw new Error('message is required');
     }
 
-    const session = sessionManager.getSession(sessionId);
+    const session = getWorkspaceSession(sessionId, context.workspaceId || process.env.DUST_WORKSPACE_ID);
     if (!session) {
       throw new Error('Session not found or expired');
     }
 
     if (stream) {
-      // For streaming responses, return an async generator
+      // For streaming responses, return an async generator; cancelling aborts the Dust request
       return {
         stream: true,
-        generator: streamingHandler.streamResponse(sessionId, message)
+        generator: streamingHandler.streamResponse(sessionId, message, { signal: context.signal, requestId: uuidv4() })
       };
     }
 
     // For non-streaming responses, collect all chunks and return them
-    const responseChunks = [];
-    for await (const chunk of streamingHandler.streamResponse(sessionId, message)) {
-      responseChunks.push(chunk);
-    }
+    const responseChunks = await collectAgentResponse(sessionId, message, context);
 
     return {
       sessionId,
@@ -231,12 +291,22 @@ const agentTools = [
       function: {
         name: 'list_agents',
         description: 'List available agents in the workspace',
+        annotations: {
+          readOnlyHint: true,
+          destructiveHint: false,
+          idempotentHint: true
+        },
         parameters: {
           type: 'object',
           properties: {
             query: { 
               type: 'string', 
               description: 'Optional search query to filter agents by name' 
+            },
+            forceRefresh: {
+              type: 'boolean',
+              description: 'Bypass the cached agent configurations',
+              default: false
             }
           }
         }
@@ -250,6 +320,11 @@ const agentTools = [
       function: {
         name: 'create_conversation',
         description: 'Create a new conversation with an agent',
+        annotations: {
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false
+        },
         parameters: {
           type: 'object',
           properties: {
@@ -278,6 +353,11 @@ const agentTools = [
       function: {
         name: 'send_message',
         description: 'Send a message in an existing conversation',
+        annotations: {
+          readOnlyHint: false,
+          destructiveHint: false,
+          idempotentHint: false
+        },
         parameters: {
           type: 'object',
           properties: {
@@ -302,4 +382,4 @@ const agentTools = [
   }
 ];
 
-module.exports = { agentTools };
+module.exports = { agentTools, fetchAgentConfigurations };
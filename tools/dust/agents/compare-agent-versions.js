@@ -0,0 +1,109 @@
+const { compareAgentDefinitions, readAgentDefinition, toAgentDefinition } = require('../../../lib/dust/agentDefinition.js');
+const { apiTool: getAgentConfiguration } = require('./get-agent-configuration.js');
+
+// A side of the comparison: a live agent or an exported definition
+const AGENT_VERSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    sId: {
+      type: 'string',
+      description: 'The ID of an agent configuration of the workspace, compared in its current version.'
+    },
+    definition: {
+      type: 'object',
+      description: 'An agent definition returned by export_agent_configuration, e.g. an earlier version.'
+    }
+  }
+};
+
+/**
+ * Function to compare two versions of an agent, each the live agent or an exported definition.
+ *
+ * @param {Object} args - Arguments for the comparison.
+ * @param {Object} args.from - The earlier version: { sId } or { definition }.
+ * @param {Object} args.to - The later version: { sId } or { definition }.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @returns {Promise<Object>} - The compared versions and the fields that changed between them.
+ */
+const executeFunction = async ({ from, to }, { signal, workspaceId } = {}) => {
+  // Exported definitions are checked before any request is sent
+  for (const [name, side] of [['from', from], ['to', to]]) {
+    if (Boolean(side.sId) === Boolean(side.definition)) {
+      return { error: `${name} needs either sId or definition` };
+    }
+    if (side.definition) {
+      try {
+        readAgentDefinition(side.definition);
+      } catch (error) {
+        return { error: `${name}: ${error.message}` };
+      }
+    }
+  }
+
+  const definitions = [];
+  for (const side of [from, to]) {
+    if (side.definition) {
+      definitions.push(side.definition);
+    } else {
+      const { agentConfiguration } = await getAgentConfiguration.function({ sId: side.sId }, { signal, workspaceId });
+      definitions.push(toAgentDefinition(agentConfiguration, { workspaceId: workspaceId || process.env.DUST_WORKSPACE_ID }));
+    }
+  }
+
+  const [before, after] = definitions;
+  const versionOf = ({ source, agent }) => ({ ...source, name: agent.name });
+  return { from: versionOf(before), to: versionOf(after), ...compareAgentDefinitions(before, after) };
+};
+
+/**
+ * Tool configuration for comparing two agent versions.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'compare_agent_versions',
+      description: 'Compare two versions of an agent, each the current version of an agent of the workspace (sId) or a definition exported with export_agent_configuration. Lists the changed, added and removed fields, with a unified diff of the instructions. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          from: { ...AGENT_VERSION_SCHEMA, description: 'The earlier version.' },
+          to: { ...AGENT_VERSION_SCHEMA, description: 'The later version.' }
+        },
+        required: ['from', 'to']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          from: { type: 'object', description: 'Workspace, ID, version and name of the earlier version.' },
+          to: { type: 'object', description: 'Workspace, ID, version and name of the later version.' },
+          identical: { type: 'boolean', description: 'Whether the two versions have no differences.' },
+          changes: {
+            type: 'array',
+            description: 'Changed fields, by path; from or to is missing for added and removed fields.',
+            items: {
+              type: 'object',
+              properties: {
+                path: { type: 'string', description: 'Path of the field, e.g. model.modelId or actions["search"].description.' }
+              },
+              required: ['path']
+            }
+          },
+          instructionsDiff: { type: 'string', description: 'Unified diff of the instructions, when they changed.' }
+        },
+        required: ['from', 'to', 'identical', 'changes']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
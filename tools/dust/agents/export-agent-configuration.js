@@ -0,0 +1,64 @@
+const { toAgentDefinition } = require('../../../lib/dust/agentDefinition.js');
+const { apiTool: getAgentConfiguration } = require('./get-agent-configuration.js');
+
+/**
+ * Function to export an agent configuration as a portable JSON definition.
+ *
+ * @param {Object} args - Arguments for the export.
+ * @param {string} args.sId - The ID of the agent configuration.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @returns {Promise<Object>} - The agent definition, see lib/dust/agentDefinition.js.
+ */
+const executeFunction = async ({ sId }, { signal, workspaceId } = {}) => {
+  const { agentConfiguration } = await getAgentConfiguration.function({ sId }, { signal, workspaceId });
+  return toAgentDefinition(agentConfiguration, { workspaceId: workspaceId || process.env.DUST_WORKSPACE_ID });
+};
+
+/**
+ * Tool configuration for exporting an agent configuration.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'export_agent_configuration',
+      description: 'Export an agent configuration as a JSON definition that can be recreated in another workspace or compared with compare_agent_versions. IDs, version and user state are left out; the data sources its actions read from are listed under dataSources, to be remapped in the target workspace. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          sId: {
+            type: 'string',
+            description: 'The ID of the agent configuration, as listed by list_assistants.'
+          }
+        },
+        required: ['sId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', description: 'Always "dust-agent-definition".' },
+          formatVersion: { type: 'integer', description: 'Version of the definition format.' },
+          source: { type: 'object', description: 'Workspace, ID and version of the exported agent.' },
+          agent: { type: 'object', description: 'The agent: name, description, instructions, model, actions and settings.' },
+          dataSources: {
+            type: 'array',
+            description: 'The data sources and tables read by the actions, with the name of the action.',
+            items: { type: 'object' }
+          }
+        },
+        required: ['format', 'formatVersion', 'source', 'agent', 'dataSources']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
@@ -0,0 +1,74 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+const { collectDataSources } = require('../../../lib/dust/agentDefinition.js');
+
+/**
+ * Function to get an agent configuration, with its actions and the data sources they read from.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} args.sId - The ID of the agent configuration.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @returns {Promise<Object>} - The agent configuration and its data sources.
+ */
+const executeFunction = async ({ sId }, { signal, workspaceId } = {}) => {
+  const { agentConfiguration } = await getDustClient(workspaceId).get(
+    `/assistant/agent_configurations/${encodeURIComponent(sId)}`,
+    { signal }
+  );
+  return { agentConfiguration, dataSources: collectDataSources(agentConfiguration.actions) };
+};
+
+/**
+ * Tool configuration for getting an agent configuration.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_agent_configuration',
+      description: 'Get the current version of an agent configuration: instructions, model, actions, and the data sources and tables its actions read from. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          sId: {
+            type: 'string',
+            description: 'The ID of the agent configuration, as listed by list_assistants.'
+          }
+        },
+        required: ['sId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          agentConfiguration: {
+            type: 'object',
+            description: 'The agent configuration.',
+            properties: {
+              sId: { type: 'string', description: 'The ID of the agent configuration.' },
+              version: { type: 'integer', description: 'The version of the agent configuration.' },
+              name: { type: 'string', description: 'The name of the agent.' },
+              actions: { type: 'array', items: { type: 'object' }, description: 'The actions of the agent.' }
+            },
+            required: ['sId', 'name']
+          },
+          dataSources: {
+            type: 'array',
+            description: 'The data sources and tables read by the actions, with the name of the action.',
+            items: { type: 'object' }
+          }
+        },
+        required: ['agentConfiguration', 'dataSources']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
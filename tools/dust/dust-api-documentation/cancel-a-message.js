@@ -0,0 +1,67 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to cancel the generation of agent messages in a conversation.
+ *
+ * @param {Object} args - Arguments for the cancellation.
+ * @param {string} args.cId - The ID of the conversation.
+ * @param {Array<string>} args.messageIds - The IDs of the agent messages to cancel.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The result of the cancellation.
+ */
+const executeFunction = async ({ cId, messageIds }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/assistant/conversations/${encodeURIComponent(cId)}/cancel`,
+    { messageIds },
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for cancelling agent messages.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'cancel_message',
+      description: 'Stop the generation of running agent messages in a conversation. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          cId: {
+            type: 'string',
+            description: 'The ID of the conversation.'
+          },
+          messageIds: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'The IDs of the agent messages to cancel.'
+          }
+        },
+        required: ['cId', 'messageIds']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', description: 'Whether the messages were cancelled.' }
+        },
+        required: ['success']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
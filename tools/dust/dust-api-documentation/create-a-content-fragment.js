@@ -1,8 +1,9 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to create a content fragment in a specified workspace and conversation.
  *
  * @param {Object} args - Arguments for creating the content fragment.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.cId - The ID of the conversation (required).
  * @param {string} args.title - The title of the content fragment.
  * @param {string} args.content - The content of the fragment.
@@ -14,52 +15,18 @@
  * @param {string} args.context.fullName - The full name of the user.
  * @param {string} args.context.email - The email of the user.
  * @param {string} args.context.profilePictureUrl - The profile picture URL of the user.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the content fragment creation.
  */
-const executeFunction = async ({ cId, title, content, url, contentType, context }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with path variables
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const urlWithParams = `${baseUrl}/api/v1/w/${workspaceId}/assistant/conversations/${cId}/content_fragments`;
-
-    // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Construct the body of the request
-    const body = JSON.stringify({
-      title,
-      content,
-      url,
-      contentType,
-      context
-    });
-
-    // Perform the fetch request
-    const response = await fetch(urlWithParams, {
-      method: 'POST',
-      headers,
-      body
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error creating content fragment:', error);
-    return { error: 'An error occurred while creating the content fragment.' };
-  }
+const executeFunction = async ({ cId, title, content, url, contentType, context }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/assistant/conversations/${encodeURIComponent(cId)}/content_fragments`,
+    { title, content, url, contentType, context },
+    { signal, dryRun }
+  );
 };
 
 /**
@@ -68,11 +35,17 @@ const executeFunction = async ({ cId, title, content, url, contentType, context
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'create_content_fragment',
-      description: 'Create a new content fragment in a conversation. The workspace ID is determined by the DUST_WORKSPACE_ID environment variable.',
+      description: 'Create a new content fragment in a conversation. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -1,8 +1,9 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to create a message in a specific conversation within a workspace.
  *
  * @param {Object} args - Arguments for creating a message.
- * @param {string} args.wId - The ID of the workspace.
  * @param {string} args.cId - The ID of the conversation.
  * @param {string} args.content - The content of the message.
  * @param {Array<Object>} [args.mentions] - An array of mention objects containing configuration IDs.
@@ -13,55 +14,18 @@
  * @param {string} args.context.email - The email of the sender.
  * @param {string} args.context.profilePictureUrl - The profile picture URL of the sender.
  * @param {string} [args.context.origin="zapier"] - The origin of the message.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the message creation.
  */
-const executeFunction = async ({ cId, content, mentions = [], context }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-
-  try {
-    // Construct the URL with path variables
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${workspaceId}/assistant/conversations/${cId}/messages`;
-
-    // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-    };
-
-    // If a token is provided, add it to the Authorization header
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-
-    // Create the message payload
-    const payload = {
-      content,
-      mentions,
-      context
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error creating message:', error);
-    return { error: 'An error occurred while creating the message.' };
-  }
+const executeFunction = async ({ cId, content, mentions = [], context }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/assistant/conversations/${encodeURIComponent(cId)}/messages`,
+    { content, mentions, context },
+    { signal, dryRun }
+  );
 };
 
 /**
@@ -70,11 +34,17 @@ const executeFunction = async ({ cId, content, mentions = [], context }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'create_message',
-      description: 'Create a message in a specific conversation. The workspace ID is determined by the DUST_WORKSPACE_ID environment variable.',
+      description: 'Create a message in a specific conversation. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -95,7 +65,8 @@ const apiTool = {
                   type: 'string',
                   description: 'The configuration ID for the mention.'
                 }
-              }
+              },
+              required: ['configurationId']
             },
             description: 'An array of mention objects containing configuration IDs.'
           },
@@ -1,20 +1,22 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to create a new conversation in the Dust.tt API.
  *
  * @param {Object} args - Arguments for creating a conversation.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.content - The content of the message.
  * @param {Array} args.mentions - An array of mention objects containing configuration IDs.
  * @param {Object} args.context - The context object containing user information.
  * @param {string} args.title - The title of the conversation.
  * @param {boolean} args.blocking - Indicates if the request should be blocking.
  * @param {string} args.visibility - The visibility setting for the conversation.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the conversation creation.
  */
-const executeFunction = async ({ content, mentions, context, title, blocking, visibility }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-
+const executeFunction = async ({ content, mentions, context, title, blocking, visibility }, { signal, workspaceId, dryRun } = {}) => {
   const requestBody = {
     message: {
       content,
@@ -33,29 +35,7 @@ const executeFunction = async ({ content, mentions, context, title, blocking, vi
     visibility
   };
 
-  try {
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const response = await fetch(`${baseUrl}/api/v1/w/${workspaceId}/assistant/conversations`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error creating conversation:', error);
-    return { error: 'An error occurred while creating the conversation.' };
-  }
+  return getDustClient(workspaceId).post('/assistant/conversations', requestBody, { signal, dryRun });
 };
 
 /**
@@ -64,11 +44,17 @@ const executeFunction = async ({ content, mentions, context, title, blocking, vi
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'create_conversation',
-      description: 'Create a new conversation. The workspace ID is determined by the DUST_WORKSPACE_ID environment variable.',
+      description: 'Create a new conversation. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -85,7 +71,8 @@ const apiTool = {
                   type: 'string',
                   description: 'The configuration ID for the mention.'
                 }
-              }
+              },
+              required: ['configurationId']
             },
             description: 'An array of mention objects.'
           },
@@ -111,6 +98,7 @@ const apiTool = {
           },
           visibility: {
             type: 'string',
+            enum: ['unlisted', 'workspace'],
             description: 'The visibility setting for the conversation.'
           }
         },
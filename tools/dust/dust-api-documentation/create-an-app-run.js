@@ -1,8 +1,56 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+// Statuses of a run or block that has ended
+const TERMINAL_STATUSES = ['succeeded', 'errored'];
+
+/**
+ * Fold the events of a streamed app run into a run, as get_app_run returns it,
+ * reporting run and block progress as the events arrive.
+ * @param {AsyncIterable<Object>} events - Events of the run stream
+ * @param {Function} [reportProgress] - Reports each status change and block trace
+ * @returns {Promise<Object>} The run, or an error when the run failed to execute
+ */
+async function foldRunEvents(events, reportProgress) {
+  const run = { run_id: null, status: { run: 'running', blocks: [] }, traces: [] };
+
+  for await (const { type, content } of events) {
+    if (type === 'run_status') {
+      run.run_id = content.run_id || run.run_id;
+      run.status.run = content.status;
+      await reportProgress?.(`Run ${run.run_id} ${content.status}`);
+    } else if (type === 'block_status') {
+      const { block_type, name, status, success_count, error_count } = content;
+      const block = { block_type, name, status, success_count, error_count };
+      const index = run.status.blocks.findIndex((known) => known.block_type === block_type && known.name === name);
+      if (index === -1) {
+        run.status.blocks.push(block);
+      } else {
+        run.status.blocks[index] = block;
+      }
+      await reportProgress?.(`Block ${name} (${block_type}) ${status}: ${success_count} succeeded, ${error_count} errored`);
+    } else if (type === 'block_execution') {
+      const { block_type, block_name, execution } = content;
+      run.traces.push([[block_type, block_name], execution]);
+      const outputs = execution.flat();
+      const errors = outputs.filter((output) => output.error).length;
+      await reportProgress?.(`Block ${block_name} (${block_type}) traced ${outputs.length} outputs${errors ? `, ${errors} with errors` : ''}`);
+    } else if (type === 'error') {
+      const reason = content?.message || content?.code || 'unknown error';
+      return { error: run.run_id ? `App run ${run.run_id} failed: ${reason}` : `App run failed: ${reason}` };
+    }
+  }
+
+  // The stream ends with the run; its final status only shows in its blocks
+  if (!TERMINAL_STATUSES.includes(run.status.run)) {
+    run.status.run = run.status.blocks.some((block) => block.status === 'errored') ? 'errored' : 'succeeded';
+  }
+  return { run };
+}
+
 /**
  * Function to create and execute a run for an app in the specified vault.
  *
  * @param {Object} args - Arguments for creating an app run.
- * @param {string} args.wId - Unique string identifier for the workspace (required).
  * @param {string} args.vId - ID of the vault (required).
  * @param {string} args.aId - Unique identifier of the app (required).
  * @param {string} args.specification_hash - Specification hash for the run.
@@ -13,58 +61,27 @@
  * @param {boolean} args.config.model.use_cache - Whether to use cache.
  * @param {boolean} args.config.model.use_stream - Whether to use streaming.
  * @param {Array<Object>} args.inputs - Input data for the run.
- * @param {boolean} [args.stream] - Whether to stream the results.
- * @param {boolean} [args.blocking] - Whether the request should be blocking.
+ * @param {boolean} [args.stream] - Stream the run status and block traces as progress, returning the run once it ends.
+ * @param {boolean} [args.blocking] - Wait for the run to end; when false, the run is returned while still running.
  * @param {Array<string>} [args.block_filter] - Filters for blocking.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @param {Function} [context.reportProgress] - Reports the events of a streamed run.
  * @returns {Promise<Object>} - The result of the app run creation.
  */
-const executeFunction = async ({ vId, specification_hash, config, inputs, stream, blocking, block_filter }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-
-  try {
-    // Construct the URL with path variables
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const appId = process.env.DUST_AGENT_ID;
-    const url = `${baseUrl}/api/v1/w/${workspaceId}/vaults/${vId}/apps/${appId}/runs`;
-
-    // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Create the body for the request
-    const body = JSON.stringify({
-      specification_hash,
-      config,
-      inputs,
-      stream,
-      blocking,
-      block_filter
-    });
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error creating app run:', error);
-    return { error: 'An error occurred while creating the app run.' };
+const executeFunction = async (
+  { vId, specification_hash, config, inputs, stream, blocking, block_filter },
+  { signal, workspaceId, dryRun, reportProgress } = {}
+) => {
+  const appId = process.env.DUST_AGENT_ID;
+  const path = `/vaults/${encodeURIComponent(vId)}/apps/${encodeURIComponent(appId)}/runs`;
+  const body = { specification_hash, config, inputs, stream, blocking, block_filter };
+  if (stream && !dryRun) {
+    return foldRunEvents(getDustClient(workspaceId).stream('POST', path, { body, signal }), reportProgress);
   }
+  return getDustClient(workspaceId).post(path, body, { signal, dryRun });
 };
 
 /**
@@ -73,11 +90,17 @@ const executeFunction = async ({ vId, specification_hash, config, inputs, stream
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'create_app_run',
-      description: 'Create and execute a run for an app in the specified vault. The workspace ID and app ID are determined by DUST_WORKSPACE_ID and DUST_AGENT_ID environment variables respectively.',
+      description: 'Create and execute a run for an app in the specified vault. With stream, run status and block traces are reported as progress while the run executes; with blocking false, the run is returned right away, to be followed with wait_for_app_run. The workspace ID and app ID are determined by DUST_WORKSPACE_ID and DUST_AGENT_ID environment variables respectively.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -129,11 +152,11 @@ const apiTool = {
           },
           stream: {
             type: 'boolean',
-            description: 'Whether to stream the results.'
+            description: 'Stream the run status and block traces as progress notifications, and return the run once it ends.'
           },
           blocking: {
             type: 'boolean',
-            description: 'Whether the request should be blocking.'
+            description: 'Wait for the run to end. When false, the run is returned while still running: poll it with wait_for_app_run.'
           },
           block_filter: {
             type: 'array',
@@ -0,0 +1,76 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to leave thumbs-up or thumbs-down feedback on an agent message.
+ *
+ * @param {Object} args - Arguments for the feedback.
+ * @param {string} args.cId - The ID of the conversation.
+ * @param {string} args.mId - The ID of the agent message.
+ * @param {string} args.thumbDirection - "up" or "down".
+ * @param {string} [args.feedbackContent] - An optional comment explaining the feedback.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The result of the feedback creation.
+ */
+const executeFunction = async ({ cId, mId, thumbDirection, feedbackContent }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/assistant/conversations/${encodeURIComponent(cId)}/messages/${encodeURIComponent(mId)}/feedbacks`,
+    { thumbDirection, feedbackContent },
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for leaving feedback on an agent message.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'create_message_feedback',
+      description: 'Leave thumbs-up or thumbs-down feedback on an agent message; a new feedback replaces the previous one. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          cId: {
+            type: 'string',
+            description: 'The ID of the conversation.'
+          },
+          mId: {
+            type: 'string',
+            description: 'The ID of the agent message.'
+          },
+          thumbDirection: {
+            type: 'string',
+            enum: ['up', 'down'],
+            description: 'Thumbs up or thumbs down.'
+          },
+          feedbackContent: {
+            type: 'string',
+            description: 'An optional comment explaining the feedback.'
+          }
+        },
+        required: ['cId', 'mId', 'thumbDirection']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', description: 'Whether the feedback was saved.' }
+        },
+        required: ['success']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
@@ -0,0 +1,62 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to delete a document from a data source.
+ *
+ * @param {Object} args - Arguments for the deletion.
+ * @param {string} args.vId - The ID of the vault.
+ * @param {string} args.dsId - The ID of the data source.
+ * @param {string} args.documentId - The ID of the document.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The deleted document.
+ */
+const executeFunction = async ({ vId, dsId, documentId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).delete(
+    `/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/documents/${encodeURIComponent(documentId)}`,
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for deleting a document from a data source.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'delete_document',
+      description: 'Delete a document from a data source. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: {
+            type: 'string',
+            description: 'The ID of the vault.'
+          },
+          dsId: {
+            type: 'string',
+            description: 'The ID of the data source.'
+          },
+          documentId: {
+            type: 'string',
+            description: 'The ID of the document.'
+          }
+        },
+        required: ['vId', 'dsId', 'documentId']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
@@ -0,0 +1,98 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to edit a user message of a conversation; the mentioned agents answer the new version.
+ *
+ * @param {Object} args - Arguments for editing the message.
+ * @param {string} args.cId - The ID of the conversation.
+ * @param {string} args.mId - The ID of the user message.
+ * @param {string} args.content - The new content of the message.
+ * @param {Array<Object>} [args.mentions] - An array of mention objects containing configuration IDs.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The edited message and the agent messages answering it.
+ */
+const executeFunction = async ({ cId, mId, content, mentions = [] }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/assistant/conversations/${encodeURIComponent(cId)}/messages/${encodeURIComponent(mId)}/edit`,
+    { content, mentions },
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for editing a user message.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'edit_message',
+      description: 'Replace the content of a user message in a conversation; the mentioned agents answer the new version. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: false
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          cId: {
+            type: 'string',
+            description: 'The ID of the conversation.'
+          },
+          mId: {
+            type: 'string',
+            description: 'The ID of the user message.'
+          },
+          content: {
+            type: 'string',
+            description: 'The new content of the message.'
+          },
+          mentions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                configurationId: {
+                  type: 'string',
+                  description: 'The configuration ID for the mention.'
+                }
+              },
+              required: ['configurationId']
+            },
+            description: 'An array of mention objects containing configuration IDs.'
+          }
+        },
+        required: ['cId', 'mId', 'content']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'object',
+            description: 'The new version of the user message.',
+            properties: {
+              sId: { type: 'string', description: 'The ID of the message.' },
+              content: { type: 'string', description: 'The content of the message.' }
+            },
+            required: ['sId']
+          },
+          agentMessages: {
+            type: 'array',
+            description: 'The agent messages answering the new version.',
+            items: { type: 'object' }
+          }
+        },
+        required: ['message']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
@@ -1,44 +1,18 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to get a conversation from the Dust API.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.cId - The ID of the conversation (required).
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the conversation retrieval.
  */
-const executeFunction = async ({ cId }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with path variables
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${encodeURIComponent(workspaceId)}/assistant/conversations/${encodeURIComponent(cId)}`;
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving conversation:', error);
-    return { error: 'An error occurred while retrieving the conversation.' };
-  }
+const executeFunction = async ({ cId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(`/assistant/conversations/${encodeURIComponent(cId)}`, { signal, dryRun });
 };
 
 /**
@@ -47,11 +21,17 @@ const executeFunction = async ({ cId }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'get_conversation',
-      description: 'Get a conversation. The workspace ID is determined by the DUST_WORKSPACE_ID environment variable.',
+      description: 'Get a conversation. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -61,6 +41,23 @@ const apiTool = {
           }
         },
         required: ['cId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          conversation: {
+            type: 'object',
+            description: 'The conversation.',
+            properties: {
+              sId: { type: 'string', description: 'The ID of the conversation.' },
+              title: { type: ['string', 'null'], description: 'The title of the conversation.' },
+              created: { type: 'number', description: 'Creation timestamp in milliseconds.' },
+              content: { type: 'array', description: 'The messages of the conversation, grouped by rank.' }
+            },
+            required: ['sId']
+          }
+        },
+        required: ['conversation']
       }
     }
   }
@@ -1,47 +1,21 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to retrieve a run for an app in the vault.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} args.wId - Unique string identifier for the workspace.
  * @param {string} args.vId - ID of the vault.
  * @param {string} args.aId - ID of the app.
  * @param {string} args.runId - ID of the run.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the app run retrieval.
  */
-const executeFunction = async ({ vId, runId }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with path parameters
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const appId = process.env.DUST_AGENT_ID;
-    const url = `${baseUrl}/api/v1/w/${workspaceId}/vaults/${vId}/apps/${appId}/runs/${runId}`;
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving app run:', error);
-    return { error: 'An error occurred while retrieving the app run.' };
-  }
+const executeFunction = async ({ vId, runId }, { signal, workspaceId, dryRun } = {}) => {
+  const appId = process.env.DUST_AGENT_ID;
+  return getDustClient(workspaceId).get(`/vaults/${encodeURIComponent(vId)}/apps/${encodeURIComponent(appId)}/runs/${encodeURIComponent(runId)}`, { signal, dryRun });
 };
 
 /**
@@ -50,11 +24,17 @@ const executeFunction = async ({ vId, runId }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'get_app_run',
       description: 'Retrieve a run for an app in the vault. Workspace and App IDs are determined by DUST_WORKSPACE_ID and DUST_AGENT_ID environment variables.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
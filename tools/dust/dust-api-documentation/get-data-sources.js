@@ -1,44 +1,18 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to get data sources from the Dust API.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.vId - The ID of the vault (required).
- * @returns {Promise<Object>} - The response containing data sources or an error message.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The response containing data sources.
  */
-const executeFunction = async ({ vId }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with path variables
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${encodeURIComponent(workspaceId)}/vaults/${encodeURIComponent(vId)}/data_sources`;
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error fetching data sources:', error);
-    return { error: 'An error occurred while fetching data sources.' };
-  }
+const executeFunction = async ({ vId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(`/vaults/${encodeURIComponent(vId)}/data_sources`, { signal, dryRun });
 };
 
 /**
@@ -47,11 +21,17 @@ const executeFunction = async ({ vId }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'get_data_sources',
-      description: 'Get data sources in a vault. The workspace ID is determined by the DUST_WORKSPACE_ID environment variable.',
+      description: 'Get data sources in a vault. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -61,6 +41,24 @@ const apiTool = {
           }
         },
         required: ['vId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          data_sources: {
+            type: 'array',
+            description: 'The data sources of the vault.',
+            items: {
+              type: 'object',
+              properties: {
+                sId: { type: 'string', description: 'The ID of the data source.' },
+                name: { type: 'string', description: 'The name of the data source.' }
+              },
+              required: ['sId']
+            }
+          }
+        },
+        required: ['data_sources']
       }
     }
   }
@@ -1,53 +1,25 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to get documents from a specified data source in a workspace.
  *
  * @param {Object} args - Arguments for the document retrieval.
- * @param {string} args.wId - The ID of the workspace.
  * @param {string} args.vId - The ID of the vault.
  * @param {string} args.dsId - The ID of the data source.
  * @param {number} [args.limit=10] - Limit the number of documents returned.
  * @param {number} [args.offset=0] - Offset the returned documents.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the document retrieval.
  */
-const executeFunction = async ({ vId, dsId, limit = 10, offset = 0 }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with path and query parameters
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = new URL(`${baseUrl}/api/v1/w/${workspaceId}/vaults/${vId}/data_sources/${dsId}/documents`);
-    url.searchParams.append('limit', limit.toString());
-    url.searchParams.append('offset', offset.toString());
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-    };
-
-    // If a token is provided, add it to the Authorization header
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving documents:', error);
-    return { error: 'An error occurred while retrieving documents.' };
-  }
+const executeFunction = async ({ vId, dsId, limit = 10, offset = 0 }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(`/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/documents`, {
+    query: { limit, offset },
+    signal,
+    dryRun
+  });
 };
 
 /**
@@ -56,11 +28,18 @@ const executeFunction = async ({ vId, dsId, limit = 10, offset = 0 }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
+  pagination: { items: 'documents', limit: 'limit', offset: 'offset', total: 'total' },
   definition: {
     type: 'function',
     function: {
       name: 'get_documents',
-      description: 'Get documents from a specified data source. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Get documents from a specified data source. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -74,14 +53,38 @@ const apiTool = {
           },
           limit: {
             type: 'integer',
+            minimum: 1,
+            default: 10,
             description: 'Limit the number of documents returned.'
           },
           offset: {
             type: 'integer',
+            minimum: 0,
+            default: 0,
             description: 'Offset the returned documents.'
           }
         },
         required: ['vId', 'dsId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          documents: {
+            type: 'array',
+            description: 'The documents of the data source.',
+            items: {
+              type: 'object',
+              properties: {
+                document_id: { type: 'string', description: 'The ID of the document.' },
+                title: { type: ['string', 'null'], description: 'The title of the document.' },
+                text: { type: ['string', 'null'], description: 'The text of the document.' }
+              },
+              required: ['document_id']
+            }
+          },
+          total: { type: 'integer', description: 'The total number of documents in the data source.' }
+        },
+        required: ['documents']
       }
     }
   }
@@ -1,50 +1,24 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to get events for a message in a specified workspace.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.cId - The ID of the conversation (required).
  * @param {string} args.mId - The ID of the message (required).
  * @param {string} [args.lastEventId] - The ID of the last event received (optional).
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The response data containing events for the message.
  */
-const executeFunction = async ({ cId, mId, lastEventId }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-
-  try {
-    // Construct the URL with path variables and query parameters
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = new URL(`${baseUrl}/api/v1/w/${workspaceId}/assistant/conversations/${cId}/messages/${mId}/events`);
-    if (lastEventId) {
-      url.searchParams.append('lastEventId', lastEventId);
-    }
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error getting events for message:', error);
-    return { error: 'An error occurred while getting events for the message.' };
-  }
+const executeFunction = async ({ cId, mId, lastEventId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(`/assistant/conversations/${encodeURIComponent(cId)}/messages/${encodeURIComponent(mId)}/events`, {
+    query: { lastEventId },
+    signal,
+    dryRun
+  });
 };
 
 /**
@@ -53,11 +27,17 @@ const executeFunction = async ({ cId, mId, lastEventId }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'get_events_for_message',
-      description: 'Get events for a message. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Get events for a message. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
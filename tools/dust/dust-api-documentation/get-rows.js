@@ -0,0 +1,96 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to get the rows of a table of a data source.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} args.vId - The ID of the vault.
+ * @param {string} args.dsId - The ID of the data source.
+ * @param {string} args.tId - The ID of the table.
+ * @param {number} [args.limit=100] - Limit the number of rows returned.
+ * @param {number} [args.offset=0] - Offset the returned rows.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The rows of the table.
+ */
+const executeFunction = async ({ vId, dsId, tId, limit = 100, offset = 0 }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(
+    `/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/tables/${encodeURIComponent(tId)}/rows`,
+    { query: { limit, offset }, signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for getting the rows of a table.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  pagination: { items: 'rows', limit: 'limit', offset: 'offset', total: 'total' },
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_table_rows',
+      description: 'Get the rows of a table. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: {
+            type: 'string',
+            description: 'The ID of the vault.'
+          },
+          dsId: {
+            type: 'string',
+            description: 'The ID of the data source.'
+          },
+          tId: {
+            type: 'string',
+            description: 'The ID of the table.'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            default: 100,
+            description: 'Limit the number of rows returned.'
+          },
+          offset: {
+            type: 'integer',
+            minimum: 0,
+            default: 0,
+            description: 'Offset the returned rows.'
+          }
+        },
+        required: ['vId', 'dsId', 'tId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          rows: {
+            type: 'array',
+            description: 'The rows of the table.',
+            items: {
+              type: 'object',
+              properties: {
+                row_id: { type: 'string', description: 'The ID of the row.' },
+                value: { type: 'object', description: 'The cells of the row, by column name.' }
+              },
+              required: ['row_id']
+            }
+          },
+          total: { type: 'integer', description: 'The total number of rows in the table.' }
+        },
+        required: ['rows']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
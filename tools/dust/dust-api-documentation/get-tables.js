@@ -0,0 +1,77 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to list the tables of a data source.
+ *
+ * @param {Object} args - Arguments for the request.
+ * @param {string} args.vId - The ID of the vault.
+ * @param {string} args.dsId - The ID of the data source.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The tables of the data source.
+ */
+const executeFunction = async ({ vId, dsId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(
+    `/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/tables`,
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for listing the tables of a data source.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'list_tables',
+      description: 'List the tables of a data source. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: {
+            type: 'string',
+            description: 'The ID of the vault.'
+          },
+          dsId: {
+            type: 'string',
+            description: 'The ID of the data source.'
+          }
+        },
+        required: ['vId', 'dsId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          tables: {
+            type: 'array',
+            description: 'The tables of the data source.',
+            items: {
+              type: 'object',
+              properties: {
+                table_id: { type: 'string', description: 'The ID of the table.' },
+                name: { type: 'string', description: 'The name of the table, used in queries.' },
+                description: { type: ['string', 'null'], description: 'The description of the table.' },
+                schema: { type: ['array', 'null'], description: 'The columns of the table and their types.' }
+              },
+              required: ['table_id', 'name']
+            }
+          }
+        },
+        required: ['tables']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
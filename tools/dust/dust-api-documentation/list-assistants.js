@@ -1,43 +1,17 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to list assistants for a specified workspace in the Dust API.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} args.wId - The ID of the workspace.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The response containing the agent configurations for the workspace.
  */
-const executeFunction = async () => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with the workspace ID
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${encodeURIComponent(workspaceId)}/assistant/agent_configurations`;
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error listing assistants:', error);
-    return { error: 'An error occurred while listing assistants.' };
-  }
+const executeFunction = async (_args, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get('/assistant/agent_configurations', { signal, dryRun });
 };
 
 /**
@@ -46,15 +20,41 @@ const executeFunction = async () => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'list_assistants',
-      description: 'Get the agent configurations for the workspace. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Get the agent configurations for the workspace. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {},
         required: []
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          agentConfigurations: {
+            type: 'array',
+            description: 'The agent configurations of the workspace.',
+            items: {
+              type: 'object',
+              properties: {
+                sId: { type: 'string', description: 'The ID of the agent configuration.' },
+                name: { type: 'string', description: 'The name of the agent.' },
+                description: { type: 'string', description: 'The description of the agent.' },
+                status: { type: 'string', description: 'The status of the agent configuration.' }
+              },
+              required: ['sId', 'name']
+            }
+          }
+        },
+        required: ['agentConfigurations']
       }
     }
   }
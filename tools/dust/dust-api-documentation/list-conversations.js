@@ -0,0 +1,63 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to list the conversations of a workspace.
+ *
+ * @param {Object} args - Arguments for the request (none are needed).
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The conversations of the workspace.
+ */
+const executeFunction = async (args, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get('/assistant/conversations', { signal, dryRun });
+};
+
+/**
+ * Tool configuration for listing conversations.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'list_conversations',
+      description: 'List the recent conversations of the workspace. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {},
+        required: []
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          conversations: {
+            type: 'array',
+            description: 'The conversations, without their messages.',
+            items: {
+              type: 'object',
+              properties: {
+                sId: { type: 'string', description: 'The ID of the conversation.' },
+                title: { type: ['string', 'null'], description: 'The title of the conversation.' },
+                created: { type: 'number', description: 'Creation timestamp in milliseconds.' },
+                updated: { type: 'number', description: 'Last update timestamp in milliseconds.' }
+              },
+              required: ['sId']
+            }
+          }
+        },
+        required: ['conversations']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
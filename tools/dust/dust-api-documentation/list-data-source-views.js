@@ -1,45 +1,18 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to list data source views for a specified vault in the Dust API.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} args.wId - The unique string identifier for the workspace (required).
  * @param {string} args.vId - The ID of the vault (required).
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The response containing the list of data source views.
  */
-const executeFunction = async ({ vId }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-
-  try {
-    // Construct the URL with path variables
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${encodeURIComponent(workspaceId)}/vaults/${encodeURIComponent(vId)}/data_source_views`;
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error listing data source views:', error);
-    return { error: 'An error occurred while listing data source views.' };
-  }
+const executeFunction = async ({ vId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(`/vaults/${encodeURIComponent(vId)}/data_source_views`, { signal, dryRun });
 };
 
 /**
@@ -48,11 +21,17 @@ const executeFunction = async ({ vId }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'list_data_source_views',
-      description: 'Retrieve a list of data source views for the specified vault. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Retrieve a list of data source views for the specified vault. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -62,6 +41,24 @@ const apiTool = {
           }
         },
         required: ['vId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          data_source_views: {
+            type: 'array',
+            description: 'The data source views of the vault.',
+            items: {
+              type: 'object',
+              properties: {
+                sId: { type: 'string', description: 'The ID of the data source view.' },
+                dataSource: { type: 'object', description: 'The data source the view is built on.' }
+              },
+              required: ['sId']
+            }
+          }
+        },
+        required: ['data_source_views']
       }
     }
   }
@@ -1,44 +1,17 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to list workspace vaults from the Dust.tt API.
  *
  * @param {Object} args - Arguments for the request.
- * @param {string} args.wId - The unique string identifier for the workspace (required).
- * @returns {Promise<Object>} - The response containing the list of vaults or an error message.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The response containing the list of vaults.
  */
-const executeFunction = async () => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-
-  try {
-    // Construct the URL with the workspace ID
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${encodeURIComponent(workspaceId)}/vaults`;
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error listing workspace vaults:', error);
-    return { error: 'An error occurred while listing workspace vaults.' };
-  }
+const executeFunction = async (_args, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get('/vaults', { signal, dryRun });
 };
 
 /**
@@ -47,15 +20,40 @@ const executeFunction = async () => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'list_workspace_vaults',
-      description: 'Retrieve a list of vaults for the workspace. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Retrieve a list of vaults for the workspace. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {},
         required: []
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          vaults: {
+            type: 'array',
+            description: 'The vaults of the workspace.',
+            items: {
+              type: 'object',
+              properties: {
+                sId: { type: 'string', description: 'The ID of the vault.' },
+                name: { type: 'string', description: 'The name of the vault.' },
+                kind: { type: 'string', description: 'The kind of vault (global, regular, system...).' }
+              },
+              required: ['sId']
+            }
+          }
+        },
+        required: ['vaults']
       }
     }
   }
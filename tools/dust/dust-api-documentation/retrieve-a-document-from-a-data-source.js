@@ -1,46 +1,20 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to retrieve a document from a data source in a specified workspace.
  *
  * @param {Object} args - Arguments for the document retrieval.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.vId - The ID of the vault (required).
  * @param {string} args.dsId - The ID of the data source (required).
  * @param {string} args.documentId - The ID of the document (required).
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the document retrieval.
  */
-const executeFunction = async ({ vId, dsId, documentId }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with path parameters
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${workspaceId}/vaults/${vId}/data_sources/${dsId}/documents/${documentId}`;
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error retrieving document:', error);
-    return { error: 'An error occurred while retrieving the document.' };
-  }
+const executeFunction = async ({ vId, dsId, documentId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(`/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/documents/${encodeURIComponent(documentId)}`, { signal, dryRun });
 };
 
 /**
@@ -49,11 +23,17 @@ const executeFunction = async ({ vId, dsId, documentId }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'retrieve_document',
-      description: 'Retrieve a document from a data source. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Retrieve a document from a data source. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -71,6 +51,21 @@ const apiTool = {
           }
         },
         required: ['vId', 'dsId', 'documentId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          document: {
+            type: 'object',
+            description: 'The document.',
+            properties: {
+              document_id: { type: 'string', description: 'The ID of the document.' },
+              text: { type: ['string', 'null'], description: 'The text of the document.' }
+            },
+            required: ['document_id']
+          }
+        },
+        required: ['document']
       }
     }
   }
@@ -0,0 +1,73 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to retry an agent message of a conversation, e.g. after it failed.
+ *
+ * @param {Object} args - Arguments for the retry.
+ * @param {string} args.cId - The ID of the conversation.
+ * @param {string} args.mId - The ID of the agent message.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The new version of the agent message.
+ */
+const executeFunction = async ({ cId, mId }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/assistant/conversations/${encodeURIComponent(cId)}/messages/${encodeURIComponent(mId)}/retry`,
+    undefined,
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for retrying an agent message.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'retry_message',
+      description: 'Generate a new version of an agent message, e.g. after it failed. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          cId: {
+            type: 'string',
+            description: 'The ID of the conversation.'
+          },
+          mId: {
+            type: 'string',
+            description: 'The ID of the agent message.'
+          }
+        },
+        required: ['cId', 'mId']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'object',
+            description: 'The new version of the agent message.',
+            properties: {
+              sId: { type: 'string', description: 'The ID of the message.' },
+              status: { type: 'string', description: 'The generation status of the message.' }
+            },
+            required: ['sId']
+          }
+        },
+        required: ['message']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
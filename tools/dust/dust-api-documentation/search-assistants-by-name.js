@@ -1,45 +1,18 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to search for agent configurations by name in a specified workspace.
  *
  * @param {Object} args - Arguments for the search.
- * @param {string} args.wId - The ID of the workspace.
  * @param {string} args.q - The search query for agent configuration names.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the agent configuration search.
  */
-const executeFunction = async ({ q }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  try {
-    // Construct the URL with query parameters
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = new URL(`${baseUrl}/api/v1/w/${workspaceId}/assistant/agent_configurations/search`);
-    url.searchParams.append('q', q);
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error searching for agent configurations:', error);
-    return { error: 'An error occurred while searching for agent configurations.' };
-  }
+const executeFunction = async ({ q }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get('/assistant/agent_configurations/search', { query: { q }, signal, dryRun });
 };
 
 /**
@@ -48,11 +21,17 @@ const executeFunction = async ({ q }) => {
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'search_assistants_by_name',
-      description: 'Search for agent configurations by name. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Search for agent configurations by name. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -62,6 +41,24 @@ const apiTool = {
           }
         },
         required: ['q']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          agentConfigurations: {
+            type: 'array',
+            description: 'The agent configurations whose name matches the query.',
+            items: {
+              type: 'object',
+              properties: {
+                sId: { type: 'string', description: 'The ID of the agent configuration.' },
+                name: { type: 'string', description: 'The name of the agent.' }
+              },
+              required: ['sId', 'name']
+            }
+          }
+        },
+        required: ['agentConfigurations']
       }
     }
   }
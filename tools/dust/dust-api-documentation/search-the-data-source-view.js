@@ -1,8 +1,9 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to search the data source view in the Dust.tt API.
  *
  * @param {Object} args - Arguments for the search.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.vId - The ID of the vault (required).
  * @param {string} args.dsvId - The ID of the data source view (required).
  * @param {string} args.query - The search query (required).
@@ -15,52 +16,29 @@
  * @param {string} [args.tags_not] - The tags to filter by (excluded).
  * @param {string} [args.parents_in] - The parents to filter by (included).
  * @param {string} [args.parents_not] - The parents to filter by (excluded).
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the search.
  */
-const executeFunction = async ({ vId, dsvId, query, top_k, full_text, target_document_tokens, timestamp_gt, timestamp_lt, tags_in, tags_not, parents_in, parents_not }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-  
-  try {
-    // Construct the URL with query parameters
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = new URL(`${baseUrl}/api/v1/w/${workspaceId}/vaults/${vId}/data_source_views/${dsvId}/search`);
-    url.searchParams.append('query', query);
-    url.searchParams.append('top_k', top_k.toString());
-    url.searchParams.append('full_text', full_text.toString());
-    if (target_document_tokens) url.searchParams.append('target_document_tokens', target_document_tokens.toString());
-    if (timestamp_gt) url.searchParams.append('timestamp_gt', timestamp_gt.toString());
-    if (timestamp_lt) url.searchParams.append('timestamp_lt', timestamp_lt.toString());
-    if (tags_in) url.searchParams.append('tags_in', tags_in);
-    if (tags_not) url.searchParams.append('tags_not', tags_not);
-    if (parents_in) url.searchParams.append('parents_in', parents_in);
-    if (parents_not) url.searchParams.append('parents_not', parents_not);
-
-    // Set up headers for the request
-    const headers = {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error searching the data source view:', error);
-    return { error: 'An error occurred while searching the data source view.' };
-  }
+const executeFunction = async ({ vId, dsvId, query, top_k, full_text, target_document_tokens, timestamp_gt, timestamp_lt, tags_in, tags_not, parents_in, parents_not }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).get(`/vaults/${encodeURIComponent(vId)}/data_source_views/${encodeURIComponent(dsvId)}/search`, {
+    query: {
+      query,
+      top_k,
+      full_text,
+      target_document_tokens,
+      timestamp_gt,
+      timestamp_lt,
+      tags_in,
+      tags_not,
+      parents_in,
+      parents_not
+    },
+    signal,
+    dryRun
+  });
 };
 
 /**
@@ -69,11 +47,17 @@ const executeFunction = async ({ vId, dsvId, query, top_k, full_text, target_doc
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'search_data_source_view',
-      description: 'Search the data source view. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Search the data source view. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -127,6 +111,25 @@ const apiTool = {
           }
         },
         required: ['vId', 'dsvId', 'query', 'top_k', 'full_text']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          documents: {
+            type: 'array',
+            description: 'The matching documents, best match first.',
+            items: {
+              type: 'object',
+              properties: {
+                document_id: { type: 'string', description: 'The ID of the document.' },
+                source_url: { type: ['string', 'null'], description: 'The source URL of the document.' },
+                chunks: { type: 'array', description: 'The matching chunks of the document.' }
+              },
+              required: ['document_id']
+            }
+          }
+        },
+        required: ['documents']
       }
     }
   }
@@ -1,63 +1,27 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
 /**
  * Function to upsert a document in a data source.
  *
  * @param {Object} args - Arguments for the upsert operation.
- * @param {string} args.wId - The ID of the workspace (required).
  * @param {string} args.vId - The ID of the vault (required).
  * @param {string} args.dsId - The ID of the data source (required).
  * @param {string} args.documentId - The ID of the document (required).
  * @param {string} args.text - The text content of the document.
  * @param {string} args.source_url - The source URL of the document.
  * @param {boolean} args.light_document_output - Flag for light document output.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
  * @returns {Promise<Object>} - The result of the upsert operation.
  */
-const executeFunction = async ({ vId, dsId, documentId, text, source_url, light_document_output }) => {
-  const baseUrl = 'https://dust.tt';
-  const token = process.env.DUST_API_KEY;
-
-  try {
-    // Construct the URL with path parameters
-    const workspaceId = process.env.DUST_WORKSPACE_ID;
-    const url = `${baseUrl}/api/v1/w/${workspaceId}/vaults/${vId}/data_sources/${dsId}/documents/${documentId}`;
-
-    // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-    };
-
-    // If a token is provided, add it to the Authorization header
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
-
-    // Prepare the request body
-    const body = JSON.stringify({
-      text,
-      source_url,
-      light_document_output
-    });
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error upserting document:', error);
-    return { error: 'An error occurred while upserting the document.' };
-  }
+const executeFunction = async ({ vId, dsId, documentId, text, source_url, light_document_output }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/documents/${encodeURIComponent(documentId)}`,
+    { text, source_url, light_document_output },
+    { signal, dryRun }
+  );
 };
 
 /**
@@ -66,11 +30,17 @@ const executeFunction = async ({ vId, dsId, documentId, text, source_url, light_
  */
 const apiTool = {
   function: executeFunction,
+  supportsDryRun: true,
   definition: {
     type: 'function',
     function: {
       name: 'upsert_document',
-      description: 'Upsert a document in a data source. Workspace ID is determined by DUST_WORKSPACE_ID environment variable.',
+      description: 'Upsert a document in a data source. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       parameters: {
         type: 'object',
         properties: {
@@ -0,0 +1,148 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+const { parseCsv, toCellValue } = require('../../../lib/dust/csv.js');
+
+// Rows sent per upsert request
+const ROWS_BATCH_SIZE = 500;
+
+/**
+ * Function to load a CSV into a table of a data source: the table is upserted, then its rows in batches.
+ *
+ * @param {Object} args - Arguments for the upload.
+ * @param {string} args.vId - The ID of the vault.
+ * @param {string} args.dsId - The ID of the data source.
+ * @param {string} args.tId - The ID of the table, created when it does not exist.
+ * @param {string} args.name - The name of the table, used in queries.
+ * @param {string} args.description - The description of the table.
+ * @param {string} args.csv - The CSV, with a header line naming the columns.
+ * @param {string} [args.rowIdColumn] - Column holding the row IDs; rows are numbered from 1 when not given.
+ * @param {string} [args.delimiter=","] - Field delimiter of the CSV.
+ * @param {boolean} [args.truncate=true] - Delete the rows of the table that are not in the CSV.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {Function} [context.reportProgress] - Reports each uploaded batch of rows.
+ * @returns {Promise<Object>} - The upserted table and the number of rows sent.
+ */
+const executeFunction = async (
+  { vId, dsId, tId, name, description, csv, rowIdColumn, delimiter = ',', truncate = true },
+  { signal, workspaceId, reportProgress } = {}
+) => {
+  let parsed;
+  try {
+    parsed = parseCsv(csv, { delimiter });
+  } catch (error) {
+    return { error: `Invalid CSV: ${error.message}` };
+  }
+  const { columns, records } = parsed;
+  if (rowIdColumn !== undefined && !columns.includes(rowIdColumn)) {
+    return { error: `Invalid CSV: rowIdColumn "${rowIdColumn}" is not one of its columns: ${columns.join(', ')}` };
+  }
+
+  const rows = records.map((record, index) => ({
+    row_id: rowIdColumn === undefined ? String(index + 1) : record[rowIdColumn],
+    value: Object.fromEntries(columns.map((column) => [column, toCellValue(record[column])]))
+  }));
+  const seen = new Set();
+  for (const { row_id } of rows) {
+    if (!row_id || seen.has(row_id)) {
+      return { error: `Invalid CSV: ${row_id ? `duplicate row ID "${row_id}"` : 'empty row ID'} in column "${rowIdColumn}"` };
+    }
+    seen.add(row_id);
+  }
+
+  const client = getDustClient(workspaceId);
+  const tablePath = `/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/tables`;
+  const { table } = await client.post(tablePath, { name, description, table_id: tId }, { signal });
+
+  // A CSV without rows still sends one empty batch when truncating, so that the table ends up empty
+  const batches = Math.max(Math.ceil(rows.length / ROWS_BATCH_SIZE), truncate ? 1 : 0);
+  for (let batch = 0; batch < batches; batch++) {
+    await client.post(
+      `${tablePath}/${encodeURIComponent(tId)}/rows`,
+      // Only the first batch truncates, or each batch would delete the previous ones
+      { rows: rows.slice(batch * ROWS_BATCH_SIZE, (batch + 1) * ROWS_BATCH_SIZE), truncate: truncate && batch === 0 },
+      { signal }
+    );
+    await reportProgress?.(`Upserted ${Math.min((batch + 1) * ROWS_BATCH_SIZE, rows.length)} of ${rows.length} rows`, batches);
+  }
+
+  return { table, columns, rows: rows.length, batches };
+};
+
+/**
+ * Tool configuration for loading a CSV into a table.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'upsert_table_csv',
+      description: 'Load a CSV into a table of a data source, creating the table if needed. Empty cells become null, numbers and true/false keep their type. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: {
+            type: 'string',
+            description: 'The ID of the vault.'
+          },
+          dsId: {
+            type: 'string',
+            description: 'The ID of the data source.'
+          },
+          tId: {
+            type: 'string',
+            description: 'The ID of the table, created when it does not exist.'
+          },
+          name: {
+            type: 'string',
+            description: 'The name of the table, used in queries.'
+          },
+          description: {
+            type: 'string',
+            description: 'The description of the table.'
+          },
+          csv: {
+            type: 'string',
+            description: 'The CSV, with a header line naming the columns.'
+          },
+          rowIdColumn: {
+            type: 'string',
+            description: 'Column holding unique row IDs, so that re-uploads update rows in place. Rows are numbered from 1 when not given.'
+          },
+          delimiter: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 1,
+            default: ',',
+            description: 'Field delimiter of the CSV.'
+          },
+          truncate: {
+            type: 'boolean',
+            default: true,
+            description: 'Delete the rows of the table that are not in the CSV.'
+          }
+        },
+        required: ['vId', 'dsId', 'tId', 'name', 'description', 'csv']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          table: { type: 'object', description: 'The upserted table.' },
+          columns: { type: 'array', items: { type: 'string' }, description: 'The columns of the CSV.' },
+          rows: { type: 'integer', description: 'The number of rows sent.' },
+          batches: { type: 'integer', description: 'The number of upsert requests the rows were sent in.' }
+        },
+        required: ['table', 'rows']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
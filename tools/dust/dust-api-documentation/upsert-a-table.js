@@ -0,0 +1,118 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to create or update a table in a data source.
+ *
+ * @param {Object} args - Arguments for the upsert operation.
+ * @param {string} args.vId - The ID of the vault.
+ * @param {string} args.dsId - The ID of the data source.
+ * @param {string} args.name - The name of the table, used in queries.
+ * @param {string} args.description - The description of the table.
+ * @param {string} [args.table_id] - The ID of the table, generated by Dust when not given.
+ * @param {string} [args.title] - The title of the table.
+ * @param {number} [args.timestamp] - Timestamp of the table in milliseconds.
+ * @param {Array<string>} [args.tags] - Tags of the table.
+ * @param {Array<string>} [args.parents] - IDs of the parents of the table.
+ * @param {string} [args.source_url] - The source URL of the table.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The upserted table.
+ */
+const executeFunction = async (
+  { vId, dsId, name, description, table_id, title, timestamp, tags, parents, source_url },
+  { signal, workspaceId, dryRun } = {}
+) => {
+  return getDustClient(workspaceId).post(
+    `/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/tables`,
+    { name, description, table_id, title, timestamp, tags, parents, source_url },
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for upserting a table in a data source.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'upsert_table',
+      description: 'Create a table in a data source, or update the table with the same table_id. Rows are upserted with upsert_table_rows or upsert_table_csv. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: {
+            type: 'string',
+            description: 'The ID of the vault.'
+          },
+          dsId: {
+            type: 'string',
+            description: 'The ID of the data source.'
+          },
+          name: {
+            type: 'string',
+            description: 'The name of the table, used in queries.'
+          },
+          description: {
+            type: 'string',
+            description: 'The description of the table.'
+          },
+          table_id: {
+            type: 'string',
+            description: 'The ID of the table, generated by Dust when not given.'
+          },
+          title: {
+            type: 'string',
+            description: 'The title of the table.'
+          },
+          timestamp: {
+            type: 'integer',
+            description: 'Timestamp of the table in milliseconds.'
+          },
+          tags: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Tags of the table.'
+          },
+          parents: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'IDs of the parents of the table.'
+          },
+          source_url: {
+            type: 'string',
+            description: 'The source URL of the table.'
+          }
+        },
+        required: ['vId', 'dsId', 'name', 'description']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'object',
+            description: 'The upserted table.',
+            properties: {
+              table_id: { type: 'string', description: 'The ID of the table.' },
+              name: { type: 'string', description: 'The name of the table.' }
+            },
+            required: ['table_id']
+          }
+        },
+        required: ['table']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
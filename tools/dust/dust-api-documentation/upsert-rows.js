@@ -0,0 +1,90 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to upsert rows in a table of a data source.
+ *
+ * @param {Object} args - Arguments for the upsert operation.
+ * @param {string} args.vId - The ID of the vault.
+ * @param {string} args.dsId - The ID of the data source.
+ * @param {string} args.tId - The ID of the table.
+ * @param {Array<Object>} args.rows - Rows, each with a row_id and a value mapping column names to cells.
+ * @param {boolean} [args.truncate=false] - Delete the other rows of the table.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {boolean} [context.dryRun] - Return the request as curl and JSON instead of sending it.
+ * @returns {Promise<Object>} - The result of the upsert operation.
+ */
+const executeFunction = async ({ vId, dsId, tId, rows, truncate = false }, { signal, workspaceId, dryRun } = {}) => {
+  return getDustClient(workspaceId).post(
+    `/vaults/${encodeURIComponent(vId)}/data_sources/${encodeURIComponent(dsId)}/tables/${encodeURIComponent(tId)}/rows`,
+    { rows, truncate },
+    { signal, dryRun }
+  );
+};
+
+/**
+ * Tool configuration for upserting rows in a table.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  supportsDryRun: true,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'upsert_table_rows',
+      description: 'Create or update rows of a table, matched by row_id. Workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: {
+            type: 'string',
+            description: 'The ID of the vault.'
+          },
+          dsId: {
+            type: 'string',
+            description: 'The ID of the data source.'
+          },
+          tId: {
+            type: 'string',
+            description: 'The ID of the table.'
+          },
+          rows: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                row_id: {
+                  type: 'string',
+                  description: 'The ID of the row.'
+                },
+                value: {
+                  type: 'object',
+                  additionalProperties: { type: ['string', 'number', 'boolean', 'null'] },
+                  description: 'The cells of the row, by column name.'
+                }
+              },
+              required: ['row_id', 'value']
+            },
+            description: 'The rows to upsert.'
+          },
+          truncate: {
+            type: 'boolean',
+            default: false,
+            description: 'Delete the rows of the table that are not in rows.'
+          }
+        },
+        required: ['vId', 'dsId', 'tId', 'rows']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
@@ -0,0 +1,96 @@
+const { calculateDelay, sleep } = require('../../../lib/http/retryPolicy.js');
+const { apiTool: getAppRun } = require('./get-an-app-run.js');
+
+// Statuses of a run that has ended
+const TERMINAL_STATUSES = ['succeeded', 'errored'];
+
+// Longest wait between two polls
+const MAX_POLL_INTERVAL_MS = 30000;
+
+/**
+ * Function to wait for an app run to end, polling it with exponential backoff.
+ *
+ * @param {Object} args - Arguments for the wait.
+ * @param {string} args.vId - ID of the vault.
+ * @param {string} args.runId - ID of the run.
+ * @param {number} [args.timeoutMs=300000] - Deadline of the wait in ms, after which the run is left running.
+ * @param {number} [args.pollIntervalMs=1000] - Wait before the second poll in ms, doubled after each poll.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {Function} [context.reportProgress] - Reports the status of the run after each poll.
+ * @returns {Promise<Object>} - The ended run, or an error when the deadline passed first.
+ */
+const executeFunction = async (
+  { vId, runId, timeoutMs = 300000, pollIntervalMs = 1000 },
+  { signal, workspaceId, reportProgress } = {}
+) => {
+  const started = Date.now();
+  const deadline = started + timeoutMs;
+  const backoff = { initialDelay: pollIntervalMs, maxDelay: MAX_POLL_INTERVAL_MS, factor: 2 };
+
+  for (let poll = 0; ; poll++) {
+    const result = await getAppRun.function({ vId, runId }, { signal, workspaceId });
+    const status = result.run?.status?.run;
+    if (TERMINAL_STATUSES.includes(status)) {
+      return result;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return { error: `Run ${runId} is still ${status || 'pending'} after ${timeoutMs}ms: call wait_for_app_run again to keep waiting` };
+    }
+    await reportProgress?.(`Run ${runId} ${status || 'pending'} after ${Math.round((Date.now() - started) / 1000)}s`);
+    await sleep(Math.min(calculateDelay(poll, backoff), remaining), signal);
+  }
+};
+
+/**
+ * Tool configuration for waiting for an app run to end.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'wait_for_app_run',
+      description: 'Wait for an app run started with blocking false to succeed or error, polling get_app_run with backoff, and return the ended run. Gives up after timeoutMs. Workspace and App IDs are determined by DUST_WORKSPACE_ID and DUST_AGENT_ID environment variables.',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          vId: {
+            type: 'string',
+            description: 'ID of the vault.'
+          },
+          runId: {
+            type: 'string',
+            description: 'ID of the run.'
+          },
+          timeoutMs: {
+            type: 'integer',
+            minimum: 1000,
+            maximum: 3600000,
+            default: 300000,
+            description: 'Deadline of the wait in ms. The run keeps executing after it, and can be waited for again.'
+          },
+          pollIntervalMs: {
+            type: 'integer',
+            minimum: 100,
+            maximum: 30000,
+            default: 1000,
+            description: 'Wait before the second poll in ms, doubled after each poll up to 30s.'
+          }
+        },
+        required: ['vId', 'runId']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
@@ -0,0 +1,106 @@
+const { getDustClient } = require('../../../lib/dust/DustClient.js');
+
+/**
+ * Function to attach files uploaded to the MCP session to a conversation, as content fragments.
+ * Files are uploaded to the Dust file API when they were not yet.
+ *
+ * @param {Object} args - Arguments for attaching the files.
+ * @param {Array<string>} [args.fileIds] - IDs of the session files, all of them when not given.
+ * @param {string} [args.cId] - The ID of the conversation, the current conversation of the session when not given.
+ * @param {Object} [context] - Tool call context.
+ * @param {AbortSignal} [context.signal] - Signal aborted when the tool call is cancelled.
+ * @param {string} [context.workspaceId] - Workspace of the MCP session, DUST_WORKSPACE_ID when not given.
+ * @param {string} [context.sessionId] - ID of the MCP session, only set over HTTP.
+ * @param {SessionManager} [context.sessionManager] - Session manager holding the session files.
+ * @returns {Promise<Object>} - The content fragments created, one per file.
+ */
+const executeFunction = async ({ fileIds, cId }, { signal, workspaceId, sessionId, sessionManager } = {}) => {
+  const session = sessionId && sessionManager ? sessionManager.getSession(sessionId) : null;
+  if (!session) {
+    return { error: 'attach_files needs an MCP session over HTTP, with files uploaded to /api/sessions/{sessionId}/files' };
+  }
+
+  const conversationId = cId || session.conversationId;
+  if (!conversationId) {
+    return { error: 'The session has no current conversation: pass cId' };
+  }
+  const sessionFiles = session.files || [];
+  const unknown = (fileIds || []).filter((fileId) => !sessionFiles.some((file) => file.id === fileId));
+  if (unknown.length > 0) {
+    return { error: `Unknown session files: ${unknown.join(', ')}` };
+  }
+  if (sessionFiles.length === 0) {
+    return { error: `The session has no files: upload them to /api/sessions/${sessionId}/files first` };
+  }
+
+  const files = await sessionManager.uploadSessionFilesToDust(sessionId, fileIds, { signal });
+  const client = getDustClient(workspaceId);
+  const contentFragments = [];
+  for (const file of files) {
+    const { contentFragment } = await client.post(
+      `/assistant/conversations/${encodeURIComponent(conversationId)}/content_fragments`,
+      { title: file.originalName, fileId: file.dustFileId },
+      { signal }
+    );
+    contentFragments.push({ fileId: file.id, dustFileId: file.dustFileId, contentFragment });
+  }
+  return { conversationId, contentFragments };
+};
+
+/**
+ * Tool configuration for attaching session files to a conversation.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'attach_files',
+      description: 'Attach files uploaded to this MCP session (POST /api/sessions/{sessionId}/files) to a conversation, as content fragments the agents can read. The workspace ID is determined by the MCP session.',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
+      parameters: {
+        type: 'object',
+        properties: {
+          fileIds: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'IDs of the session files to attach, all of them when not given.'
+          },
+          cId: {
+            type: 'string',
+            description: 'The ID of the conversation, the current conversation of the session when not given.'
+          }
+        },
+        required: []
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          conversationId: { type: 'string', description: 'The conversation the files were attached to.' },
+          contentFragments: {
+            type: 'array',
+            description: 'One content fragment per file.',
+            items: {
+              type: 'object',
+              properties: {
+                fileId: { type: 'string', description: 'The ID of the session file.' },
+                dustFileId: { type: 'string', description: 'The ID of the file in Dust.' },
+                contentFragment: { type: 'object', description: 'The content fragment created.' }
+              },
+              required: ['fileId', 'dustFileId']
+            }
+          }
+        },
+        required: ['conversationId', 'contentFragments']
+      }
+    }
+  }
+};
+
+module.exports = { apiTool };
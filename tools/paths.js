@@ -1,22 +0,0 @@
-const toolPaths = [
-  'dust/dust-api-documentation/list-workspace-vaults.js',
-  'dust/dust-api-documentation/list-assistants.js',
-  'dust/dust-api-documentation/list-data-source-views.js',
-  'dust/dust-api-documentation/get-the-events-for-a-conversation.js',
-  'dust/dust-api-documentation/get-data-sources.js',
-  'dust/dust-api-documentation/search-assistants-by-name.js',
-  'dust/dust-api-documentation/get-a-conversation.js',
-  'dust/dust-api-documentation/retrieve-a-document-from-a-data-source.js',
-  'dust/dust-api-documentation/get-an-app-run.js',
-  'dust/dust-api-documentation/get-events-for-a-message.js',
-  'dust/dust-api-documentation/upsert-a-document-in-a-data-source.js',
-  'dust/dust-api-documentation/get-documents.js',
-  'dust/dust-api-documentation/create-a-new-conversation.js',
-  'dust/dust-api-documentation/create-a-message.js',
-  'dust/dust-api-documentation/create-a-content-fragment.js',
-  'dust/dust-api-documentation/create-an-app-run.js',
-  'dust/dust-api-documentation/search-the-data-source.js',
-  'dust/dust-api-documentation/search-the-data-source-view.js'
-];
-
-module.exports = { toolPaths };
\ No newline at end of file